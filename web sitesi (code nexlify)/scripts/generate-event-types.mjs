@@ -0,0 +1,17 @@
+/**
+ * Generate src/types/events.d.ts from the event schema registry
+ * Usage: npm run events:types
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { EventSchemas } from '../src/core/EventCatalog.js';
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const output = resolve(root, 'src/types/events.d.ts');
+
+mkdirSync(dirname(output), { recursive: true });
+writeFileSync(output, EventSchemas.toTypeScript());
+
+console.log(`✅ Event catalog written to ${output} (${EventSchemas.eventNames().length} events)`);
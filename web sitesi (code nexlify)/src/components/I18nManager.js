@@ -4,15 +4,20 @@
  */
 
 import { BaseComponent } from '../core/BaseComponent.js';
-import { EventBus } from '../core/EventBus.js';
+import { AppStorage } from '../core/StorageService.js';
 
 export class I18nManager extends BaseComponent {
+  static inject = [...BaseComponent.inject, 'storage'];
+
   constructor(options = {}) {
     super({
       name: 'I18nManager',
       ...options
     });
     
+    // Where the language choice is saved
+    this.storage = this.services.storage || AppStorage;
+    
     // I18n specific state
     this.setState({
       currentLanguage: 'tr',
@@ -29,8 +34,9 @@ export class I18nManager extends BaseComponent {
     this.config = {
       ...this.config,
       fallbackLanguage: 'tr',
-      storageKey: 'codenexlify-language',
+      storageKey: 'language',
       translationsPath: '/locales',
+      urlParam: 'lang', // ?lang=en, used by hreflang alternate URLs
       autoDetect: true,
       persistChoice: true
     };
@@ -38,6 +44,9 @@ export class I18nManager extends BaseComponent {
     // Language toggle button
     this.languageToggle = null;
     
+    // Set when ?lang= picked the language for this visit only
+    this.languageFromUrl = false;
+    
     // Initialize with default Turkish translations
     this.initializeDefaultTranslations();
   }
@@ -52,16 +61,25 @@ export class I18nManager extends BaseComponent {
     this.loadLanguagePreference();
     
     // Auto-detect browser language if enabled
-    if (this.config.autoDetect && !localStorage.getItem(this.config.storageKey)) {
+    if (this.config.autoDetect && !this.storage.has(this.config.storageKey)) {
       this.detectBrowserLanguage();
     }
     
+    // A language in the URL wins for this visit without changing the saved preference
+    this.loadLanguageFromUrl();
+    
     // Create language toggle button
     this.createLanguageToggle();
     
     // Load current language translations
     await this.loadTranslations(this.state.currentLanguage);
     
+    // Share the language through the app store; App does not save one that came from the URL
+    this.store.batch(() => {
+      this.store.set('languageFromUrl', this.languageFromUrl);
+      this.store.set('language', this.state.currentLanguage);
+    });
+    
     // Apply translations to current page
     this.applyTranslations();
     
@@ -97,6 +115,7 @@ export class I18nManager extends BaseComponent {
       'common.sort': 'Sırala',
       'common.view_all': 'Tümünü Gör',
       'common.read_more': 'Devamını Oku',
+      'common.section_unavailable': 'Bu bölüm şu anda yüklenemiyor. Tekrar deneniyor...',
       
       // Hero Section
       'hero.title': 'Yenilikçi Teknoloji Çözümleri',
@@ -144,7 +163,15 @@ export class I18nManager extends BaseComponent {
       // Language
       'language.toggle': 'Dil değiştir',
       'language.turkish': 'Türkçe',
-      'language.english': 'English'
+      'language.english': 'English',
+      
+      // PWA
+      'pwa.install.title': 'Uygulamayı Yükle',
+      'pwa.install.text': 'Daha iyi deneyim için uygulamayı cihazınıza yükleyin',
+      'pwa.install.button': 'Yükle',
+      'pwa.update.title': 'Güncelleme Mevcut',
+      'pwa.update.text': 'Yeni özellikler için uygulamayı güncelleyin',
+      'pwa.update.button': 'Güncelle'
     };
     
     this.translations.set('tr', defaultTranslations);
@@ -157,14 +184,23 @@ export class I18nManager extends BaseComponent {
   loadLanguagePreference() {
     if (!this.config.persistChoice) return;
     
-    try {
-      const savedLanguage = localStorage.getItem(this.config.storageKey);
-      if (savedLanguage && this.state.availableLanguages.includes(savedLanguage)) {
-        this.setState({ currentLanguage: savedLanguage });
-        this.logger.info(`📂 Language preference loaded: ${savedLanguage}`);
-      }
-    } catch (error) {
-      this.logger.warn('⚠️ Failed to load language preference:', error);
+    const savedLanguage = this.storage.get(this.config.storageKey);
+    if (savedLanguage && this.state.availableLanguages.includes(savedLanguage)) {
+      this.setState({ currentLanguage: savedLanguage });
+      this.logger.info(`📂 Language preference loaded: ${savedLanguage}`);
+    }
+  }
+
+  /**
+   * Load language from the URL query (?lang=en)
+   */
+  loadLanguageFromUrl() {
+    const language = new URLSearchParams(window.location.search).get(this.config.urlParam);
+    
+    if (language && this.state.availableLanguages.includes(language)) {
+      this.setState({ currentLanguage: language });
+      this.languageFromUrl = true;
+      this.logger.info(`🔗 Language loaded from URL: ${language}`);
     }
   }
 
@@ -174,11 +210,8 @@ export class I18nManager extends BaseComponent {
   saveLanguagePreference() {
     if (!this.config.persistChoice) return;
     
-    try {
-      localStorage.setItem(this.config.storageKey, this.state.currentLanguage);
+    if (this.storage.set(this.config.storageKey, this.state.currentLanguage)) {
       this.logger.info(`💾 Language preference saved: ${this.state.currentLanguage}`);
-    } catch (error) {
-      this.logger.warn('⚠️ Failed to save language preference:', error);
     }
   }
 
@@ -305,6 +338,21 @@ export class I18nManager extends BaseComponent {
       this.setLanguage(data.language);
     });
     
+    // Follow language changes made elsewhere (e.g. another tab)
+    this.on('language:change', (language) => {
+      this.setLanguage(language);
+    });
+    
+    // Follow language written to the app store by other components
+    this.watch('language', (language) => {
+      this.setLanguage(language);
+    });
+    
+    // Translate content swapped in by the client-side router
+    this.on('navigation:changed', () => {
+      this.applyTranslations();
+    });
+    
     // Listen for translation requests
     this.on('i18n:translate', (data) => {
       const translation = this.t(data.key, data.params);
@@ -314,6 +362,10 @@ export class I18nManager extends BaseComponent {
         language: this.state.currentLanguage
       });
     });
+    
+    // Answer translation queries from other components
+    this.handle('i18n:t', ({ key, params } = {}) => this.t(key, params));
+    this.handle('i18n:language', () => this.state.currentLanguage);
   }
 
   /**
@@ -388,6 +440,7 @@ export class I18nManager extends BaseComponent {
       'common.sort': 'Sort',
       'common.view_all': 'View All',
       'common.read_more': 'Read More',
+      'common.section_unavailable': 'This section is unavailable right now. Retrying...',
       
       // Hero Section
       'hero.title': 'Innovative Technology Solutions',
@@ -435,7 +488,15 @@ export class I18nManager extends BaseComponent {
       // Language
       'language.toggle': 'Change language',
       'language.turkish': 'Türkçe',
-      'language.english': 'English'
+      'language.english': 'English',
+      
+      // PWA
+      'pwa.install.title': 'Install the App',
+      'pwa.install.text': 'Install the app on your device for a better experience',
+      'pwa.install.button': 'Install',
+      'pwa.update.title': 'Update Available',
+      'pwa.update.text': 'Update the app to get the latest features',
+      'pwa.update.button': 'Update'
     };
     
     this.translations.set('en', englishTranslations);
@@ -487,7 +548,13 @@ export class I18nManager extends BaseComponent {
       await this.loadTranslations(language);
       
       // Update state
+      // A language the visitor picks is theirs to keep, even on a ?lang= visit
       this.setState({ currentLanguage: language });
+      this.languageFromUrl = false;
+      this.store.batch(() => {
+        this.store.set('languageFromUrl', false);
+        this.store.set('language', language);
+      });
       
       // Save preference
       this.saveLanguagePreference();
@@ -511,6 +578,9 @@ export class I18nManager extends BaseComponent {
       // Announce to screen readers
       this.announceLanguageChange(language);
       
+      // Broadcast the user-facing preference change
+      this.bus.emit('language:change', language);
+      
       this.logger.success(`✅ Language changed to: ${language}`);
       return true;
       
@@ -580,7 +650,7 @@ export class I18nManager extends BaseComponent {
     };
     
     const message = `${this.t('language.toggle')}: ${languageNames[language]}`;
-    EventBus.emit('announce', message);
+    this.bus.emit('announce', message);
   }
 
   /**
@@ -1,10 +1,37 @@
 /**
  * Navigation Manager Component
- * Handles navigation functionality and mobile menu
+ * Handles navigation functionality, mobile menu and client-side routing
+ *
+ * Internal links to routes in src/pages/routes.js are intercepted: route
+ * guards run first, then the target page is fetched, its <main> replaces the
+ * current one (inside a view transition when the browser supports it) and the
+ * URL is updated with pushState. Everything outside <main> - header, theme,
+ * language, particles - stays in place. Anything that cannot be swapped falls
+ * back to a full page load.
+ *
+ * Each route can have a lazily imported page module, mounted once its content
+ * is in place and unmounted before the next page replaces it.
+ *
+ * After every route change the content gets breadcrumbs built from the route
+ * parents and, on long pages, a table of contents of its h2/h3 headings that
+ * follows the section being read.
+ *
+ * Deep links like /blog/:slug have no HTML file of their own. The static
+ * build's 404.html (and the dev server) send them to the page that renders
+ * them as blog.html?route=<deep link>, and restoreDeepLink() puts the
+ * address back before the app reads it.
  */
 
 import { BaseComponent } from '../core/BaseComponent.js';
-import { EventBus } from '../core/EventBus.js';
+import { RouteTable } from '../core/RouteTable.js';
+import { SeoManager } from '../core/SeoManager.js';
+import { routes } from '../pages/routes.js';
+import { slugify } from '../utils/slugify.js';
+
+const LABELS = {
+  tr: { breadcrumbs: 'Sayfa yolu', toc: 'Bu sayfada' },
+  en: { breadcrumbs: 'Breadcrumb', toc: 'On this page' }
+};
 
 export class NavigationManager extends BaseComponent {
   constructor(options = {}) {
@@ -33,9 +60,43 @@ export class NavigationManager extends BaseComponent {
       stickyOffset: 100,
       mobileBreakpoint: 768,
       smoothScroll: true,
-      autoHighlight: true
+      autoHighlight: true,
+      // Client-side routing
+      router: {
+        enabled: true,
+        contentSelector: 'main',
+        viewTransitions: true,
+        // Query parameters carried over to internal links (e.g. ?lang=en)
+        preserveParams: ['lang'],
+        routes,
+        ...(options.config && options.config.router)
+      },
+      // Table of contents for long pages
+      toc: {
+        pages: ['services', 'about'],
+        headings: 'h2, h3',
+        minHeadings: 3,
+        // Reading area: below the fixed navbar, top 40% of the viewport
+        rootMargin: '-80px 0px -60% 0px',
+        ...(options.config && options.config.toc)
+      }
     };
     
+    // Page names for breadcrumbs come from the SEO manifest
+    this.seo = options.seo || new SeoManager();
+    this.toc = null;
+    
+    // Routes, the one being shown and its mounted page module
+    this.routes = new RouteTable(this.config.router.routes);
+    this.currentRoute = null;
+    this.page = null;
+    
+    // Page fetching and the navigation in flight
+    this.fetcher = options.fetch || ((url, init) => window.fetch(url, init));
+    this.pendingNavigation = null;
+    this.currentUrl = null;
+    this.documentUrl = null;
+    
     // Scroll throttling
     this.scrollThrottleId = null;
     this.lastScrollY = 0;
@@ -61,6 +122,36 @@ export class NavigationManager extends BaseComponent {
     
     // Setup responsive behavior
     this.setupResponsiveBehavior();
+    
+    // Setup client-side routing
+    if (this.config.router.enabled) {
+      this.setupRouter();
+    }
+    
+    // Mount the module of the page we started on
+    await this.mountPage(this.currentRoute);
+    this.updatePageNavigation();
+  }
+
+  /**
+   * Put back a deep link that 404.html sent to its page document
+   * (/blog/hello → blog.html?route=%2Fblog%2Fhello)
+   */
+  static restoreDeepLink(routeTable = new RouteTable(routes)) {
+    const url = new URL(window.location.href);
+    const route = url.searchParams.get('route');
+    if (!route) {
+      return false;
+    }
+    
+    // Only same-site routes; anything else stays as it is
+    const target = new URL(route, url.origin);
+    if (target.origin !== url.origin || !routeTable.match(target)) {
+      return false;
+    }
+    
+    history.replaceState(history.state, '', target.href);
+    return true;
   }
 
   /**
@@ -84,24 +175,47 @@ export class NavigationManager extends BaseComponent {
    * Detect current page from URL
    */
   detectCurrentPage() {
-    const path = window.location.pathname;
-    const filename = path.split('/').pop() || 'index.html';
-    
-    const pageMap = {
-      'index.html': 'home',
-      '': 'home',
-      'about.html': 'about',
-      'services.html': 'services',
-      'contact.html': 'contact',
-      'blog.html': 'blog'
-    };
+    this.currentRoute = this.routes.match(new URL(window.location.href));
+    this.documentUrl = this.currentRoute ? this.getDocumentUrl(this.currentRoute) : new URL(window.location.href);
     
-    const currentPage = pageMap[filename] || 'home';
+    const currentPage = this.currentRoute ? this.currentRoute.page : 'home';
     this.setState({ currentPage });
+    this.publishRoute(this.currentRoute);
     
     this.logger.info(`📄 Current page detected: ${currentPage}`);
   }
 
+  /**
+   * Write the current page and route to the app store
+   */
+  publishRoute(match) {
+    this.store.batch(() => {
+      this.store.set('currentPage', match ? match.page : 'home');
+      this.store.set('route', match ? { name: match.name, params: match.params } : null);
+    });
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Follow page changes written to the app store
+    this.watch('currentPage', (currentPage) => {
+      if (currentPage === this.state.currentPage) return;
+      
+      this.setState({ currentPage });
+      
+      if (this.config.autoHighlight) {
+        this.highlightCurrentPage();
+      }
+    });
+    
+    // Breadcrumb and table of contents labels follow the language
+    this.watch('language', () => {
+      this.updatePageNavigation();
+    });
+  }
+
   /**
    * Setup navigation functionality
    */
@@ -158,27 +272,39 @@ export class NavigationManager extends BaseComponent {
    * Setup smooth scrolling for anchor links
    */
   setupSmoothScrolling() {
-    const anchorLinks = document.querySelectorAll('a[href^="#"]');
-    
-    anchorLinks.forEach(link => {
-      this.addDOMEventListener(link, 'click', (event) => {
-        event.preventDefault();
-        
-        const targetId = link.getAttribute('href').substring(1);
-        const targetElement = document.getElementById(targetId);
-        
-        if (targetElement) {
-          this.scrollToElement(targetElement);
-          
-          // Close mobile menu if open
-          if (this.state.mobileMenuOpen) {
-            this.closeMobileMenu();
-          }
-        }
-      });
-    });
+    // Delegated so anchors in content swapped in by the router scroll too
+    this.addDOMEventListener(document, 'click', this.handleAnchorClick);
   }
 
+  /**
+   * Scroll smoothly to the target of an in-page anchor link
+   */
+  handleAnchorClick = (event) => {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    
+    const link = event.target.closest ? event.target.closest('a[href^="#"]') : null;
+    if (!link) {
+      return;
+    }
+    
+    event.preventDefault();
+    
+    const targetId = link.getAttribute('href').substring(1);
+    const targetElement = document.getElementById(targetId);
+    
+    if (targetElement) {
+      this.scrollToElement(targetElement);
+      
+      // Close mobile menu if open
+      if (this.state.mobileMenuOpen) {
+        this.closeMobileMenu();
+      }
+    }
+  };
+
   /**
    * Scroll to element smoothly
    */
@@ -445,40 +571,675 @@ export class NavigationManager extends BaseComponent {
    * Get page name from href
    */
   getPageFromHref(href) {
-    const filename = href.split('/').pop() || 'index.html';
-    
-    const pageMap = {
-      'index.html': 'home',
-      '': 'home',
-      'about.html': 'about',
-      'services.html': 'services',
-      'contact.html': 'contact',
-      'blog.html': 'blog'
-    };
+    const match = this.routes.match(new URL(href, (this.documentUrl || window.location).href));
+    return match ? match.page : 'home';
+  }
+
+  /**
+   * Navigate to a named route programmatically
+   */
+  async navigateTo(name, options = {}) {
+    const { params, ...navigation } = options;
+    
+    if (!this.routes.get(name)) {
+      this.logger.warn(`⚠️ Unknown page: ${name}`);
+      return false;
+    }
+    
+    return this.navigate(this.resolve(name, params), navigation);
+  }
+
+  /**
+   * Path of a named route, e.g. resolve('blog-post', { slug })
+   */
+  resolve(name, params = {}) {
+    return this.routes.resolve(name, params, this.currentRoute ? this.currentRoute.base : '');
+  }
+
+  /**
+   * Setup client-side routing
+   */
+  setupRouter() {
+    this.currentUrl = new URL(window.location.href);
+    
+    // Scroll positions are restored by the router, per history entry
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+    
+    // Entries carry their place in the session history so a cancelled back/forward can be undone
+    const state = history.state || {};
+    this.historyPosition = Number.isInteger(state.position) ? state.position : history.length - 1;
+    history.replaceState({ ...state, page: this.state.currentPage, scrollY: window.scrollY, position: this.historyPosition }, '');
+    
+    this.addDOMEventListener(document, 'click', this.handleLinkClick);
+    this.addDOMEventListener(window, 'popstate', this.handlePopState);
+  }
+
+  /**
+   * HTML page that renders a route
+   */
+  getDocumentUrl(match) {
+    if (match.route.document) {
+      return new URL(match.base + match.route.document, window.location.origin);
+    }
+    
+    const url = new URL(match.url.href);
+    url.hash = '';
+    return url;
+  }
+
+  /**
+   * Resolve an href, keeping preserved parameters
+   * Relative links are written against the page document, hash links against the current URL
+   */
+  resolveUrl(href) {
+    const base = href.startsWith('#') || !this.documentUrl ? window.location.href : this.documentUrl.href;
+    const url = new URL(href, base);
+    
+    if (url.origin === window.location.origin) {
+      const current = new URLSearchParams(window.location.search);
+      this.config.router.preserveParams.forEach(param => {
+        if (current.has(param) && !url.searchParams.has(param)) {
+          url.searchParams.set(param, current.get(param));
+        }
+      });
+    }
+    
+    return url;
+  }
+
+  /**
+   * Intercept clicks on internal links to known routes
+   */
+  handleLinkClick = (event) => {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    
+    const link = event.target.closest ? event.target.closest('a[href]') : null;
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download') || link.hasAttribute('data-reload')) {
+      return;
+    }
+    
+    const url = this.resolveUrl(link.getAttribute('href'));
+    if (url.origin !== window.location.origin || !this.routes.match(url)) {
+      return;
+    }
+    
+    // Links to the page on screen (anchors, bare '#') keep their normal behavior
+    if (this.isSameDocument(url)) {
+      return;
+    }
+    
+    event.preventDefault();
+    this.navigate(url.href);
+  };
+
+  /**
+   * Follow back/forward buttons
+   */
+  handlePopState = (event) => {
+    const url = new URL(window.location.href);
+    
+    // Hash-only changes stay on the current page
+    if (this.isSameDocument(url)) {
+      return;
+    }
+    
+    const state = event.state || {};
+    this.navigate(url.href, { fromHistory: true, scrollY: state.scrollY || 0, position: state.position });
+  };
+
+  /**
+   * Whether a URL points at the page currently shown
+   */
+  isSameDocument(url) {
+    const current = this.currentUrl || new URL(window.location.href);
+    return url.pathname === current.pathname && url.search === current.search;
+  }
+
+  /**
+   * Navigate to a URL without reloading the page
+   * Resolves to true when the route changed, false when the navigation was
+   * cancelled by a guard, superseded, or handed over to a full page load
+   */
+  async navigate(href, options = {}) {
+    const { replace = false, fromHistory = false, scrollY = 0, position } = options;
+    const url = this.resolveUrl(href);
+    const match = url.origin === window.location.origin ? this.routes.match(url) : null;
+    
+    if (!match || !this.config.router.enabled) {
+      this.reload(url);
+      return false;
+    }
+    
+    // A newer navigation replaces one that is still loading
+    if (this.pendingNavigation) {
+      this.pendingNavigation.abort();
+    }
+    const controller = new AbortController();
+    this.pendingNavigation = controller;
+    
+    const from = this.currentRoute;
+    const previousPage = this.state.currentPage;
+    
+    if (this.state.mobileMenuOpen) {
+      this.closeMobileMenu();
+    }
     
-    return pageMap[filename] || 'home';
+    try {
+      this.setState({ loading: true });
+      
+      // Guards run before anything changes
+      if (!(await this.runGuards(match, from))) {
+        if (fromHistory && !controller.signal.aborted) {
+          this.restoreHistoryEntry(position, previousPage);
+        }
+        this.emit('navigation:cancelled', { route: match.name, url: url.href });
+        return false;
+      }
+      
+      // Routes rendered by the document already shown only remount their module
+      const documentUrl = this.getDocumentUrl(match);
+      const sameDocument = !!this.documentUrl && documentUrl.pathname === this.documentUrl.pathname;
+      
+      const [content, Page] = await Promise.all([
+        sameDocument ? null : this.fetchContent(documentUrl, controller.signal),
+        this.loadPageModule(match.route)
+      ]);
+      if (controller.signal.aborted) {
+        return false;
+      }
+      
+      if (!sameDocument && (!content || !document.querySelector(this.config.router.contentSelector))) {
+        this.logger.warn(`⚠️ No ${this.config.router.contentSelector} to swap for ${url.pathname}, reloading`);
+        this.reload(url);
+        return false;
+      }
+      
+      if (!fromHistory) {
+        // Remember where the visitor was on the page they are leaving
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+        history[replace ? 'replaceState' : 'pushState']({ page: match.page, scrollY: 0 }, '', url.href);
+        
+        // A pushed entry is the last one; anchor entries the browser added before it count too
+        if (!replace) {
+          this.historyPosition = history.length - 1;
+        }
+        history.replaceState({ ...history.state, position: this.historyPosition }, '');
+      } else if (Number.isInteger(position)) {
+        this.historyPosition = position;
+      }
+      
+      await this.unmountPage();
+      if (!sameDocument) {
+        await this.swapContent(content);
+      }
+      
+      this.currentUrl = url;
+      this.documentUrl = documentUrl;
+      this.currentRoute = match;
+      
+      // Metadata, structured data and the active link follow the store
+      this.publishRoute(match);
+      this.restoreScroll(url, scrollY);
+      await this.mountPage(match, Page);
+      this.updatePageNavigation();
+      
+      this.emit('navigation:changed', {
+        page: match.page,
+        previousPage,
+        route: match.name,
+        params: match.params,
+        url: url.href,
+        fromHistory
+      });
+      this.bus.emit('announce', document.title);
+      
+      this.logger.info(`🧭 Navigated to ${match.name}`);
+      return true;
+    
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return false;
+      }
+      
+      // Includes page module chunks that no longer exist after a deploy
+      this.logger.warn(`⚠️ Client-side navigation to ${url.pathname} failed, reloading:`, error);
+      this.reload(url);
+      return false;
+    
+    } finally {
+      if (this.pendingNavigation === controller) {
+        this.pendingNavigation = null;
+        this.setState({ loading: false });
+      }
+    }
   }
 
   /**
-   * Navigate to page programmatically
+   * Undo a back/forward move that a guard cancelled
+   * The browser has already moved; stepping back keeps both the entry count and
+   * the forward stack. The popstate that follows lands on the page on screen and is ignored.
    */
-  navigateTo(page) {
-    const pageUrls = {
-      home: 'index.html',
-      about: 'about.html',
-      services: 'services.html',
-      contact: 'contact.html',
-      blog: 'blog.html'
+  restoreHistoryEntry(position, page) {
+    const delta = Number.isInteger(position) ? this.historyPosition - position : 0;
+    
+    if (delta !== 0) {
+      history.go(delta);
+      return;
+    }
+    
+    // Entries from outside the router have no position; show the URL of the page still on screen
+    history.replaceState({ page, scrollY: window.scrollY, position: this.historyPosition }, '', this.currentUrl.href);
+  }
+
+  /**
+   * Run the leave and enter guards; false from any of them cancels the navigation
+   */
+  async runGuards(to, from) {
+    const guards = [
+      this.page && (() => this.page.beforeLeave(to, from)),
+      from && from.route.beforeLeave && (() => from.route.beforeLeave(to, from)),
+      to.route.beforeEnter && (() => to.route.beforeEnter(to, from))
+    ].filter(Boolean);
+    
+    for (const guard of guards) {
+      try {
+        if (await guard() === false) {
+          this.logger.info(`🚧 Navigation to ${to.name} cancelled by a guard`);
+          return false;
+        }
+      } catch (error) {
+        this.logger.error(`❌ Navigation guard failed for ${to.name}:`, error);
+        this.emit('component:error', { component: this, error });
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Import the page module of a route, if it has one
+   */
+  async loadPageModule(route) {
+    if (!route.load) {
+      return null;
+    }
+    
+    const module = await route.load();
+    return module.default;
+  }
+
+  /**
+   * Create and mount the page module for a route
+   * A failing page module is reported but does not stop navigation
+   */
+  async mountPage(match, Page) {
+    if (!match) return;
+    
+    try {
+      const PageModule = Page === undefined ? await this.loadPageModule(match.route) : Page;
+      if (!PageModule) return;
+      
+      this.page = new PageModule({
+        route: match.route,
+        params: match.params,
+        query: match.url.searchParams,
+        root: document.querySelector(this.config.router.contentSelector) || document,
+        router: this,
+        config: match.route.config
+      });
+      await this.page.mount();
+    
+    } catch (error) {
+      this.page = null;
+      this.logger.error(`❌ Failed to mount page module for ${match.name}:`, error);
+      this.emit('component:error', { component: this, error });
+    }
+  }
+
+  /**
+   * Unmount the current page module
+   */
+  async unmountPage() {
+    if (!this.page) return;
+    
+    const page = this.page;
+    this.page = null;
+    
+    try {
+      await page.unmount();
+    } catch (error) {
+      this.logger.error('❌ Failed to unmount page module:', error);
+      this.emit('component:error', { component: this, error });
+    }
+  }
+
+  /**
+   * Rebuild breadcrumbs and the table of contents for the current content
+   */
+  updatePageNavigation() {
+    this.renderBreadcrumbs();
+    this.buildTableOfContents();
+  }
+
+  /**
+   * Breadcrumb trail for a route, following route parents up to home
+   */
+  getBreadcrumbs(match = this.currentRoute) {
+    if (!match) return [];
+    
+    const trail = [];
+    for (let route = match.route; route; route = route.parent ? this.routes.get(route.parent) : null) {
+      trail.unshift(route);
+    }
+    
+    const language = this.store.select('language');
+    
+    return trail.map((route, index) => {
+      const current = index === trail.length - 1;
+      
+      return {
+        route: route.name,
+        name: current && this.page && this.page.breadcrumb
+          ? this.page.breadcrumb
+          : this.seo.getMetadata(route.page || route.name, language).name,
+        href: current ? `${match.url.pathname}${match.url.search}` : this.resolve(route.name),
+        current
+      };
+    });
+  }
+
+  /**
+   * Render breadcrumbs into the page header (not on the home page)
+   */
+  renderBreadcrumbs() {
+    const content = document.querySelector(this.config.router.contentSelector);
+    if (!content) return null;
+    
+    const existing = content.querySelector('.breadcrumbs');
+    if (existing) {
+      existing.remove();
+    }
+    
+    const crumbs = this.getBreadcrumbs();
+    if (crumbs.length < 2) return null;
+    
+    const nav = document.createElement('nav');
+    nav.className = 'breadcrumbs';
+    nav.setAttribute('aria-label', this.label('breadcrumbs'));
+    
+    const list = document.createElement('ol');
+    crumbs.forEach(crumb => {
+      const item = document.createElement('li');
+      const element = document.createElement(crumb.current ? 'span' : 'a');
+      
+      element.textContent = crumb.name;
+      if (crumb.current) {
+        element.setAttribute('aria-current', 'page');
+      } else {
+        element.setAttribute('href', crumb.href);
+      }
+      
+      item.appendChild(element);
+      list.appendChild(item);
+    });
+    nav.appendChild(list);
+    
+    const host = content.querySelector('.page-header .container') || content;
+    host.prepend(nav);
+    return nav;
+  }
+
+  /**
+   * Build a table of contents from the page headings on long pages
+   */
+  buildTableOfContents() {
+    this.destroyTableOfContents();
+    
+    const { pages, headings, minHeadings } = this.config.toc;
+    const content = document.querySelector(this.config.router.contentSelector);
+    if (!content || !pages.includes(this.state.currentPage)) return null;
+    
+    const items = Array.from(content.querySelectorAll(headings))
+      .filter(heading => heading.textContent.trim())
+      .map(heading => {
+        if (!heading.id) {
+          heading.id = this.getUniqueId(slugify(heading.textContent));
+        }
+        return {
+          id: heading.id,
+          text: heading.textContent.trim(),
+          level: Number(heading.tagName.slice(1)),
+          heading
+        };
+      });
+    
+    if (items.length < minHeadings) return null;
+    
+    const nav = document.createElement('nav');
+    nav.className = 'toc';
+    nav.setAttribute('aria-label', this.label('toc'));
+    
+    const title = document.createElement('p');
+    title.className = 'toc-title';
+    title.textContent = this.label('toc');
+    nav.appendChild(title);
+    
+    // Lower-level headings nest under the heading before them
+    const topLevel = Math.min(...items.map(item => item.level));
+    const list = document.createElement('ol');
+    let parentItem = null;
+    
+    const links = items.map(item => {
+      const entry = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${item.id}`;
+      link.textContent = item.text;
+      entry.appendChild(link);
+      
+      if (item.level > topLevel && parentItem) {
+        let sublist = parentItem.querySelector('ol');
+        if (!sublist) {
+          sublist = document.createElement('ol');
+          parentItem.appendChild(sublist);
+        }
+        sublist.appendChild(entry);
+      } else {
+        list.appendChild(entry);
+        if (item.level === topLevel) {
+          parentItem = entry;
+        }
+      }
+      
+      return link;
+    });
+    nav.appendChild(list);
+    nav.addEventListener('click', this.handleTocClick);
+    
+    const pageHeader = content.querySelector('.page-header');
+    if (pageHeader) {
+      pageHeader.after(nav);
+    } else {
+      content.prepend(nav);
+    }
+    
+    this.toc = { element: nav, items, links, activeIndex: -1, observer: null };
+    
+    // Highlight the section being read
+    if ('IntersectionObserver' in window) {
+      this.toc.observer = new IntersectionObserver(this.handleSectionIntersections, {
+        rootMargin: this.config.toc.rootMargin
+      });
+      items.forEach(item => this.toc.observer.observe(item.heading));
+    }
+    
+    return nav;
+  }
+
+  /**
+   * Follow headings entering and leaving the reading area
+   */
+  handleSectionIntersections = (entries) => {
+    if (!this.toc) return;
+    
+    entries.forEach(entry => {
+      const index = this.toc.items.findIndex(item => item.heading === entry.target);
+      
+      if (entry.isIntersecting) {
+        this.setActiveSection(index);
+      } else if (index === this.toc.activeIndex && entry.rootBounds && entry.boundingClientRect.top >= entry.rootBounds.bottom) {
+        // Scrolled back above the active heading
+        this.setActiveSection(index - 1);
+      }
+    });
+  };
+
+  /**
+   * Navigate within the page from the table of contents
+   */
+  handleTocClick = (event) => {
+    const link = event.target.closest('a[href^="#"]');
+    if (!link || !this.toc) return;
+    
+    const index = this.toc.links.indexOf(link);
+    if (index === -1) return;
+    
+    event.preventDefault();
+    this.scrollToElement(this.toc.items[index].heading);
+    this.setActiveSection(index);
+  };
+
+  /**
+   * Highlight a table of contents entry and put its hash in the URL
+   */
+  setActiveSection(index) {
+    if (!this.toc || index === this.toc.activeIndex) return;
+    
+    this.toc.activeIndex = index;
+    this.toc.links.forEach((link, linkIndex) => {
+      link.classList.toggle('active', linkIndex === index);
+      if (linkIndex === index) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+    
+    // replaceState changes the address without scrolling to the anchor
+    const item = this.toc.items[index];
+    const hash = item ? `#${item.id}` : '';
+    if (window.location.hash !== hash) {
+      history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }
+    
+    const { id, text } = item || {};
+    this.emit('navigation:section', { id, text });
+  }
+
+  /**
+   * Remove the table of contents and stop observing headings
+   */
+  destroyTableOfContents() {
+    if (!this.toc) return;
+    
+    if (this.toc.observer) {
+      this.toc.observer.disconnect();
+    }
+    this.toc.element.remove();
+    this.toc = null;
+  }
+
+  /**
+   * Id not used elsewhere in the document
+   */
+  getUniqueId(base) {
+    const id = base || 'section';
+    let candidate = id;
+    let counter = 2;
+    
+    while (document.getElementById(candidate)) {
+      candidate = `${id}-${counter++}`;
+    }
+    
+    return candidate;
+  }
+
+  /**
+   * Navigation label in the current language
+   */
+  label(key) {
+    const labels = LABELS[this.store.select('language')] || LABELS.tr;
+    return labels[key];
+  }
+
+  /**
+   * Fetch a page and extract its content element
+   */
+  async fetchContent(url, signal) {
+    const response = await this.fetcher(url.href, {
+      signal,
+      headers: { Accept: 'text/html' }
+    });
+    
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('text/html')) {
+      return null;
+    }
+    
+    const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+    return page.querySelector(this.config.router.contentSelector);
+  }
+
+  /**
+   * Replace the current content, inside a view transition when available
+   */
+  async swapContent(content) {
+    const swap = () => {
+      const current = document.querySelector(this.config.router.contentSelector);
+      current.replaceWith(document.importNode(content, true));
     };
     
-    const url = pageUrls[page];
-    if (url) {
-      window.location.href = url;
+    const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    
+    if (this.config.router.viewTransitions && !reducedMotion && typeof document.startViewTransition === 'function') {
+      await document.startViewTransition(swap).updateCallbackDone;
     } else {
-      this.logger.warn(`⚠️ Unknown page: ${page}`);
+      swap();
     }
   }
 
+  /**
+   * Scroll to the URL hash, the saved history position or the top
+   */
+  restoreScroll(url, scrollY = 0) {
+    const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+    
+    if (target) {
+      this.scrollToElement(target);
+    } else {
+      window.scrollTo(0, scrollY);
+    }
+    
+    // Move focus to the new content for keyboard and screen reader users
+    const content = document.querySelector(this.config.router.contentSelector);
+    if (content) {
+      content.setAttribute('tabindex', '-1');
+      content.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Full page load, used when a page cannot be swapped in
+   */
+  reload(url) {
+    window.location.assign(url.href);
+  }
+
   /**
    * Add navigation item dynamically
    */
@@ -564,6 +1325,16 @@ export class NavigationManager extends BaseComponent {
       cancelAnimationFrame(this.scrollThrottleId);
     }
     
+    // Abort a page that is still loading
+    if (this.pendingNavigation) {
+      this.pendingNavigation.abort();
+      this.pendingNavigation = null;
+    }
+    
+    // Let the page module remove its listeners
+    await this.unmountPage();
+    this.destroyTableOfContents();
+    
     // Reset navbar styles
     if (this.navbar) {
       this.navbar.style.transform = '';
@@ -1,12 +1,21 @@
 /**
  * PWA Manager Component
  * Handles Progressive Web App functionality
+ *
+ * Starts after I18nManager so the install and update banners can be
+ * translated with the injected t() when they are created. Settings under
+ * `pwa` in the runtime config override the defaults below.
  */
 
 import { BaseComponent } from '../core/BaseComponent.js';
-import { EventBus } from '../core/EventBus.js';
 
 export class PWAManager extends BaseComponent {
+  // Registry names started before this component (see ComponentRegistry)
+  static dependsOn = ['i18n'];
+
+  // Services from the registry's container (see services.js)
+  static inject = [...BaseComponent.inject, 't', 'config'];
+
   constructor(options = {}) {
     super({
       name: 'PWAManager',
@@ -40,6 +49,10 @@ export class PWAManager extends BaseComponent {
       autoUpdate: false,
       offlinePageUrl: '/offline.html'
     };
+    
+    // Runtime overrides, e.g. "pwa": { "autoUpdate": true } in config/runtime.json
+    const runtimeConfig = this.services.config || {};
+    this.config = { ...this.config, ...runtimeConfig.pwa };
   }
 
   /**
@@ -72,6 +85,10 @@ export class PWAManager extends BaseComponent {
     // Create UI elements
     this.createInstallBanner();
     this.createUpdateBanner();
+    this.translateBanners();
+    
+    // Install prompts that fired before this component was loaded (see index.js)
+    this.on('pwa:install:prompt', ({ event }) => this.handleInstallPrompt(event));
   }
 
   /**
@@ -111,7 +128,8 @@ export class PWAManager extends BaseComponent {
         this.logger.info('🔄 Service Worker already active');
       }
       
-      // Emit registration event
+      // Emit registration event (sticky for late subscribers)
+      this.bus.sticky('pwa:sw:registered');
       this.emit('pwa:sw:registered', { registration: this.swRegistration });
       
     } catch (error) {
@@ -157,23 +175,7 @@ export class PWAManager extends BaseComponent {
   setupInstallPrompt() {
     // Listen for beforeinstallprompt event
     window.addEventListener('beforeinstallprompt', (event) => {
-      // Prevent the mini-infobar from appearing on mobile
-      event.preventDefault();
-      
-      // Save the event for later use
-      this.deferredPrompt = event;
-      
-      // Update state
-      this.setState({ isInstallable: true });
-      
-      this.logger.info('📱 App is installable');
-      
-      // Show install banner
-      if (this.config.showInstallPrompt) {
-        this.showInstallBanner();
-      }
-      
-      this.emit('pwa:installable');
+      this.handleInstallPrompt(event);
     });
     
     // Listen for app installed event
@@ -189,6 +191,32 @@ export class PWAManager extends BaseComponent {
     });
   }
 
+  /**
+   * Keep the install prompt and offer installation
+   */
+  handleInstallPrompt(event) {
+    // Seen both on the window and replayed from the bus
+    if (event === this.deferredPrompt) return;
+    
+    // Prevent the mini-infobar from appearing on mobile
+    event.preventDefault();
+    
+    // Save the event for later use
+    this.deferredPrompt = event;
+    
+    // Update state
+    this.setState({ isInstallable: true });
+    
+    this.logger.info('📱 App is installable');
+    
+    // Show install banner
+    if (this.config.showInstallPrompt) {
+      this.showInstallBanner();
+    }
+    
+    this.emit('pwa:installable');
+  }
+
   /**
    * Setup network status monitoring
    */
@@ -255,12 +283,12 @@ export class PWAManager extends BaseComponent {
       <div class="banner-content">
         <div class="banner-icon">📱</div>
         <div class="banner-text">
-          <h4>Uygulamayı Yükle</h4>
-          <p>Daha iyi deneyim için uygulamayı cihazınıza yükleyin</p>
+          <h4 data-i18n="pwa.install.title">Uygulamayı Yükle</h4>
+          <p data-i18n="pwa.install.text">Daha iyi deneyim için uygulamayı cihazınıza yükleyin</p>
         </div>
         <div class="banner-actions">
-          <button class="btn-install">Yükle</button>
-          <button class="btn-dismiss">×</button>
+          <button class="btn-install" data-i18n="pwa.install.button">Yükle</button>
+          <button class="btn-dismiss" aria-label="Kapat" data-i18n="common.close" data-i18n-attr="aria-label">×</button>
         </div>
       </div>
     `;
@@ -290,12 +318,12 @@ export class PWAManager extends BaseComponent {
       <div class="banner-content">
         <div class="banner-icon">🔄</div>
         <div class="banner-text">
-          <h4>Güncelleme Mevcut</h4>
-          <p>Yeni özellikler için uygulamayı güncelleyin</p>
+          <h4 data-i18n="pwa.update.title">Güncelleme Mevcut</h4>
+          <p data-i18n="pwa.update.text">Yeni özellikler için uygulamayı güncelleyin</p>
         </div>
         <div class="banner-actions">
-          <button class="btn-update">Güncelle</button>
-          <button class="btn-dismiss">×</button>
+          <button class="btn-update" data-i18n="pwa.update.button">Güncelle</button>
+          <button class="btn-dismiss" aria-label="Kapat" data-i18n="common.close" data-i18n-attr="aria-label">×</button>
         </div>
       </div>
     `;
@@ -313,6 +341,31 @@ export class PWAManager extends BaseComponent {
     document.body.appendChild(this.updateBanner);
   }
 
+  /**
+   * Translate banner texts into the current language
+   * Later language changes are applied by I18nManager through data-i18n
+   */
+  translateBanners() {
+    const { t } = this.services;
+    
+    // Without translations the built-in Turkish text stays
+    if (!t) return;
+    
+    [this.installBanner, this.updateBanner]
+      .filter(Boolean)
+      .flatMap(banner => Array.from(banner.querySelectorAll('[data-i18n]')))
+      .forEach(element => {
+        const translation = t(element.getAttribute('data-i18n'));
+        const attribute = element.getAttribute('data-i18n-attr');
+        
+        if (attribute) {
+          element.setAttribute(attribute, translation);
+        } else {
+          element.textContent = translation;
+        }
+      });
+  }
+
   /**
    * Style install banner
    */
@@ -4,15 +4,20 @@
  */
 
 import { BaseComponent } from '../core/BaseComponent.js';
-import { EventBus } from '../core/EventBus.js';
+import { AppStorage } from '../core/StorageService.js';
 
 export class ThemeManager extends BaseComponent {
+  static inject = [...BaseComponent.inject, 'storage'];
+
   constructor(options = {}) {
     super({
       name: 'ThemeManager',
       ...options
     });
     
+    // Where the theme choice is saved
+    this.storage = this.services.storage || AppStorage;
+    
     // Theme specific state
     this.setState({
       currentTheme: 'light',
@@ -24,7 +29,7 @@ export class ThemeManager extends BaseComponent {
     // Configuration
     this.config = {
       ...this.config,
-      storageKey: 'codenexlify-theme',
+      storageKey: 'theme',
       transitionDuration: 300,
       enableTransitions: true,
       enableSystemDetection: true,
@@ -85,35 +90,29 @@ export class ThemeManager extends BaseComponent {
   }
 
   /**
-   * Load theme from localStorage or use system preference
+   * Load theme from storage or use system preference
    */
   loadTheme() {
-    try {
-      const savedTheme = localStorage.getItem(this.config.storageKey);
-      
-      if (savedTheme && this.config.themes.includes(savedTheme)) {
-        this.setState({ currentTheme: savedTheme });
-      } else {
-        this.setState({ currentTheme: 'auto' });
-      }
-      
-      this.logger.info(`📂 Theme loaded: ${this.state.currentTheme}`);
-      
-    } catch (error) {
-      this.logger.warn('⚠️ Failed to load theme from storage, using default');
+    const savedTheme = this.storage.get(this.config.storageKey);
+    
+    if (savedTheme && this.config.themes.includes(savedTheme)) {
+      this.setState({ currentTheme: savedTheme });
+    } else {
       this.setState({ currentTheme: 'auto' });
     }
+    
+    this.logger.info(`📂 Theme loaded: ${this.state.currentTheme}`);
+    
+    // Share the preference through the app store
+    this.store.set('theme', this.state.currentTheme);
   }
 
   /**
-   * Save theme to localStorage
+   * Save theme to storage
    */
   saveTheme() {
-    try {
-      localStorage.setItem(this.config.storageKey, this.state.currentTheme);
+    if (this.storage.set(this.config.storageKey, this.state.currentTheme)) {
       this.logger.info(`💾 Theme saved: ${this.state.currentTheme}`);
-    } catch (error) {
-      this.logger.warn('⚠️ Failed to save theme to storage:', error);
     }
   }
 
@@ -256,8 +255,25 @@ export class ThemeManager extends BaseComponent {
       this.toggleTheme();
     });
     
+    // Follow theme changes made elsewhere (e.g. another tab)
+    this.on('theme:change', (theme) => {
+      this.setTheme(theme);
+    });
+    
+    // Follow theme written to the app store by other components
+    this.watch('theme', (theme) => {
+      this.setTheme(theme);
+    });
+    
+    // Follow custom themes restored from state history
+    this.watch('customThemes', this.syncCustomThemes);
+    
     // Listen for component state changes
     this.on('state:changed', this.handleStateChange);
+    
+    // Answer theme queries from other components
+    this.handle('theme:effective', () => this.getEffectiveTheme());
+    this.handle('theme:info', () => this.getThemeInfo());
   }
 
   /**
@@ -386,6 +402,7 @@ export class ThemeManager extends BaseComponent {
     
     // Update state
     this.setState({ currentTheme: theme });
+    this.store.set('theme', theme);
     
     // Apply theme
     this.applyTheme(theme);
@@ -395,6 +412,9 @@ export class ThemeManager extends BaseComponent {
     // Announce to screen readers
     this.announceThemeChange(theme);
     
+    // Broadcast the user-facing preference change
+    this.bus.emit('theme:change', theme);
+    
     return true;
   }
 
@@ -419,7 +439,7 @@ export class ThemeManager extends BaseComponent {
       auto: 'Otomatik tema aktif'
     };
     
-    EventBus.emit('announce', messages[theme] || messages.auto);
+    this.bus.emit('announce', messages[theme] || messages.auto);
   }
 
   /**
@@ -510,6 +530,11 @@ export class ThemeManager extends BaseComponent {
       document.head.appendChild(styleSheet);
     }
     
+    const storedThemes = this.store.select('customThemes') || {};
+    if (!(themeName in storedThemes)) {
+      this.store.set('customThemes', { ...storedThemes, [themeName]: { ...themeConfig } });
+    }
+    
     this.logger.info(`➕ Custom theme added: ${themeName}`);
     this.emit('theme:added', { name: themeName, config: themeConfig });
     
@@ -545,24 +570,44 @@ export class ThemeManager extends BaseComponent {
       this.setTheme('light');
     }
     
+    const { [themeName]: removed, ...customThemes } = this.store.select('customThemes') || {};
+    if (removed) {
+      this.store.set('customThemes', customThemes);
+    }
+    
     this.logger.info(`➖ Custom theme removed: ${themeName}`);
     this.emit('theme:removed', { name: themeName });
     
     return true;
   }
 
+  /**
+   * Add or remove custom themes to match the app store
+   */
+  syncCustomThemes = (customThemes = {}) => {
+    const builtIn = ['light', 'dark', 'auto'];
+    
+    this.config.themes
+      .filter(name => !builtIn.includes(name) && !(name in customThemes))
+      .forEach(name => this.removeTheme(name));
+    
+    Object.entries(customThemes)
+      .filter(([name]) => !this.config.themes.includes(name))
+      .forEach(([name, config]) => this.addTheme(name, config));
+  };
+
   /**
    * Add theme change listener
    */
   onThemeChange(callback) {
-    return EventBus.on('theme:changed', callback);
+    return this.bus.on('theme:changed', callback);
   }
 
   /**
    * Remove theme change listener
    */
   offThemeChange(listenerId) {
-    return EventBus.off('theme:changed', listenerId);
+    return this.bus.off('theme:changed', listenerId);
   }
 
   /**
@@ -607,17 +652,10 @@ export class ThemeManager extends BaseComponent {
   }
 
   /**
-   * Check if localStorage is available
+   * Check if the theme survives a reload
    */
   isStorageAvailable() {
-    try {
-      const test = '__theme_test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
-      return true;
-    } catch {
-      return false;
-    }
+    return this.storage.isPersistent();
   }
 
   /**
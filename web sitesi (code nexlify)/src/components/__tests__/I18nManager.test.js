@@ -0,0 +1,67 @@
+/**
+ * I18nManager Tests
+ * Test suite for language selection and persistence
+ */
+
+import { I18nManager } from '../I18nManager.js';
+import { App } from '../../core/App.js';
+import { EventBus } from '../../core/EventBus.js';
+import { AppStore } from '../../core/Store.js';
+import { AppStorage } from '../../core/StorageService.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+describe('I18nManager', () => {
+  let app;
+  let i18n;
+
+  beforeEach(() => {
+    AppStorage.clear();
+    document.body.innerHTML = '<a href="index.html" data-i18n="nav.home">Ana Sayfa</a>';
+
+    // App saves theme and language changes written to the store
+    app = new App();
+  });
+
+  afterEach(async () => {
+    await i18n.destroy();
+    app.cleanup();
+    EventBus.removeAllListeners();
+    AppStore.merge({ language: 'tr', languageFromUrl: false });
+    AppStorage.clear();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('should show a ?lang= visit in that language without saving it', async () => {
+    AppStorage.set('language', 'tr');
+    window.history.replaceState(null, '', '/?lang=en');
+
+    i18n = await new I18nManager().init();
+
+    expect(i18n.state.currentLanguage).toBe('en');
+    expect(document.querySelector('[data-i18n="nav.home"]').textContent).toBe('Home');
+    expect(AppStore.select('language')).toBe('en');
+    expect(AppStorage.get('language')).toBe('tr');
+  });
+
+  test('should save a language the visitor picks on a ?lang= visit', async () => {
+    window.history.replaceState(null, '', '/?lang=en');
+
+    i18n = await new I18nManager().init();
+    expect(AppStorage.has('language')).toBe(false);
+
+    await i18n.setLanguage('tr');
+
+    expect(AppStore.select('languageFromUrl')).toBe(false);
+    expect(AppStorage.get('language')).toBe('tr');
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * NavigationManager Tests
+ * Test suite for the client-side router
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { NavigationManager } from '../NavigationManager.js';
+import { EventBus } from '../../core/EventBus.js';
+import { AppStore } from '../../core/Store.js';
+import { routes } from '../../pages/routes.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+const readPage = (file) => fs.readFileSync(path.resolve(__dirname, '../../..', file), 'utf8');
+
+const htmlResponse = (body, init = {}) => ({
+  ok: init.ok !== false,
+  headers: { get: () => init.contentType || 'text/html; charset=utf-8' },
+  text: async () => body
+});
+
+// Render the real home page body so the router works on the markup visitors get
+const loadHomePage = () => {
+  const page = new DOMParser().parseFromString(readPage('index.html'), 'text/html');
+  document.body.innerHTML = page.body.innerHTML;
+};
+
+const click = (element, init = {}) => {
+  const event = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...init });
+  element.dispatchEvent(event);
+  return event;
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('NavigationManager', () => {
+  let fetch;
+  let navigation;
+  let changes;
+
+  const createNavigation = async (config = {}) => {
+    const manager = new NavigationManager({ fetch, config });
+    jest.spyOn(manager, 'reload').mockImplementation(() => {});
+    return manager.init();
+  };
+
+  beforeEach(async () => {
+    window.history.replaceState(null, '', '/index.html');
+    window.scrollTo = jest.fn();
+    Element.prototype.scrollIntoView = jest.fn();
+    loadHomePage();
+
+    fetch = jest.fn(async (url) => htmlResponse(readPage(new URL(url).pathname.slice(1))));
+    changes = [];
+    EventBus.on('navigation:changed', (data) => changes.push(data));
+
+    navigation = await createNavigation();
+  });
+
+  afterEach(async () => {
+    await navigation.destroy();
+    EventBus.removeAllListeners();
+    delete document.startViewTransition;
+    document.documentElement.removeAttribute('data-theme');
+  });
+
+  test('should swap main content when an internal link is clicked', async () => {
+    const canvas = document.createElement('canvas');
+    canvas.id = 'particles-canvas';
+    document.body.appendChild(canvas);
+    document.documentElement.setAttribute('data-theme', 'dark');
+
+    const event = click(document.querySelector('.nav-link[href="about.html"]'));
+    await flush();
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(fetch).toHaveBeenCalledWith('http://localhost/about.html', expect.objectContaining({ signal: expect.anything() }));
+    expect(window.location.pathname).toBe('/about.html');
+    expect(document.querySelectorAll('main')).toHaveLength(1);
+    expect(document.querySelector('main .team-section')).not.toBeNull();
+    expect(document.querySelector('main .hero')).toBeNull();
+
+    // Everything outside <main> survives the navigation
+    expect(document.getElementById('particles-canvas')).toBe(canvas);
+    expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+
+    expect(AppStore.select('currentPage')).toBe('about');
+    expect(document.querySelector('.nav-link.active').getAttribute('href')).toBe('about.html');
+    expect(changes).toEqual([
+      expect.objectContaining({ page: 'about', previousPage: 'home', url: 'http://localhost/about.html', fromHistory: false })
+    ]);
+    expect(navigation.reload).not.toHaveBeenCalled();
+  });
+
+  test('should announce the title of the new page', async () => {
+    const announced = jest.fn();
+    EventBus.on('announce', announced);
+
+    // Stands in for SeoManager, which sets the title from the store
+    const unsubscribe = AppStore.subscribe(state => state.currentPage, (page) => {
+      document.title = `${page} - CodeNexlify`;
+    });
+
+    await navigation.navigateTo('about');
+    unsubscribe();
+
+    expect(announced).toHaveBeenCalledWith('about - CodeNexlify');
+  });
+
+  test('should follow the back button without pushing a new entry', async () => {
+    await navigation.navigateTo('services');
+    const length = window.history.length;
+
+    window.history.replaceState(window.history.state, '', '/index.html');
+    window.dispatchEvent(new PopStateEvent('popstate', { state: { page: 'home', scrollY: 420 } }));
+    await flush();
+
+    expect(window.history.length).toBe(length);
+    expect(document.querySelector('main .hero')).not.toBeNull();
+    expect(AppStore.select('currentPage')).toBe('home');
+    expect(window.scrollTo).toHaveBeenLastCalledWith(0, 420);
+    expect(changes[1]).toMatchObject({ page: 'home', fromHistory: true });
+  });
+
+  test('should use a view transition when the browser supports it', async () => {
+    const updateCallbackDone = Promise.resolve();
+    document.startViewTransition = jest.fn((update) => {
+      update();
+      return { updateCallbackDone };
+    });
+
+    await expect(navigation.navigateTo('blog')).resolves.toBe(true);
+
+    expect(document.startViewTransition).toHaveBeenCalledTimes(1);
+    expect(document.querySelectorAll('main article.blog-card')).toHaveLength(6);
+  });
+
+  test('should fall back to a full page load when the page cannot be swapped', async () => {
+    fetch.mockResolvedValueOnce(htmlResponse('', { ok: false }));
+    await expect(navigation.navigateTo('contact')).resolves.toBe(false);
+
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(navigation.navigateTo('about')).resolves.toBe(false);
+
+    fetch.mockResolvedValueOnce(htmlResponse('<html><body><p>No main here</p></body></html>'));
+    await expect(navigation.navigateTo('blog')).resolves.toBe(false);
+
+    expect(navigation.reload.mock.calls.map(([url]) => url.pathname)).toEqual(['/contact.html', '/about.html', '/blog.html']);
+    expect(window.location.pathname).toBe('/index.html');
+    expect(document.querySelector('main .hero')).not.toBeNull();
+    expect(changes).toHaveLength(0);
+  });
+
+  test('should leave external, modified and new-tab links to the browser', () => {
+    const main = document.querySelector('main');
+    main.insertAdjacentHTML('beforeend', `
+      <a id="external" href="https://example.com/about.html">External</a>
+      <a id="blank" href="about.html" target="_blank">New tab</a>
+      <a id="unknown" href="files/brochure.pdf">Brochure</a>
+    `);
+
+    // Record whether the router claimed the click, then stop jsdom from navigating
+    const claimed = [];
+    const record = (event) => {
+      claimed.push(event.defaultPrevented);
+      event.preventDefault();
+    };
+    window.addEventListener('click', record);
+
+    click(document.getElementById('external'));
+    click(document.getElementById('blank'));
+    click(document.getElementById('unknown'));
+    click(document.querySelector('.nav-link[href="blog.html"]'), { ctrlKey: true });
+    window.removeEventListener('click', record);
+
+    expect(claimed).toEqual([false, false, false, false]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should leave links to the page on screen alone after a swap', async () => {
+    await navigation.navigateTo('contact');
+    const page = navigation.page;
+    window.scrollTo.mockClear();
+
+    document.querySelector('main').insertAdjacentHTML('beforeend', `
+      <a id="top" href="#">Top</a>
+      <a id="form" href="#contact-form">Form</a>
+    `);
+
+    click(document.getElementById('top'));
+    expect(window.scrollTo).not.toHaveBeenCalled();
+
+    // Anchors in swapped content scroll smoothly instead of jumping
+    click(document.getElementById('form'));
+    await flush();
+
+    expect(window.scrollTo).toHaveBeenCalledWith(expect.objectContaining({ behavior: 'smooth' }));
+    expect(window.location.pathname).toBe('/contact.html');
+    expect(navigation.page).toBe(page);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(changes).toHaveLength(1);
+  });
+
+  test('should stop scrolling anchor links once destroyed', async () => {
+    await navigation.destroy();
+
+    const event = click(document.querySelector('a[href^="#"]'));
+
+    expect(event.defaultPrevented).toBe(false);
+    expect(window.scrollTo).not.toHaveBeenCalled();
+  });
+
+  test('should restore deep links sent to their page document', () => {
+    window.history.replaceState(null, '', `/blog.html?route=${encodeURIComponent('/blog/hello-world?lang=en')}`);
+    expect(NavigationManager.restoreDeepLink()).toBe(true);
+    expect(`${window.location.pathname}${window.location.search}`).toBe('/blog/hello-world?lang=en');
+
+    // Other sites and unknown paths stay where they are
+    window.history.replaceState(null, '', `/blog.html?route=${encodeURIComponent('//example.com/blog/x')}`);
+    expect(NavigationManager.restoreDeepLink()).toBe(false);
+    window.history.replaceState(null, '', `/blog.html?route=${encodeURIComponent('/files/brochure.pdf')}`);
+    expect(NavigationManager.restoreDeepLink()).toBe(false);
+    expect(window.location.pathname).toBe('/blog.html');
+  });
+
+  test('should keep the language parameter on internal links', async () => {
+    window.history.replaceState(null, '', '/index.html?lang=en');
+
+    click(document.querySelector('.nav-link[href="contact.html"]'));
+    await flush();
+
+    expect(window.location.search).toBe('?lang=en');
+    expect(fetch.mock.calls[0][0]).toBe('http://localhost/contact.html?lang=en');
+  });
+
+  describe('Routes and page modules', () => {
+    test('should mount lazy page modules with route params', async () => {
+      await navigation.navigateTo('blog');
+
+      expect(navigation.page.constructor.name).toBe('BlogPage');
+      const link = document.querySelector('main article.blog-card .read-more');
+      expect(link.getAttribute('href')).toBe('/blog/yapay-zeka-ve-yazilim-gelistirmede-gelecegin-araclari');
+
+      click(link);
+      await flush();
+
+      // The post is rendered by blog.html, which is already on screen
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(window.location.pathname).toBe('/blog/yapay-zeka-ve-yazilim-gelistirmede-gelecegin-araclari');
+      expect(navigation.page.params).toEqual({ slug: 'yapay-zeka-ve-yazilim-gelistirmede-gelecegin-araclari' });
+      expect(link.closest('article').classList.contains('is-active')).toBe(true);
+      expect(AppStore.select('currentPage')).toBe('blog');
+      expect(AppStore.select('route')).toEqual({
+        name: 'blog-post',
+        params: { slug: 'yapay-zeka-ve-yazilim-gelistirmede-gelecegin-araclari' }
+      });
+
+      // Relative links keep resolving against blog.html, not /blog/
+      click(document.querySelector('.nav-link[href="services.html"]'));
+      await flush();
+
+      expect(window.location.pathname).toBe('/services.html');
+      expect(navigation.page.constructor.name).toBe('ServicesPage');
+      expect(document.querySelector('article.blog-card')).toBeNull();
+    });
+
+    test('should let route guards cancel navigation', async () => {
+      await navigation.destroy();
+      const beforeEnter = jest.fn(() => false);
+      navigation = await createNavigation({
+        router: { routes: routes.map(route => route.name === 'about' ? { ...route, beforeEnter } : route) }
+      });
+
+      const cancelled = [];
+      EventBus.on('navigation:cancelled', (data) => cancelled.push(data));
+
+      await expect(navigation.navigateTo('about')).resolves.toBe(false);
+
+      expect(beforeEnter).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'about' }),
+        expect.objectContaining({ name: 'home' })
+      );
+      expect(fetch).not.toHaveBeenCalled();
+      expect(window.location.pathname).toBe('/index.html');
+      expect(cancelled).toEqual([expect.objectContaining({ route: 'about', url: 'http://localhost/about.html' })]);
+    });
+
+    test('should ask before leaving a page with an unsent message', async () => {
+      jest.spyOn(window, 'confirm').mockReturnValue(false);
+      await navigation.navigateTo('contact');
+
+      const input = document.getElementById('name');
+      input.value = 'Ada';
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+
+      // Back button: the URL is put back while the form stays on screen
+      window.history.replaceState(window.history.state, '', '/index.html');
+      window.dispatchEvent(new PopStateEvent('popstate', { state: { page: 'home' } }));
+      await flush();
+
+      expect(window.confirm).toHaveBeenCalledTimes(1);
+      expect(window.location.pathname).toBe('/contact.html');
+      expect(document.getElementById('name').value).toBe('Ada');
+
+      window.confirm.mockReturnValue(true);
+      await expect(navigation.navigateTo('about')).resolves.toBe(true);
+
+      expect(navigation.page).toBeNull();
+      expect(document.querySelector('.form-status')).toBeNull();
+    });
+
+    test('should step forward again when a guard cancels the back button', async () => {
+      jest.spyOn(window, 'confirm').mockReturnValue(false);
+      const popped = () => new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+      await navigation.navigateTo('contact');
+
+      const input = document.getElementById('name');
+      input.value = 'Ada';
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      const length = window.history.length;
+
+      window.history.back();
+      await popped();
+      await popped();
+      await flush();
+
+      expect(window.confirm).toHaveBeenCalledTimes(1);
+      expect(window.location.pathname).toBe('/contact.html');
+      expect(window.history.length).toBe(length);
+
+      // The home page entry is still behind the contact page
+      window.confirm.mockReturnValue(true);
+      window.history.back();
+      await popped();
+      await flush();
+
+      expect(window.location.pathname).toBe('/index.html');
+      expect(window.history.length).toBe(length);
+    });
+  });
+
+  describe('Breadcrumbs and table of contents', () => {
+    let observers;
+
+    // jsdom has no IntersectionObserver; record instances to drive them by hand
+    class FakeIntersectionObserver {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = [];
+        this.disconnect = jest.fn();
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.targets.push(target);
+      }
+    }
+
+    beforeEach(() => {
+      observers = [];
+      window.IntersectionObserver = FakeIntersectionObserver;
+    });
+
+    afterEach(() => {
+      delete window.IntersectionObserver;
+    });
+
+    const crumbs = () => Array.from(document.querySelectorAll('main .breadcrumbs li'))
+      .map(item => item.textContent);
+
+    test('should show the route trail with the open post as current page', async () => {
+      expect(document.querySelector('.breadcrumbs')).toBeNull();
+
+      await navigation.navigateTo('blog-post', { params: { slug: 'yapay-zeka-ve-yazilim-gelistirmede-gelecegin-araclari' } });
+
+      const nav = document.querySelector('.page-header .container .breadcrumbs');
+      expect(nav.getAttribute('aria-label')).toBe('Sayfa yolu');
+      expect(crumbs()).toEqual(['Ana Sayfa', 'Blog', 'Yapay Zeka ve Yazılım Geliştirmede Geleceğin Araçları']);
+      expect(Array.from(nav.querySelectorAll('a')).map(link => link.getAttribute('href'))).toEqual(['/', '/blog.html']);
+      expect(nav.querySelector('[aria-current="page"]').tagName).toBe('SPAN');
+
+      AppStore.set('language', 'en');
+      expect(crumbs()).toEqual(['Home', 'Blog', 'Yapay Zeka ve Yazılım Geliştirmede Geleceğin Araçları']);
+      expect(document.querySelectorAll('.breadcrumbs')).toHaveLength(1);
+      AppStore.set('language', 'tr');
+    });
+
+    test('should list the headings of long pages and follow the section being read', async () => {
+      const sections = [];
+      EventBus.on('navigation:section', (data) => sections.push(data));
+
+      await navigation.navigateTo('services');
+
+      const toc = document.querySelector('main .page-header + nav.toc');
+      const links = Array.from(toc.querySelectorAll('a'));
+      expect(links.map(link => link.getAttribute('href'))).toEqual([
+        '#web-siteleri-ve-uygulamalari',
+        '#mobil-uygulamalar',
+        '#masaustu-uygulamalari',
+        '#ai-eklentileri',
+        '#danismanlik-hizmetleri',
+        '#projeniz-icin-hangi-hizmete-ihtiyaciniz-var'
+      ]);
+      expect(document.getElementById('mobil-uygulamalar').tagName).toBe('H3');
+
+      const [observer] = observers;
+      expect(observer.targets).toHaveLength(6);
+      window.scrollTo.mockClear();
+
+      observer.callback([{ target: observer.targets[1], isIntersecting: true }]);
+
+      expect(links[1].classList.contains('active')).toBe(true);
+      expect(links[1].getAttribute('aria-current')).toBe('location');
+      expect(window.location.hash).toBe('#mobil-uygulamalar');
+      expect(window.scrollTo).not.toHaveBeenCalled();
+
+      // Scrolling back up past the active heading highlights the one before
+      observer.callback([{
+        target: observer.targets[1],
+        isIntersecting: false,
+        boundingClientRect: { top: 500 },
+        rootBounds: { bottom: 300 }
+      }]);
+
+      expect(links[0].classList.contains('active')).toBe(true);
+      expect(links[1].classList.contains('active')).toBe(false);
+      expect(sections.map(section => section.id)).toEqual(['mobil-uygulamalar', 'web-siteleri-ve-uygulamalari']);
+
+      // Leaving the page removes the table of contents and its observer
+      await navigation.navigateTo('contact');
+
+      expect(observer.disconnect).toHaveBeenCalled();
+      expect(document.querySelector('.toc')).toBeNull();
+      expect(crumbs()).toEqual(['Ana Sayfa', 'İletişim']);
+    });
+
+    test('should scroll to a section picked in the table of contents', async () => {
+      await navigation.navigateTo('services');
+      window.scrollTo.mockClear();
+
+      const event = click(document.querySelector('.toc a[href="#ai-eklentileri"]'));
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(window.scrollTo).toHaveBeenCalledWith(expect.objectContaining({ behavior: 'smooth' }));
+      expect(window.location.hash).toBe('#ai-eklentileri');
+      expect(document.querySelector('.toc a.active').getAttribute('href')).toBe('#ai-eklentileri');
+    });
+  });
+});
@@ -5,6 +5,8 @@
 
 import { ThemeManager } from '../ThemeManager.js';
 import { EventBus } from '../../core/EventBus.js';
+import { AppStore, Store } from '../../core/Store.js';
+import { AppStorage, StorageService } from '../../core/StorageService.js';
 
 // Mock Logger
 jest.mock('../../utils/Logger.js', () => ({
@@ -186,7 +188,7 @@ describe('ThemeManager', () => {
     test('should save theme to localStorage', () => {
       themeManager.setTheme('dark');
       
-      expect(localStorage.getItem('codenexlify-theme')).toBe('dark');
+      expect(JSON.parse(localStorage.getItem('codenexlify-theme'))).toBe('dark');
     });
 
     test('should handle localStorage errors gracefully', () => {
@@ -204,6 +206,33 @@ describe('ThemeManager', () => {
     });
   });
 
+  describe('Injected Services', () => {
+    test('should use injected services instead of the shared globals', async () => {
+      const bus = new EventBus.constructor();
+      const store = new Store({});
+      const storage = new StorageService({ backend: 'memory' });
+      const changes = jest.fn();
+      const globalChanges = jest.fn();
+      bus.on('theme:change', changes);
+      EventBus.on('theme:change', globalChanges);
+      jest.spyOn(AppStorage, 'set');
+      jest.spyOn(AppStore, 'set');
+
+      const manager = await new ThemeManager({ services: { eventBus: bus, store, storage } }).init();
+      manager.setTheme('dark');
+
+      expect(storage.get('theme')).toBe('dark');
+      expect(store.select('theme')).toBe('dark');
+      expect(changes).toHaveBeenCalledWith('dark');
+      expect(globalChanges).not.toHaveBeenCalled();
+      expect(AppStorage.set).not.toHaveBeenCalled();
+      expect(AppStore.set).not.toHaveBeenCalled();
+
+      await manager.destroy();
+      jest.restoreAllMocks();
+    });
+  });
+
   describe('UI Updates', () => {
     beforeEach(async () => {
       await themeManager.init();
@@ -281,6 +310,16 @@ describe('ThemeManager', () => {
       
       expect(themeManager.state.currentTheme).not.toBe(initialTheme);
     });
+
+    test('should share theme through the app store', () => {
+      themeManager.setTheme('dark');
+      
+      expect(AppStore.select('theme')).toBe('dark');
+      
+      AppStore.set('theme', 'light');
+      
+      expect(themeManager.state.currentTheme).toBe('light');
+    });
   });
 
   describe('Custom Themes', () => {
@@ -330,6 +369,17 @@ describe('ThemeManager', () => {
       
       expect(themeManager.state.currentTheme).toBe('light');
     });
+
+    test('should follow custom themes in the app store', () => {
+      themeManager.addTheme('sepia', {});
+      const stored = AppStore.select('customThemes');
+      
+      AppStore.set('customThemes', {});
+      expect(themeManager.config.themes).not.toContain('sepia');
+      
+      AppStore.set('customThemes', stored);
+      expect(themeManager.config.themes).toContain('sepia');
+    });
   });
 
   describe('Configuration', () => {
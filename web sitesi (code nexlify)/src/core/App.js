@@ -4,25 +4,65 @@
  */
 
 import { EventBus } from './EventBus.js';
+import { AppStore } from './Store.js';
+import { AppStorage } from './StorageService.js';
+import { RemoteConfig } from './RemoteConfig.js';
+import { FeatureFlags } from './FeatureFlags.js';
+import { ErrorReporter } from './ErrorReporter.js';
+import { WebVitals } from './WebVitals.js';
+import { SeoManager } from './SeoManager.js';
+import { StructuredData } from './StructuredData.js';
+import { BeaconTransport, MockCollector } from './BeaconReporter.js';
 import { Logger } from '../utils/Logger.js';
 
 export class App {
   constructor() {
     this.logger = new Logger('App');
-    this.state = {
+    this.storage = AppStorage;
+    
+    // Shared state lives in the store; components subscribe to the slices they need
+    this.store = AppStore;
+    this.store.merge({
       isInitialized: false,
       currentPage: null,
       theme: 'light',
       language: 'tr',
+      languageFromUrl: false,
       isOnline: navigator.onLine
-    };
+    });
+    this.unsubscribeStore = this.store.subscribe(
+      state => state,
+      (newState, oldState) => this.handleStateChange(newState, oldState)
+    );
     
     this.config = {
       version: '2.0.0',
       name: 'CodeNexlify',
-      debug: process.env.NODE_ENV === 'development'
+      debug: process.env.NODE_ENV === 'development',
+      // Runtime config source; set url to null to use the last good copy only
+      remoteConfig: {
+        url: '/config/runtime.json',
+        timeout: 3000
+      },
+      // Error reports are batched to this endpoint; without one they stay in memory
+      errorReporting: {
+        endpoint: null
+      },
+      // Core Web Vitals field data, batched like error reports
+      vitals: {
+        endpoint: null,
+        reportAllChanges: false
+      }
     };
     
+    // Feature flags, filled from the runtime config in loadConfig()
+    this.flags = new FeatureFlags();
+    this.remoteConfig = null;
+    this.errorReporter = null;
+    this.vitals = null;
+    this.seo = null;
+    this.structuredData = null;
+    
     this.setupNetworkListeners();
   }
 
@@ -42,10 +82,11 @@ export class App {
       // Initialize core features
       await this.initializeCore();
       
-      this.state.isInitialized = true;
+      this.store.set('isInitialized', true);
       this.logger.success('✅ Core App initialized successfully');
       
-      EventBus.emit('app:core:ready');
+      // Sticky so late-initializing components still see it
+      EventBus.emitSticky('app:core:ready');
       
     } catch (error) {
       this.logger.error('❌ Failed to initialize Core App:', error);
@@ -58,13 +99,24 @@ export class App {
    */
   async loadConfig() {
     try {
-      // Load from localStorage or API
-      const savedConfig = localStorage.getItem('codenexlify-config');
-      if (savedConfig) {
-        const parsedConfig = JSON.parse(savedConfig);
-        this.config = { ...this.config, ...parsedConfig };
+      // Load from storage
+      const savedConfig = this.storage.get('config');
+      if (savedConfig && typeof savedConfig === 'object') {
+        this.config = { ...this.config, ...savedConfig };
       }
       
+      // Load runtime config and flags from the API (or the last good copy)
+      this.remoteConfig = new RemoteConfig({ config: this.config.remoteConfig });
+      const remote = await this.remoteConfig.load();
+      this.config = { ...this.config, ...remote.config };
+      this.flags.setFlags(remote.flags);
+      
+      EventBus.emit('config:loaded', {
+        source: this.remoteConfig.source,
+        etag: this.remoteConfig.etag || undefined,
+        flags: Object.keys(remote.flags)
+      });
+      
       this.logger.info('⚙️ Configuration loaded:', this.config);
     } catch (error) {
       this.logger.warn('⚠️ Failed to load configuration, using defaults');
@@ -75,11 +127,13 @@ export class App {
    * Setup global application state
    */
   setupGlobalState() {
-    // Detect current page
-    this.state.currentPage = this.detectCurrentPage();
-    
-    // Load saved preferences
-    this.loadUserPreferences();
+    this.store.batch(() => {
+      // Detect current page
+      this.store.set('currentPage', this.detectCurrentPage());
+      
+      // Load saved preferences
+      this.loadUserPreferences();
+    });
     
     // Setup state change listeners
     this.setupStateListeners();
@@ -124,19 +178,13 @@ export class App {
   }
 
   /**
-   * Load user preferences from localStorage
+   * Load user preferences from storage
    */
   loadUserPreferences() {
-    try {
-      const preferences = localStorage.getItem('codenexlify-preferences');
-      if (preferences) {
-        const parsed = JSON.parse(preferences);
-        this.state.theme = parsed.theme || 'light';
-        this.state.language = parsed.language || 'tr';
-      }
-    } catch (error) {
-      this.logger.warn('⚠️ Failed to load user preferences');
-    }
+    this.store.merge({
+      theme: this.storage.get('theme', 'light'),
+      language: this.storage.get('language', 'tr')
+    });
   }
 
   /**
@@ -178,27 +226,40 @@ export class App {
 
   /**
    * Setup global error handling
+   * Every error source goes through handleError and the error reporter
    */
   setupErrorHandling() {
+    const { endpoint, ...reporterConfig } = this.config.errorReporting || {};
+    
+    this.errorReporter = new ErrorReporter({
+      transport: endpoint ? new BeaconTransport({ endpoint }) : new MockCollector(),
+      config: { release: this.config.version, ...reporterConfig }
+    }).start();
+    
     // Global error handler
     window.addEventListener('error', (event) => {
-      this.handleError({
+      this.handleError(event.error || event.message, {
         type: 'javascript',
         message: event.message,
         filename: event.filename,
         lineno: event.lineno,
-        colno: event.colno,
-        error: event.error
+        colno: event.colno
       });
     });
     
     // Unhandled promise rejection handler
     window.addEventListener('unhandledrejection', (event) => {
-      this.handleError({
-        type: 'promise',
-        reason: event.reason,
-        promise: event.promise
-      });
+      this.handleError(event.reason, { type: 'promise' });
+    });
+    
+    // Errors thrown by event listeners
+    EventBus.on('error', ({ originalEvent, error }) => {
+      this.handleError(error, { type: 'listener', tags: { event: originalEvent } });
+    });
+    
+    // Component lifecycle failures
+    EventBus.on('component:error', ({ component, error }) => {
+      this.handleError(error, { type: 'component', tags: { component: component && component.name } });
     });
   }
 
@@ -206,6 +267,14 @@ export class App {
    * Setup performance monitoring
    */
   setupPerformanceMonitoring() {
+    // Field Core Web Vitals (LCP, CLS, INP, TTFB), emitted as performance:vital
+    const { endpoint, ...vitalsConfig } = this.config.vitals || {};
+    
+    this.vitals = new WebVitals({
+      transport: endpoint ? new BeaconTransport({ endpoint }) : new MockCollector(),
+      config: { release: this.config.version, ...vitalsConfig }
+    }).start();
+    
     if ('performance' in window) {
       // Monitor page load performance
       window.addEventListener('load', () => {
@@ -243,8 +312,8 @@ export class App {
    * Setup SEO features
    */
   setupSEO() {
-    // Update meta tags based on current page
-    this.updateMetaTags();
+    // Page metadata from the content manifest, updated on page and language changes
+    this.seo = new SeoManager().start();
     
     // Setup structured data
     this.setupStructuredData();
@@ -323,106 +392,12 @@ export class App {
     });
   }
 
-  /**
-   * Update meta tags for current page
-   */
-  updateMetaTags() {
-    const pageMetadata = this.getPageMetadata();
-    
-    // Update title
-    document.title = pageMetadata.title;
-    
-    // Update meta description
-    let metaDescription = document.querySelector('meta[name="description"]');
-    if (metaDescription) {
-      metaDescription.setAttribute('content', pageMetadata.description);
-    }
-    
-    // Update Open Graph tags
-    this.updateOpenGraphTags(pageMetadata);
-  }
-
-  /**
-   * Get metadata for current page
-   */
-  getPageMetadata() {
-    const metadata = {
-      home: {
-        title: 'CodeNexlify - Yenilikçi Teknoloji Çözümleri',
-        description: 'AI odaklı hizmetlerle geliştiricilere ve işletmelere ilham veriyoruz. Web, mobil, masaüstü ve AI eklentileri geliştirme hizmetleri.'
-      },
-      about: {
-        title: 'Hakkımızda - CodeNexlify',
-        description: 'CodeNexlify ekibi ve vizyonumuz hakkında bilgi edinin. Yenilikçi teknoloji çözümleri sunan uzman ekibimizi tanıyın.'
-      },
-      services: {
-        title: 'Hizmetlerimiz - CodeNexlify',
-        description: 'Web geliştirme, mobil uygulamalar, masaüstü yazılımlar, AI eklentileri ve danışmanlık hizmetlerimizi keşfedin.'
-      },
-      contact: {
-        title: 'İletişim - CodeNexlify',
-        description: 'Projeleriniz için ücretsiz konsültasyon alın. CodeNexlify ile iletişime geçin ve hayalinizdeki projeyi gerçekleştirin.'
-      },
-      blog: {
-        title: 'Blog - CodeNexlify',
-        description: 'Teknoloji dünyasından güncel haberler, yazılım geliştirme ipuçları ve AI konularında uzman görüşleri.'
-      }
-    };
-    
-    return metadata[this.state.currentPage] || metadata.home;
-  }
-
-  /**
-   * Update Open Graph tags
-   */
-  updateOpenGraphTags(metadata) {
-    const ogTags = [
-      { property: 'og:title', content: metadata.title },
-      { property: 'og:description', content: metadata.description },
-      { property: 'og:type', content: 'website' },
-      { property: 'og:url', content: window.location.href },
-      { property: 'og:site_name', content: 'CodeNexlify' }
-    ];
-    
-    ogTags.forEach(tag => {
-      let element = document.querySelector(`meta[property="${tag.property}"]`);
-      if (!element) {
-        element = document.createElement('meta');
-        element.setAttribute('property', tag.property);
-        document.head.appendChild(element);
-      }
-      element.setAttribute('content', tag.content);
-    });
-  }
-
   /**
    * Setup structured data
    */
   setupStructuredData() {
-    const structuredData = {
-      '@context': 'https://schema.org',
-      '@type': 'Organization',
-      'name': 'CodeNexlify',
-      'description': 'Yenilikçi teknoloji çözümleri sunan yazılım geliştirme şirketi',
-      'url': 'https://codenexlify.com',
-      'logo': 'https://codenexlify.com/assets/logo.png',
-      'contactPoint': {
-        '@type': 'ContactPoint',
-        'telephone': '+90-555-123-4567',
-        'contactType': 'customer service',
-        'availableLanguage': ['Turkish', 'English']
-      },
-      'sameAs': [
-        'https://twitter.com/codenexlify',
-        'https://linkedin.com/company/codenexlify',
-        'https://github.com/codenexlify'
-      ]
-    };
-    
-    const script = document.createElement('script');
-    script.type = 'application/ld+json';
-    script.textContent = JSON.stringify(structuredData);
-    document.head.appendChild(script);
+    // JSON-LD graph for the current page, rebuilt on page and language changes
+    this.structuredData = new StructuredData({ seo: this.seo }).start();
   }
 
   /**
@@ -446,50 +421,76 @@ export class App {
   /**
    * Handle application errors
    */
-  handleError(errorData) {
-    this.logger.error('🚨 Application Error:', errorData);
+  handleError(error, context = {}) {
+    // Errors raised before the reporter starts are only logged
+    const report = this.errorReporter
+      ? this.errorReporter.capture(error, context)
+      : { type: context.type || 'javascript', message: error && error.message ? error.message : String(error) };
+    
+    // Repeats of a recent error are counted by the reporter, not re-announced
+    if (!report) {
+      return;
+    }
+    
+    this.logger.error('🚨 Application Error:', report.message, error);
     
     // Emit error event for other components to handle
-    EventBus.emit('app:error', errorData);
+    EventBus.emit('app:error', report);
     
     // Track error in analytics if available
-    EventBus.emit('analytics:error', errorData);
+    EventBus.emit('analytics:error', report);
+  }
+
+  /**
+   * Current state snapshot (read-only, write through the store)
+   */
+  get state() {
+    return this.store.getState();
   }
 
   /**
    * Update application state
    */
   updateState(newState) {
-    const oldState = { ...this.state };
-    this.state = { ...this.state, ...newState };
+    this.store.merge(newState);
+  }
+
+  /**
+   * React to store changes from any writer
+   */
+  handleStateChange(newState, oldState) {
+    const changes = {};
+    Object.keys(newState).forEach(key => {
+      if (!Object.is(newState[key], oldState[key])) {
+        changes[key] = newState[key];
+      }
+    });
     
-    // Save preferences to localStorage
-    this.saveUserPreferences();
+    // Save preferences to storage
+    this.saveUserPreferences(changes);
     
     // Emit state change event
     EventBus.emit('app:state:updated', {
       oldState,
-      newState: this.state,
-      changes: newState
+      newState,
+      changes
     });
     
-    this.logger.info('🔄 State updated:', newState);
+    this.logger.info('🔄 State updated:', changes);
   }
 
   /**
-   * Save user preferences to localStorage
+   * Save user preferences to storage
    */
-  saveUserPreferences() {
-    try {
-      const preferences = {
-        theme: this.state.theme,
-        language: this.state.language
-      };
-      
-      localStorage.setItem('codenexlify-preferences', JSON.stringify(preferences));
-    } catch (error) {
-      this.logger.warn('⚠️ Failed to save user preferences:', error);
-    }
+  saveUserPreferences(changes = this.state) {
+    // A language from the URL (?lang=en) only applies to the current visit
+    const keys = this.state.languageFromUrl ? ['theme'] : ['theme', 'language'];
+    
+    keys.forEach(key => {
+      if (key in changes) {
+        this.storage.set(key, changes[key]);
+      }
+    });
   }
 
   /**
@@ -519,11 +520,28 @@ export class App {
   cleanup() {
     this.logger.info('🧹 Cleaning up Core App...');
     
+    // Send queued error reports and vitals
+    if (this.errorReporter) {
+      this.errorReporter.stop();
+    }
+    if (this.vitals) {
+      this.vitals.stop();
+    }
+    
+    // Stop following page and language for metadata
+    if (this.seo) {
+      this.seo.stop();
+    }
+    if (this.structuredData) {
+      this.structuredData.stop();
+    }
+    
     // Remove event listeners
     EventBus.removeAllListeners();
     
     // Clear state
-    this.state.isInitialized = false;
+    this.store.set('isInitialized', false);
+    this.unsubscribeStore();
     
     this.logger.info('✅ Core App cleanup completed');
   }
@@ -2,19 +2,47 @@
  * Base Component Class
  * Foundation class for all application components
  * Provides lifecycle management, event handling, and state management
+ *
+ * Services listed in `static inject` are resolved from the registry's
+ * container and passed in as options.services; components built directly
+ * (or in tests) can pass their own. Missing services fall back to the
+ * shared Logger, EventBus and AppStore.
+ *
+ * With config.errorBoundary a component catches mount and update failures of
+ * its children: it shows a fallback in their place and retries them with
+ * exponential backoff until they recover or run out of retries.
  */
 
 import { EventBus } from './EventBus.js';
+import { AppStore } from './Store.js';
 import { Logger } from '../utils/Logger.js';
 
+// Error boundary settings used when config.errorBoundary is true
+const BOUNDARY_DEFAULTS = {
+  retries: 3,
+  backoff: 1000,
+  factor: 2,
+  maxBackoff: 30000,
+  message: 'Bu bölüm şu anda yüklenemiyor. Tekrar deneniyor...',
+  fallback: null
+};
+
 export class BaseComponent {
+  // Services resolved from the container (extend in subclasses)
+  static inject = ['logger', 'eventBus', 'store'];
+
   constructor(options = {}) {
     // Component identification
     this.id = options.id || this.generateId();
     this.name = options.name || this.constructor.name;
     
+    // Injected services
+    this.services = { ...options.services };
+    this.bus = this.services.eventBus || EventBus;
+    this.store = this.services.store || AppStore;
+    
     // Logger instance
-    this.logger = new Logger(this.name);
+    this.logger = this.services.logger || new Logger(this.name);
     
     // Component state
     this.state = {
@@ -32,6 +60,7 @@ export class BaseComponent {
       enableEvents: true,
       enableStateTracking: true,
       debugMode: process.env.NODE_ENV === 'development',
+      errorBoundary: false,
       ...options.config
     };
     
@@ -39,13 +68,17 @@ export class BaseComponent {
     this.element = null;
     this.container = options.container || null;
     
-    // Event listeners registry
-    this.eventListeners = new Map();
+    // Event subscriptions, disposed together on destroy
+    this.subscriptions = this.bus.scope(this.name);
     this.domEventListeners = new Map();
+    this.requestHandlers = new Map();
     
     // Child components
     this.children = new Map();
     
+    // Failed children waiting for a retry (error boundary)
+    this.childErrors = new Map();
+    
     // Parent component reference
     this.parent = options.parent || null;
     
@@ -215,7 +248,12 @@ export class BaseComponent {
     } catch (error) {
       this.setState({ error });
       this.logger.error(`❌ Failed to mount component: ${this.name}`, error);
-      this.emit('component:error', { component: this, error });
+      this.emit('component:error', { component: this, error, phase: 'mount' });
+      
+      // A parent acting as error boundary shows a fallback and retries
+      if (this.reportToBoundary(error, 'mount', [container])) {
+        return this;
+      }
       throw error;
     }
   }
@@ -288,7 +326,12 @@ export class BaseComponent {
     } catch (error) {
       this.setState({ error });
       this.logger.error(`❌ Failed to update component: ${this.name}`, error);
-      this.emit('component:error', { component: this, error });
+      this.emit('component:error', { component: this, error, phase: 'update' });
+      
+      // A parent acting as error boundary shows a fallback and retries
+      if (this.reportToBoundary(error, 'update', [newState])) {
+        return this;
+      }
       throw error;
     }
   }
@@ -328,6 +371,7 @@ export class BaseComponent {
       await this.runHooks('beforeDestroy');
       
       // Destroy child components
+      this.clearChildErrors();
       for (const [childId, child] of this.children) {
         if (child.destroy && typeof child.destroy === 'function') {
           await child.destroy();
@@ -346,6 +390,8 @@ export class BaseComponent {
       // Remove event listeners
       this.removeAllEventListeners();
       this.removeAllDOMEventListeners();
+      this.removeAllRequestHandlers();
+      this.detectListenerLeaks();
       
       // Mark as destroyed
       this.setState({ 
@@ -436,47 +482,64 @@ export class BaseComponent {
    * Add event listener
    */
   on(eventName, callback, options = {}) {
-    const listenerId = EventBus.on(eventName, callback, {
+    return this.subscriptions.on(eventName, callback, {
       ...options,
       context: this
     });
-    
-    if (!this.eventListeners.has(eventName)) {
-      this.eventListeners.set(eventName, []);
-    }
-    
-    this.eventListeners.get(eventName).push(listenerId);
-    
-    return listenerId;
   }
 
   /**
    * Remove event listener
    */
   off(eventName, listenerId) {
-    const success = EventBus.off(eventName, listenerId);
-    
-    if (this.eventListeners.has(eventName)) {
-      const listeners = this.eventListeners.get(eventName);
-      const index = listeners.indexOf(listenerId);
-      if (index !== -1) {
-        listeners.splice(index, 1);
-      }
-    }
-    
-    return success;
+    return this.subscriptions.off(eventName, listenerId);
   }
 
   /**
    * Emit event
    */
   emit(eventName, data = {}) {
-    return EventBus.emit(eventName, {
+    return this.bus.emit(eventName, {
       ...data,
       source: this
     });
   }
 
+  /**
+   * Respond to requests made with EventBus.request()
+   */
+  handle(requestName, handler) {
+    // Already answering this request
+    if (this.requestHandlers.has(requestName)) {
+      return this.requestHandlers.get(requestName);
+    }
+    
+    const handlerId = this.subscriptions.handle(requestName, handler, { context: this });
+    
+    if (handlerId) {
+      this.requestHandlers.set(requestName, handlerId);
+    }
+    
+    return handlerId;
+  }
+
+  /**
+   * Subscribe to a slice of the shared AppStore (or the injected store)
+   * The subscription is removed together with the component's listeners
+   */
+  watch(selector, callback, options = {}) {
+    const unsubscribe = this.store.subscribe(selector, callback.bind(this), options);
+    this.subscriptions.add(unsubscribe);
+    return unsubscribe;
+  }
+
+  /**
+   * Ask another component through EventBus.request()
+   */
+  request(requestName, payload, options = {}) {
+    return this.bus.request(requestName, payload, options);
+  }
+
   /**
    * Add DOM event listener
    */
@@ -511,12 +574,35 @@ export class BaseComponent {
    * Remove all event listeners
    */
   removeAllEventListeners() {
-    for (const [eventName, listeners] of this.eventListeners) {
-      listeners.forEach(listenerId => {
-        EventBus.off(eventName, listenerId);
-      });
+    this.subscriptions.dispose();
+    this.subscriptions = this.bus.scope(this.name);
+  }
+
+  /**
+   * Warn about listeners still bound to this component after cleanup
+   * These were registered on EventBus directly and will keep it alive
+   */
+  detectListenerLeaks() {
+    const leaks = this.bus.getSubscriptionsByContext(this);
+
+    if (leaks.length > 0) {
+      this.logger.warn(
+        `⚠️ Possible listener leak: ${this.name} still has ${leaks.length} live subscription(s)`,
+        leaks.map(({ type, eventName }) => `${type}:${eventName}`)
+      );
     }
-    this.eventListeners.clear();
+
+    return leaks;
+  }
+
+  /**
+   * Remove all request handlers
+   */
+  removeAllRequestHandlers() {
+    for (const [requestName, handlerId] of this.requestHandlers) {
+      this.bus.unhandle(requestName, handlerId);
+    }
+    this.requestHandlers.clear();
   }
 
   /**
@@ -561,6 +647,7 @@ export class BaseComponent {
     }
     
     const child = this.children.get(childId);
+    this.clearChildError(child);
     if (child.destroy && typeof child.destroy === 'function') {
       child.destroy();
     }
@@ -587,6 +674,177 @@ export class BaseComponent {
     return new Map(this.children);
   }
 
+  /**
+   * Let the parent's error boundary handle a failure
+   * Returns true when the parent took over (fallback shown, retry scheduled)
+   */
+  reportToBoundary(error, phase, args = []) {
+    if (!this.parent || typeof this.parent.handleChildError !== 'function') {
+      return false;
+    }
+    
+    try {
+      return !!this.parent.handleChildError(this, error, { phase, args });
+    } catch (boundaryError) {
+      this.logger.error('❌ Error boundary failed:', boundaryError);
+      return false;
+    }
+  }
+
+  /**
+   * Error boundary settings, or null when this component is not a boundary
+   */
+  getBoundaryConfig() {
+    const { errorBoundary } = this.config;
+    if (!errorBoundary) {
+      return null;
+    }
+    
+    return errorBoundary === true
+      ? { ...BOUNDARY_DEFAULTS }
+      : { ...BOUNDARY_DEFAULTS, ...errorBoundary };
+  }
+
+  /**
+   * Catch a child's mount or update failure (error boundary)
+   */
+  handleChildError(child, error, { phase, args = [] } = {}) {
+    const boundary = this.getBoundaryConfig();
+    if (!boundary) {
+      return false;
+    }
+    
+    const record = this.childErrors.get(child) || { attempts: 0, timer: null, fallback: null };
+    Object.assign(record, { error, phase, args });
+    this.childErrors.set(child, record);
+    
+    this.showFallback(child, record, boundary);
+    
+    if (record.attempts >= boundary.retries) {
+      this.logger.error(`❌ ${child.name} still failing after ${record.attempts} retries, keeping the fallback`);
+      this.emit('component:fallback', { component: child, error, attempt: record.attempts });
+      return true;
+    }
+    
+    const delay = Math.min(boundary.backoff * boundary.factor ** record.attempts, boundary.maxBackoff);
+    clearTimeout(record.timer);
+    record.timer = setTimeout(() => this.retryChild(child), delay);
+    
+    this.logger.warn(`⚠️ ${child.name} failed to ${phase}, retrying in ${delay}ms`);
+    this.emit('component:fallback', { component: child, error, attempt: record.attempts, retryIn: delay });
+    return true;
+  }
+
+  /**
+   * Run a failed child's mount or update again
+   * Another failure goes back through handleChildError and schedules the next retry
+   */
+  async retryChild(child) {
+    const record = this.childErrors.get(child);
+    const boundary = this.getBoundaryConfig();
+    if (!record || !boundary || this.state.destroyed || child.state.destroyed) {
+      return false;
+    }
+    
+    record.timer = null;
+    record.attempts++;
+    this.logger.info(`🔁 Retrying ${child.name} (${record.attempts}/${boundary.retries})`);
+    
+    child.clearError();
+    try {
+      await child[record.phase](...record.args);
+    } catch (error) {
+      // The boundary was turned off in the meantime
+      return false;
+    }
+    
+    if (child.hasError()) {
+      return false;
+    }
+    
+    this.clearChildError(child);
+    this.logger.success(`✅ ${child.name} recovered after ${record.attempts} retries`);
+    this.emit('component:recovered', { component: child, attempts: record.attempts });
+    return true;
+  }
+
+  /**
+   * Put the fallback where the failed child is (or would be) rendered
+   */
+  showFallback(child, record, boundary) {
+    if (!record.fallback) {
+      record.fallback = this.createFallback(child, record.error, boundary);
+    }
+    
+    const { fallback } = record;
+    if (!fallback) return;
+    
+    // A mounted child keeps its element, hidden until it recovers
+    if (child.element && child.element.parentNode) {
+      child.element.hidden = true;
+      child.element.parentNode.insertBefore(fallback, child.element);
+      return;
+    }
+    
+    if (!fallback.parentNode) {
+      const target = typeof child.container === 'string'
+        ? document.querySelector(child.container)
+        : child.container || this.element;
+      
+      if (target) {
+        target.appendChild(fallback);
+      }
+    }
+  }
+
+  /**
+   * Create the fallback element for a failed child
+   * Uses config.errorBoundary.fallback(child, error) when given
+   */
+  createFallback(child, error, boundary) {
+    if (typeof boundary.fallback === 'function') {
+      return boundary.fallback.call(this, child, error) || null;
+    }
+    
+    const { t } = this.services;
+    const key = 'common.section_unavailable';
+    const translated = t ? t(key) : key;
+    
+    const element = document.createElement('div');
+    element.className = 'component-fallback';
+    element.setAttribute('role', 'status');
+    element.setAttribute('data-fallback-for', child.id);
+    element.setAttribute('data-i18n', key);
+    element.textContent = translated !== key ? translated : boundary.message;
+    return element;
+  }
+
+  /**
+   * Stop retrying a child and remove its fallback
+   */
+  clearChildError(child) {
+    const record = this.childErrors.get(child);
+    if (!record) {
+      return;
+    }
+    
+    clearTimeout(record.timer);
+    if (record.fallback && record.fallback.parentNode) {
+      record.fallback.parentNode.removeChild(record.fallback);
+    }
+    if (child.element) {
+      child.element.hidden = false;
+    }
+    this.childErrors.delete(child);
+  }
+
+  /**
+   * Stop all pending child retries
+   */
+  clearChildErrors() {
+    Array.from(this.childErrors.keys()).forEach(child => this.clearChildError(child));
+  }
+
   /**
    * Check dependencies
    */
@@ -598,9 +856,8 @@ export class BaseComponent {
     this.logger.debug(`🔍 Checking dependencies: ${this.dependencies.join(', ')}`);
     
     for (const dependency of this.dependencies) {
-      // Check if dependency is available
-      // This could be extended to check for specific components, APIs, etc.
-      if (typeof dependency === 'string' && !window[dependency]) {
+      // Injected services first, then browser globals (e.g. 'IntersectionObserver')
+      if (typeof dependency === 'string' && this.services[dependency] === undefined && !window[dependency]) {
         throw new Error(`Missing dependency: ${dependency}`);
       }
     }
@@ -693,6 +950,21 @@ export class BaseComponent {
     };
   }
 
+  /**
+   * Restore state saved with serialize(), e.g. after a hot module update
+   * Lifecycle flags are not restored, so the new instance initializes normally
+   */
+  hydrate(snapshot = {}) {
+    const { initialized, mounted, destroyed, loading, error, ...state } = snapshot.state || {};
+    
+    if (snapshot.id) {
+      this.id = snapshot.id;
+    }
+    this.setState(state);
+    
+    return this;
+  }
+
   /**
    * Check if component is ready
    */
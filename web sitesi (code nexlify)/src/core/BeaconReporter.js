@@ -0,0 +1,198 @@
+/**
+ * Beacon Reporter
+ * Batches telemetry items (error reports, web vitals) and hands each batch
+ * to a transport, flushing by size, on a timer and when the page is hidden
+ *
+ * Batches look like { ...meta, type, sentAt, items }.
+ *
+ * @example
+ * const reporter = new BeaconReporter({
+ *   transport: new BeaconTransport({ endpoint: '/api/vitals' }),
+ *   config: { type: 'vitals', meta: { release: '2.0.0' } }
+ * }).start();
+ * reporter.add({ name: 'LCP', value: 1830 });
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * Posts batches to an HTTP endpoint
+ * Uses sendBeacon so batches survive page unloads, with a keepalive fetch fallback
+ */
+export class BeaconTransport {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint;
+  }
+
+  send(payload) {
+    const body = JSON.stringify(payload);
+
+    if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+      const blob = new Blob([body], { type: 'application/json' });
+      if (navigator.sendBeacon(this.endpoint, blob)) {
+        return true;
+      }
+    }
+
+    if (typeof fetch === 'function') {
+      fetch(this.endpoint, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' }
+      }).catch(() => {});
+      return true;
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Collects batches in memory, for tests and local development
+ */
+export class MockCollector {
+  constructor() {
+    this.batches = [];
+  }
+
+  send(payload) {
+    this.batches.push(payload);
+    return true;
+  }
+
+  get items() {
+    return this.batches.flatMap(batch => batch.items);
+  }
+
+  clear() {
+    this.batches = [];
+  }
+}
+
+export class BeaconReporter {
+  constructor(options = {}) {
+    this.logger = new Logger(options.name || 'BeaconReporter');
+    this.transport = options.transport || null;
+
+    // Configuration
+    this.config = {
+      type: 'telemetry',
+      meta: {},
+      batchSize: 10,
+      flushInterval: 5000,
+      ...options.config
+    };
+
+    this.queue = [];
+    this.flushTimer = null;
+    this.sent = 0;
+    this.started = false;
+
+    this.onPageHide = () => this.flush();
+    this.onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    };
+  }
+
+  /**
+   * Flush when the page is hidden or unloaded
+   */
+  start() {
+    if (!this.started) {
+      window.addEventListener('pagehide', this.onPageHide);
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+      this.started = true;
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening and send what is queued
+   */
+  stop() {
+    window.removeEventListener('pagehide', this.onPageHide);
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    this.started = false;
+
+    this.flush();
+  }
+
+  /**
+   * Queue an item and schedule a flush
+   */
+  add(item) {
+    if (!this.transport) {
+      return false;
+    }
+
+    this.queue.push(item);
+
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.config.flushInterval);
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether an item is still waiting to be sent
+   */
+  has(item) {
+    return this.queue.includes(item);
+  }
+
+  /**
+   * Send queued items in batches
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (!this.transport || this.queue.length === 0) {
+      return 0;
+    }
+
+    let sent = 0;
+
+    while (this.queue.length > 0) {
+      const items = this.queue.splice(0, this.config.batchSize);
+
+      try {
+        const accepted = this.transport.send({
+          ...this.config.meta,
+          type: this.config.type,
+          sentAt: new Date().toISOString(),
+          items
+        });
+
+        if (accepted === false) {
+          throw new Error('Transport rejected the batch');
+        }
+
+        sent += items.length;
+      } catch (error) {
+        this.logger.warn(`⚠️ Failed to send ${items.length} ${this.config.type} item(s):`, error);
+      }
+    }
+
+    this.sent += sent;
+    return sent;
+  }
+
+  /**
+   * Get reporter statistics
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      sent: this.sent
+    };
+  }
+}
@@ -1,15 +1,58 @@
 /**
  * Component Registry
  * Manages component registration and instantiation
+ *
+ * Components declare the registry names they depend on, either on the class
+ * (static dependsOn = ['i18n']) or when registering ({ dependsOn: ['i18n'] }).
+ * initializeAll() starts independent components side by side and starts each
+ * dependent once its dependencies are ready; getStartupGraph() reports when
+ * every component started and how long it waited and took.
+ *
+ * Services a class lists in `static inject` are resolved from the registry's
+ * container and passed to its constructor as options.services.
+ *
+ * Registering with a `when` trigger (see LoadTriggers.js) takes a loader
+ * instead of a class, which keeps the component out of the main bundle. It
+ * is imported and started when the trigger fires, or earlier through load()
+ * or a component that depends on it.
+ *
+ * During development hotReplace() swaps a component for the new version of
+ * its module (Vite HMR, see index.js), carrying the serialized state over.
+ *
+ * Failed starts and component:error events from registered instances are
+ * counted; a component that fails `threshold` times within `window` ms is
+ * marked degraded until it recovers (see getHealthReport()).
+ *
+ * @example
+ * registry.register('pwa', () => import('../components/PWAManager.js'), { when: 'idle' });
  */
 
+import { Container } from './Container.js';
+import { EventBus } from './EventBus.js';
+import { waitForTrigger, describeTrigger } from './LoadTriggers.js';
 import { Logger } from '../utils/Logger.js';
 
 export class ComponentRegistry {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('ComponentRegistry');
     this.components = new Map();
     this.instances = new Map();
+    
+    // Services injected into components (see services.js)
+    this.container = options.container || new Container();
+    
+    // Result of the last initializeAll(), lazy components are added as they start
+    this.startup = null;
+    this.starting = new Map();
+    
+    // Failures per component, reported by getHealthReport()
+    this.health = new Map();
+    this.healthConfig = {
+      threshold: 3,
+      window: 60000,
+      ...options.health
+    };
+    this.healthScope = null;
   }
 
   /**
@@ -30,9 +73,21 @@ export class ComponentRegistry {
       this.logger.warn(`⚠️ Component '${name}' is already registered. Overwriting...`);
     }
 
+    // Registry options are not passed to the constructor
+    const { dependsOn = null, when = null, export: exportName = null, ...componentOptions } = options;
+    
+    // Lazy components are registered with a loader (() => import('./X.js'))
+    const loader = when ? ComponentClass : null;
+    
+    this.cancelTrigger(name);
     this.components.set(name, {
-      ComponentClass,
-      options,
+      ComponentClass: loader ? null : ComponentClass,
+      loader,
+      exportName,
+      when,
+      trigger: null,
+      options: componentOptions,
+      dependsOn,
       registered: Date.now()
     });
 
@@ -48,6 +103,10 @@ export class ComponentRegistry {
       return false;
     }
 
+    // Stop waiting for a load trigger
+    this.cancelTrigger(name);
+    this.starting.delete(name);
+    
     // Cleanup instance if exists
     if (this.instances.has(name)) {
       const instance = this.instances.get(name);
@@ -58,6 +117,7 @@ export class ComponentRegistry {
     }
 
     this.components.delete(name);
+    this.health.delete(name);
     this.logger.info(`🗑️ Component '${name}' unregistered successfully`);
     return true;
   }
@@ -70,6 +130,143 @@ export class ComponentRegistry {
     return component ? component.ComponentClass : null;
   }
 
+  /**
+   * Get the registry names a component depends on
+   * Lazy components declare theirs on the class once it is loaded
+   */
+  getDependencies(name) {
+    const component = this.components.get(name);
+    if (!component) {
+      return [];
+    }
+    
+    const { dependsOn, ComponentClass } = component;
+    return [...(dependsOn || (ComponentClass && ComponentClass.dependsOn) || [])];
+  }
+
+  /**
+   * Check if a component waits for a load trigger
+   */
+  isLazy(name) {
+    const component = this.components.get(name);
+    return !!(component && component.when);
+  }
+
+  /**
+   * Import a lazily registered component class
+   */
+  async loadClass(name) {
+    const component = this.components.get(name);
+    if (component.ComponentClass) {
+      return component.ComponentClass;
+    }
+    
+    const module = await component.loader();
+    const ComponentClass = this.getComponentExport(module, component);
+    
+    if (typeof ComponentClass !== 'function') {
+      throw new Error(`Module loaded for '${name}' does not export a component`);
+    }
+    
+    component.ComponentClass = ComponentClass;
+    this.logger.info(`📥 Component '${name}' loaded`);
+    return ComponentClass;
+  }
+
+  /**
+   * Find the component class among a module's exports
+   */
+  getComponentExport(module, component) {
+    if (component.exportName) {
+      return module[component.exportName];
+    }
+    
+    // A new version of a module exports the class under the same name
+    const previousName = component.ComponentClass && component.ComponentClass.name;
+    
+    return module.default
+      || (previousName && module[previousName])
+      || Object.values(module).find(value => typeof value === 'function');
+  }
+
+  /**
+   * Replace a component with the new version of its module (hot module replacement)
+   * The old instance is destroyed and the new one gets its serialized state,
+   * is initialized (binding its EventBus listeners again) and re-mounted
+   */
+  async hotReplace(name, module) {
+    const component = this.components.get(name);
+    if (!component) {
+      this.logger.warn(`⚠️ Component '${name}' is not registered`);
+      return null;
+    }
+    
+    const NextClass = this.getComponentExport(module, component);
+    if (typeof NextClass !== 'function') {
+      this.logger.error(`❌ Updated module for '${name}' does not export a component`);
+      return null;
+    }
+    
+    component.ComponentClass = NextClass;
+    
+    // Not started yet; it will start with the new class
+    const previous = this.instances.get(name);
+    if (!previous) {
+      this.logger.info(`🔥 Component '${name}' updated`);
+      return null;
+    }
+    
+    try {
+      const snapshot = typeof previous.serialize === 'function' ? previous.serialize() : null;
+      const wasMounted = !!(previous.state && previous.state.mounted);
+      const mountTarget = previous.container || null;
+      
+      if (typeof previous.destroy === 'function') {
+        await previous.destroy();
+      } else if (typeof previous.cleanup === 'function') {
+        await previous.cleanup();
+      }
+      this.instances.delete(name);
+      
+      const instance = this.getInstance(name);
+      if (!instance) {
+        throw new Error(`Failed to create instance of '${name}'`);
+      }
+      
+      if (snapshot && typeof instance.hydrate === 'function') {
+        instance.hydrate(snapshot);
+      }
+      if (typeof instance.init === 'function') {
+        await instance.init();
+      }
+      if (wasMounted && !(instance.state && instance.state.mounted) && typeof instance.mount === 'function') {
+        await instance.mount(mountTarget);
+      }
+      
+      // The new code gets a clean record
+      this.resetHealth(name);
+      
+      this.logger.success(`🔥 Component '${name}' hot-replaced`);
+      return instance;
+    } catch (error) {
+      this.logger.error(`❌ Failed to hot-replace component '${name}':`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Load and start a component now instead of waiting for its trigger
+   */
+  async load(name) {
+    if (!this.components.has(name)) {
+      this.logger.error(`❌ Component '${name}' is not registered`);
+      return null;
+    }
+    
+    const result = await this.start(name);
+    return result.success ? this.instances.get(name) : null;
+  }
+
   /**
    * Get component instance (create if not exists)
    */
@@ -84,10 +281,15 @@ export class ComponentRegistry {
       return this.instances.get(name);
     }
 
+    const { ComponentClass, options } = this.components.get(name);
+    if (!ComponentClass) {
+      this.logger.warn(`⚠️ Component '${name}' is not loaded yet, use load()`);
+      return null;
+    }
+
     // Create new instance
     try {
-      const { ComponentClass, options } = this.components.get(name);
-      const instance = new ComponentClass(options, ...args);
+      const instance = new ComponentClass(this.injectServices(ComponentClass, options, name), ...args);
       
       this.instances.set(name, instance);
       this.logger.info(`🏗️ Component '${name}' instance created`);
@@ -99,6 +301,29 @@ export class ComponentRegistry {
     }
   }
 
+  /**
+   * Add the services a component class asks for to its constructor options
+   * Services given in options.services win, so they can be replaced per component
+   * Loggers are named after the registry entry (or a static displayName); class
+   * names do not survive minification
+   */
+  injectServices(ComponentClass, options, name) {
+    if (!ComponentClass.inject) {
+      return options;
+    }
+
+    // Services the container does not provide are left to the component's defaults
+    const names = ComponentClass.inject.filter(service => this.container.has(service));
+    const services = this.container.resolveAll(names, {
+      name: options.name || ComponentClass.displayName || name
+    });
+
+    return {
+      ...options,
+      services: { ...services, ...options.services }
+    };
+  }
+
   /**
    * Check if component is registered
    */
@@ -137,6 +362,9 @@ export class ComponentRegistry {
       name,
       registered: component.registered,
       options: component.options,
+      dependencies: this.getDependencies(name),
+      lazy: !!component.when,
+      loaded: !!component.ComponentClass,
       hasInstance: this.instances.has(name),
       instanceCreated: this.instances.has(name) ? Date.now() : null
     };
@@ -155,32 +383,364 @@ export class ComponentRegistry {
 
   /**
    * Initialize all registered components
+   * Each component waits for its dependencies; the rest start in parallel.
+   * Lazy components start later, when their trigger fires.
    */
   async initializeAll() {
     this.logger.info('🚀 Initializing all registered components...');
     
-    const results = [];
-    for (const [name] of this.components) {
-      try {
-        const instance = this.getInstance(name);
-        if (instance && instance.init && typeof instance.init === 'function') {
-          await instance.init();
-          results.push({ name, success: true });
-          this.logger.success(`✅ Component '${name}' initialized`);
-        } else {
-          results.push({ name, success: true, note: 'No init method' });
+    this.startup = {
+      origin: performance.now(),
+      startedAt: Date.now(),
+      duration: null,
+      components: []
+    };
+    
+    const names = Array.from(this.components.keys());
+    names.filter(name => this.isLazy(name)).forEach(name => this.armTrigger(name));
+    this.watchHealth();
+    
+    const results = await Promise.all(names.filter(name => !this.isLazy(name)).map(name => this.start(name)));
+    this.startup.duration = performance.now() - this.startup.origin;
+    
+    const successful = results.filter(r => r.success).length;
+    const total = results.length;
+    
+    this.logger.info(`📊 Component initialization complete: ${successful}/${total} successful (${this.startup.duration.toFixed(2)}ms)`);
+    return results;
+  }
+
+  /**
+   * Start a component once (later calls share the first start)
+   */
+  start(name) {
+    if (!this.starting.has(name)) {
+      // Started early by load() or a dependent; the trigger is no longer needed
+      this.cancelTrigger(name);
+      this.starting.set(name, this.startComponent(name));
+    }
+    return this.starting.get(name);
+  }
+
+  /**
+   * Start a lazy component when its trigger fires
+   */
+  armTrigger(name) {
+    const component = this.components.get(name);
+    const controller = new AbortController();
+    component.trigger = controller;
+    
+    const store = this.container.has('store') ? this.container.resolve('store') : undefined;
+    
+    waitForTrigger(component.when, { signal: controller.signal, store })
+      .then(() => {
+        component.trigger = null;
+        this.logger.info(`⚡ Load trigger fired for '${name}' (${describeTrigger(component.when)})`);
+        return this.start(name);
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') {
+          this.logger.error(`❌ Load trigger failed for '${name}':`, error);
         }
-      } catch (error) {
-        results.push({ name, success: false, error });
-        this.logger.error(`❌ Failed to initialize component '${name}':`, error);
+      });
+  }
+
+  /**
+   * Stop waiting for a component's load trigger
+   */
+  cancelTrigger(name) {
+    const component = this.components.get(name);
+    if (component && component.trigger) {
+      component.trigger.abort();
+      component.trigger = null;
+    }
+  }
+
+  /**
+   * Start one component once its dependencies are ready
+   */
+  async startComponent(name) {
+    if (!this.startup) {
+      this.startup = { origin: performance.now(), startedAt: Date.now(), duration: null, components: [] };
+    }
+    
+    const { origin } = this.startup;
+    const component = this.components.get(name);
+    const result = {
+      name,
+      dependencies: [],
+      success: false,
+      status: 'failed',
+      lazy: !!component.when,
+      trigger: component.when ? describeTrigger(component.when) : null,
+      loadTime: 0,
+      waited: 0,
+      startedAt: null,
+      readyAt: null,
+      duration: 0
+    };
+    
+    try {
+      // Lazy components are imported first; the class may declare dependencies
+      if (!component.ComponentClass) {
+        const loadStart = performance.now();
+        await this.loadClass(name);
+        result.loadTime = performance.now() - loadStart;
+      }
+      
+      result.dependencies = this.getDependencies(name);
+      
+      // Components with missing or circular dependencies cannot start
+      const issue = this.getDependencyIssue(name);
+      if (issue) {
+        result.status = 'skipped';
+        throw new Error(issue.type === 'circular_dependency'
+          ? `Circular dependency involving '${name}'`
+          : `Missing dependency: ${issue.dependency}`);
+      }
+      
+      // Wait for dependencies
+      const waitStart = performance.now();
+      const dependencyResults = await Promise.all(result.dependencies.map(dependency => this.start(dependency)));
+      result.waited = performance.now() - waitStart;
+      
+      const failed = dependencyResults.find(dependency => !dependency.success);
+      if (failed) {
+        result.status = 'skipped';
+        throw new Error(`Dependency '${failed.name}' failed to start`);
       }
+      
+      result.startedAt = performance.now() - origin;
+      
+      const instance = this.getInstance(name);
+      if (!instance) {
+        throw new Error(`Failed to create instance of '${name}'`);
+      }
+      
+      if (instance.init && typeof instance.init === 'function') {
+        await instance.init();
+      } else {
+        result.note = 'No init method';
+      }
+      
+      result.readyAt = performance.now() - origin;
+      result.duration = result.readyAt - result.startedAt;
+      result.status = 'ready';
+      result.success = true;
+      this.logger.success(`✅ Component '${name}' initialized (${result.duration.toFixed(2)}ms)`);
+    } catch (error) {
+      result.error = error;
+      this.logger.error(`❌ Failed to initialize component '${name}':`, error);
+      
+      // Skipped components did not fail themselves
+      if (result.status === 'failed') {
+        this.recordFailure(name, error);
+      }
+    }
+    
+    this.startup.components.push(result);
+    return result;
+  }
+
+  /**
+   * First missing or circular dependency of a component, if any
+   */
+  getDependencyIssue(name) {
+    const graph = this.getDependencyGraph();
+    const missing = graph[name].dependencies.find(dependency => !this.has(dependency));
+    
+    if (missing) {
+      return { type: 'missing_dependency', component: name, dependency: missing };
+    }
+    if (this.hasCircularDependency(name, graph)) {
+      return { type: 'circular_dependency', component: name };
     }
+    return null;
+  }
 
-    const successful = results.filter(r => r.success).length;
-    const total = results.length;
+  /**
+   * Get the startup graph of the last initializeAll()
+   * Times are milliseconds since startup began
+   */
+  getStartupGraph() {
+    if (!this.startup) {
+      return null;
+    }
     
-    this.logger.info(`📊 Component initialization complete: ${successful}/${total} successful`);
-    return results;
+    const graph = this.getDependencyGraph();
+    
+    return {
+      startedAt: this.startup.startedAt,
+      duration: this.startup.duration,
+      components: this.startup.components.map(({ name, status, lazy, trigger, loadTime, waited, startedAt, readyAt, duration, error }) => ({
+        name,
+        status,
+        lazy,
+        trigger,
+        dependencies: graph[name] ? graph[name].dependencies : [],
+        dependents: graph[name] ? graph[name].dependents : [],
+        loadTime,
+        waited,
+        startedAt,
+        readyAt,
+        duration,
+        error: error ? error.message : null
+      }))
+    };
+  }
+
+  /**
+   * Event bus the registered components emit on
+   */
+  getEventBus() {
+    return this.container.has('eventBus') ? this.container.resolve('eventBus') : EventBus;
+  }
+
+  /**
+   * Count component:error events from registered instances
+   */
+  watchHealth() {
+    if (this.healthScope) {
+      return;
+    }
+    
+    // Errors of child components count against the registered component that owns them
+    const ownerName = (component) => {
+      for (let current = component; current; current = current.parent) {
+        for (const [name, instance] of this.instances) {
+          if (instance === current) return name;
+        }
+      }
+      return null;
+    };
+    
+    this.healthScope = this.getEventBus().scope('ComponentRegistry');
+    this.healthScope.on('component:error', ({ component, source, error } = {}) => {
+      const name = ownerName(component || source);
+      if (name) {
+        this.recordFailure(name, error);
+      }
+    });
+    this.healthScope.on('component:recovered', ({ component } = {}) => {
+      const name = ownerName(component);
+      if (name) {
+        this.resetHealth(name);
+      }
+    });
+  }
+
+  /**
+   * Stop counting component errors
+   */
+  unwatchHealth() {
+    if (this.healthScope) {
+      this.healthScope.dispose();
+      this.healthScope = null;
+    }
+  }
+
+  /**
+   * Record a component failure and mark the component degraded when it keeps failing
+   */
+  recordFailure(name, error) {
+    const entry = this.health.get(name) || {
+      status: 'healthy',
+      failures: [],
+      totalFailures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      degradedAt: null
+    };
+    this.health.set(name, entry);
+    
+    // The same error can arrive as an event and as a startup result
+    if (error && entry.lastError === error) {
+      return entry;
+    }
+    
+    const now = Date.now();
+    entry.failures = entry.failures.filter(time => now - time < this.healthConfig.window);
+    entry.failures.push(now);
+    entry.totalFailures++;
+    entry.lastError = error || null;
+    entry.lastFailureAt = now;
+    
+    if (entry.status !== 'degraded' && entry.failures.length >= this.healthConfig.threshold) {
+      entry.status = 'degraded';
+      entry.degradedAt = now;
+      this.logger.error(`🚑 Component '${name}' is degraded (${entry.failures.length} failures)`);
+      this.getEventBus().emit('component:degraded', { name, failures: entry.failures.length, error });
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Forget a component's failures (it recovered or was replaced)
+   */
+  resetHealth(name) {
+    const entry = this.health.get(name);
+    if (!entry) {
+      return;
+    }
+    
+    if (entry.status === 'degraded') {
+      this.logger.success(`✅ Component '${name}' recovered`);
+    }
+    this.health.delete(name);
+  }
+
+  /**
+   * Health of one component
+   * Failures older than the window no longer count; degraded stays until the component recovers
+   */
+  getHealth(name) {
+    const entry = this.health.get(name);
+    const now = Date.now();
+    const recent = entry
+      ? entry.failures.filter(time => now - time < this.healthConfig.window).length
+      : 0;
+    
+    let status = 'healthy';
+    if (entry && entry.status === 'degraded') {
+      status = 'degraded';
+    } else if (recent > 0) {
+      status = 'failing';
+    }
+    
+    return {
+      name,
+      status,
+      failures: recent,
+      totalFailures: entry ? entry.totalFailures : 0,
+      lastError: entry && entry.lastError ? entry.lastError.message || String(entry.lastError) : null,
+      lastFailureAt: entry ? entry.lastFailureAt : null,
+      degradedAt: entry ? entry.degradedAt : null
+    };
+  }
+
+  /**
+   * Health report of all registered components
+   */
+  getHealthReport() {
+    const components = Array.from(this.components.keys()).map(name => this.getHealth(name));
+    const degraded = components.filter(component => component.status === 'degraded').map(({ name }) => name);
+    
+    let status = 'healthy';
+    if (degraded.length > 0) {
+      status = 'degraded';
+    } else if (components.some(component => component.status === 'failing')) {
+      status = 'failing';
+    }
+    
+    return {
+      status,
+      checkedAt: Date.now(),
+      threshold: this.healthConfig.threshold,
+      window: this.healthConfig.window,
+      degraded,
+      components
+    };
   }
 
   /**
@@ -189,7 +749,18 @@ export class ComponentRegistry {
   cleanupAll() {
     this.logger.info('🧹 Cleaning up all component instances...');
     
-    for (const [name, instance] of this.instances) {
+    // Pending load triggers would start components after cleanup
+    for (const [name] of this.components) {
+      this.cancelTrigger(name);
+    }
+    this.starting.clear();
+    this.unwatchHealth();
+    
+    // Dependents are cleaned up before the components they depend on
+    const order = this.getLoadOrder().reverse().filter(name => this.instances.has(name));
+    
+    for (const name of order) {
+      const instance = this.instances.get(name);
       try {
         if (instance.cleanup && typeof instance.cleanup === 'function') {
           instance.cleanup();
@@ -210,9 +781,9 @@ export class ComponentRegistry {
   getDependencyGraph() {
     const graph = {};
     
-    for (const [name, instance] of this.instances) {
+    for (const [name] of this.components) {
       graph[name] = {
-        dependencies: instance.dependencies || [],
+        dependencies: this.getDependencies(name),
         dependents: []
       };
     }
@@ -368,6 +939,8 @@ export class ComponentRegistry {
       })),
       dependencyGraph: this.getDependencyGraph(),
       loadOrder: this.getLoadOrder(),
+      startup: this.getStartupGraph(),
+      health: this.getHealthReport(),
       stats: this.getStats()
     };
   }
@@ -378,6 +951,8 @@ export class ComponentRegistry {
   clear() {
     this.cleanupAll();
     this.components.clear();
+    this.health.clear();
+    this.startup = null;
     this.logger.info('🗑️ Component registry cleared');
   }
 }
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * Service Container
+ * Creates the services components depend on and hands them out by name
+ *
+ * Every service has a lifetime:
+ * - singleton: created once and shared
+ * - page: shared until the visitor moves to another page, then recreated
+ * - transient: created for every component that asks for it
+ *
+ * Factories receive the container (to resolve other services) and the
+ * context of the request, e.g. { name: 'PWAManager' } for the logger.
+ * Overrides replace a service without changing its registration, so tests
+ * can inject fakes without touching the shared instances.
+ *
+ * @example
+ * const container = new Container();
+ * container.register('logger', (c, { name }) => new Logger(name), { lifetime: 'transient' });
+ * container.value('eventBus', EventBus);
+ * container.resolve('logger', { name: 'Gallery' });
+ *
+ * const scope = container.createScope({ eventBus: fakeBus }); // in a test
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+export const LIFETIMES = ['singleton', 'page', 'transient'];
+
+export class Container {
+  constructor(options = {}) {
+    this.logger = new Logger('Container');
+    this.parent = options.parent || null;
+
+    this.registrations = new Map();
+    this.overrides = new Map();
+    this.singletons = new Map();
+
+    // Page-scoped instances belong to the page they were created on
+    this.pageKey = options.pageKey || (() => window.location.pathname);
+    this.pageInstances = new Map();
+    this.currentPageKey = null;
+
+    // Services being created, for cycle detection
+    this.resolving = [];
+  }
+
+  /**
+   * Register a service factory
+   */
+  register(name, factory, options = {}) {
+    const { lifetime = 'singleton' } = options;
+
+    if (!LIFETIMES.includes(lifetime)) {
+      throw new Error(`Unknown lifetime '${lifetime}' for service '${name}'`);
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Service '${name}' needs a factory function`);
+    }
+    if (this.registrations.has(name)) {
+      this.logger.warn(`⚠️ Service '${name}' is already registered. Overwriting...`);
+    }
+
+    this.registrations.set(name, { factory, lifetime });
+    this.singletons.delete(name);
+    this.pageInstances.delete(name);
+    return this;
+  }
+
+  /**
+   * Register an existing object as a singleton service
+   */
+  value(name, value) {
+    return this.register(name, () => value);
+  }
+
+  /**
+   * Replace a service with a fixed value until the override is removed
+   * Returns a function that removes the override
+   */
+  override(name, value) {
+    this.overrides.set(name, value);
+    return () => this.overrides.delete(name);
+  }
+
+  /**
+   * Remove all overrides
+   */
+  clearOverrides() {
+    this.overrides.clear();
+  }
+
+  /**
+   * Child container that sees this container's services
+   * Overrides and registrations in the child do not affect the parent
+   */
+  createScope(overrides = {}) {
+    const scope = new Container({ parent: this, pageKey: this.pageKey });
+    Object.entries(overrides).forEach(([name, value]) => scope.override(name, value));
+    return scope;
+  }
+
+  /**
+   * Check if a service can be resolved
+   */
+  has(name) {
+    return this.overrides.has(name) || this.registrations.has(name) || (!!this.parent && this.parent.has(name));
+  }
+
+  /**
+   * Resolve a service by name
+   */
+  resolve(name, context = {}) {
+    if (this.overrides.has(name)) {
+      return this.overrides.get(name);
+    }
+
+    const registration = this.registrations.get(name);
+    if (!registration) {
+      if (this.parent) {
+        return this.parent.resolve(name, context);
+      }
+      throw new Error(`Unknown service: ${name}`);
+    }
+
+    if (this.resolving.includes(name)) {
+      throw new Error(`Circular service dependency: ${[...this.resolving, name].join(' -> ')}`);
+    }
+
+    const { lifetime } = registration;
+
+    if (lifetime === 'singleton' && this.singletons.has(name)) {
+      return this.singletons.get(name);
+    }
+    if (lifetime === 'page') {
+      this.syncPage();
+      if (this.pageInstances.has(name)) {
+        return this.pageInstances.get(name);
+      }
+    }
+
+    const instance = this.create(name, registration, context);
+
+    if (lifetime === 'singleton') {
+      this.singletons.set(name, instance);
+    } else if (lifetime === 'page') {
+      this.pageInstances.set(name, instance);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Resolve several services into an object keyed by service name
+   */
+  resolveAll(names, context = {}) {
+    const services = {};
+    names.forEach(name => {
+      services[name] = this.resolve(name, context);
+    });
+    return services;
+  }
+
+  /**
+   * Run a factory, tracking the services being created
+   */
+  create(name, { factory }, context) {
+    this.resolving.push(name);
+
+    try {
+      return factory(this, context);
+    } finally {
+      this.resolving.pop();
+    }
+  }
+
+  /**
+   * Drop page-scoped instances when the page has changed
+   */
+  syncPage() {
+    const key = this.pageKey();
+    if (key === this.currentPageKey) return;
+
+    this.currentPageKey = key;
+    this.disposeAll(this.pageInstances);
+  }
+
+  /**
+   * Dispose cached instances that know how to clean up after themselves
+   */
+  disposeAll(instances) {
+    for (const [name, instance] of instances) {
+      if (instance && typeof instance.dispose === 'function') {
+        try {
+          instance.dispose();
+        } catch (error) {
+          this.logger.error(`❌ Error disposing service '${name}':`, error);
+        }
+      }
+    }
+    instances.clear();
+  }
+
+  /**
+   * Dispose all cached instances (registrations are kept)
+   */
+  reset() {
+    this.disposeAll(this.pageInstances);
+    this.disposeAll(this.singletons);
+    this.currentPageKey = null;
+    this.overrides.clear();
+  }
+}
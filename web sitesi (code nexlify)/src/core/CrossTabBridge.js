@@ -0,0 +1,358 @@
+/**
+ * Cross-Tab Bridge
+ * Forwards selected EventBus events to other same-origin tabs
+ * Uses BroadcastChannel with a localStorage 'storage' event fallback
+ */
+
+import { EventBus } from './EventBus.js';
+import { Logger } from '../utils/Logger.js';
+
+const MESSAGE_TYPE = 'codenexlify:event';
+
+export class CrossTabBridge {
+  constructor(options = {}) {
+    this.logger = new Logger('CrossTabBridge');
+    this.bus = options.bus || EventBus;
+
+    // Configuration
+    this.config = {
+      channelName: 'codenexlify-events',
+      storageKey: 'codenexlify-bridge',
+      events: [],
+      echoWindow: 1000,
+      maxSeenMessages: 100,
+      ...options.config
+    };
+
+    // Tab identification for origin tagging
+    this.tabId = options.tabId || this.generateTabId();
+
+    // Injected channel (e.g. a stub in tests)
+    this.providedChannel = options.channel || null;
+
+    this.channel = null;
+    this.transport = null;
+    this.middlewareId = null;
+    this.matchers = this.config.events.map(eventName => this.bus.compilePattern(eventName));
+
+    // Loop prevention
+    this.receiving = null;
+    this.seenMessages = new Set();
+    this.recentRemote = new Map();
+
+    this.stats = {
+      sent: 0,
+      received: 0,
+      ignored: 0
+    };
+  }
+
+  /**
+   * Start forwarding events
+   */
+  start() {
+    if (this.isActive()) {
+      this.logger.warn('⚠️ Cross-tab bridge already started');
+      return this;
+    }
+
+    this.transport = this.openTransport();
+
+    if (!this.transport) {
+      this.logger.warn('⚠️ Cross-tab messaging not supported in this browser');
+      return this;
+    }
+
+    this.middlewareId = this.bus.use(this.forwardMiddleware, {
+      name: 'CrossTabBridge',
+      priority: 100
+    });
+
+    this.logger.info(`🔗 Cross-tab bridge started (${this.transport}, tab: ${this.tabId})`);
+    return this;
+  }
+
+  /**
+   * Stop forwarding events and release the channel
+   */
+  stop() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    this.bus.removeMiddleware(this.middlewareId);
+    this.middlewareId = null;
+
+    if (this.transport === 'storage') {
+      window.removeEventListener('storage', this.handleStorageEvent);
+    } else if (this.channel) {
+      this.channel.removeEventListener('message', this.handleChannelMessage);
+      if (this.channel !== this.providedChannel && typeof this.channel.close === 'function') {
+        this.channel.close();
+      }
+    }
+
+    this.channel = null;
+    this.transport = null;
+    this.logger.info('🔌 Cross-tab bridge stopped');
+  }
+
+  /**
+   * Check if the bridge is running
+   */
+  isActive() {
+    return this.transport !== null;
+  }
+
+  /**
+   * Open BroadcastChannel or fall back to storage events
+   */
+  openTransport() {
+    if (this.providedChannel) {
+      this.channel = this.providedChannel;
+      this.channel.addEventListener('message', this.handleChannelMessage);
+      return 'broadcast';
+    }
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      try {
+        this.channel = new BroadcastChannel(this.config.channelName);
+        this.channel.addEventListener('message', this.handleChannelMessage);
+        return 'broadcast';
+      } catch (error) {
+        this.logger.warn('⚠️ BroadcastChannel unavailable, falling back to storage events', error);
+      }
+    }
+
+    if (this.isStorageAvailable()) {
+      window.addEventListener('storage', this.handleStorageEvent);
+      return 'storage';
+    }
+
+    return null;
+  }
+
+  /**
+   * Middleware that forwards matching local events after dispatch
+   */
+  forwardMiddleware = (context, next) => {
+    if (this.receiving) {
+      // Tag re-emitted remote events so other middleware can tell them apart
+      context.remote = {
+        origin: this.receiving.origin,
+        id: this.receiving.id
+      };
+      return next();
+    }
+
+    const result = next();
+
+    if (context.async) {
+      return Promise.resolve(result).then(value => {
+        this.forward(context);
+        return value;
+      });
+    }
+
+    this.forward(context);
+    return result;
+  };
+
+  /**
+   * Forward a dispatched event to other tabs
+   */
+  forward(context) {
+    if (!context.dispatched || !this.shouldForward(context.eventName)) {
+      return;
+    }
+
+    const args = this.serializeArgs(context.args);
+    if (!args) {
+      return;
+    }
+
+    // Skip echoes of events that just arrived from another tab
+    const echoKey = this.getEchoKey(context.eventName, args);
+    const receivedAt = this.recentRemote.get(echoKey);
+    if (receivedAt && Date.now() - receivedAt < this.config.echoWindow) {
+      return;
+    }
+
+    this.post({
+      type: MESSAGE_TYPE,
+      id: this.generateMessageId(),
+      origin: this.tabId,
+      eventName: context.eventName,
+      args,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Check if an event is selected for forwarding
+   */
+  shouldForward(eventName) {
+    return this.matchers.some(matcher => matcher.test(eventName));
+  }
+
+  /**
+   * Send a message over the active transport
+   */
+  post(message) {
+    try {
+      if (this.transport === 'storage') {
+        localStorage.setItem(this.config.storageKey, JSON.stringify(message));
+        localStorage.removeItem(this.config.storageKey);
+      } else {
+        this.channel.postMessage(message);
+      }
+
+      this.stats.sent++;
+      this.logger.debug(`📤 Forwarded event to other tabs: '${message.eventName}'`);
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to forward event '${message.eventName}':`, error);
+    }
+  }
+
+  /**
+   * Handle BroadcastChannel messages
+   */
+  handleChannelMessage = (event) => {
+    this.receive(event.data);
+  };
+
+  /**
+   * Handle storage events from other tabs
+   */
+  handleStorageEvent = (event) => {
+    if (event.key !== this.config.storageKey || !event.newValue) {
+      return;
+    }
+
+    try {
+      this.receive(JSON.parse(event.newValue));
+    } catch (error) {
+      this.logger.warn('⚠️ Failed to parse cross-tab message:', error);
+    }
+  };
+
+  /**
+   * Re-emit a message from another tab on the local bus
+   */
+  receive(message) {
+    if (!this.isValidMessage(message)) {
+      this.stats.ignored++;
+      return;
+    }
+
+    this.rememberMessage(message.id);
+    this.recentRemote.set(this.getEchoKey(message.eventName, message.args), Date.now());
+    this.stats.received++;
+
+    this.logger.debug(`📥 Event received from tab ${message.origin}: '${message.eventName}'`);
+
+    this.receiving = message;
+    try {
+      this.bus.emit(message.eventName, ...message.args);
+    } finally {
+      this.receiving = null;
+    }
+  }
+
+  /**
+   * Validate an incoming message
+   */
+  isValidMessage(message) {
+    return !!message &&
+      message.type === MESSAGE_TYPE &&
+      message.origin !== this.tabId &&
+      !this.seenMessages.has(message.id) &&
+      Array.isArray(message.args) &&
+      this.shouldForward(message.eventName);
+  }
+
+  /**
+   * Track handled message IDs (bounded)
+   */
+  rememberMessage(id) {
+    this.seenMessages.add(id);
+
+    if (this.seenMessages.size > this.config.maxSeenMessages) {
+      const oldest = this.seenMessages.values().next().value;
+      this.seenMessages.delete(oldest);
+    }
+  }
+
+  /**
+   * Convert event arguments to plain cloneable data
+   * Class instances (components, DOM nodes) and functions are dropped
+   */
+  serializeArgs(args) {
+    try {
+      return JSON.parse(JSON.stringify(args, (key, value) => {
+        if (typeof value === 'function') {
+          return undefined;
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          const prototype = Object.getPrototypeOf(value);
+          if (prototype !== Object.prototype && prototype !== null) {
+            return undefined;
+          }
+        }
+
+        return value;
+      }));
+    } catch (error) {
+      this.logger.warn('⚠️ Event payload cannot be forwarded to other tabs:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build key used for echo suppression
+   */
+  getEchoKey(eventName, args) {
+    return `${eventName}|${JSON.stringify(args)}`;
+  }
+
+  /**
+   * Check if localStorage is available
+   */
+  isStorageAvailable() {
+    try {
+      const test = '__bridge_test__';
+      localStorage.setItem(test, test);
+      localStorage.removeItem(test);
+      return typeof window !== 'undefined';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Generate unique tab ID
+   */
+  generateTabId() {
+    return `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Generate unique message ID
+   */
+  generateMessageId() {
+    return `${this.tabId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get bridge statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      tabId: this.tabId,
+      transport: this.transport,
+      events: this.config.events
+    };
+  }
+}
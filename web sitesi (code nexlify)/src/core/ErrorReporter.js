@@ -0,0 +1,280 @@
+/**
+ * Error Reporter
+ * Single pipeline for application errors: normalize, fingerprint and dedupe
+ * them, attach breadcrumbs from recent EventBus events and logs, then
+ * rate-limit and send them in batches
+ *
+ * Reports are batched by a BeaconReporter: BeaconTransport posts them to an
+ * HTTP endpoint with navigator.sendBeacon, MockCollector keeps them in
+ * memory for tests and local development. Repeats of a report that was
+ * already sent follow in a later batch as { fingerprint, count, timestamp }
+ * items, which the collector adds to that report's count.
+ *
+ * @example
+ * const reporter = new ErrorReporter({
+ *   transport: new BeaconTransport({ endpoint: '/api/errors' }),
+ *   config: { release: '2.0.0' }
+ * }).start();
+ * reporter.capture(error, { type: 'promise' });
+ */
+
+import { EventBus } from './EventBus.js';
+import { BeaconReporter } from './BeaconReporter.js';
+import { Logger } from '../utils/Logger.js';
+
+export class ErrorReporter {
+  constructor(options = {}) {
+    this.logger = new Logger('ErrorReporter');
+    this.bus = options.bus || EventBus;
+
+    // Configuration
+    this.config = {
+      release: null,
+      maxBreadcrumbs: 30,
+      batchSize: 10,
+      flushInterval: 5000,
+      rateLimit: 10, // new reports per rateLimitWindow
+      rateLimitWindow: 60000,
+      dedupeWindow: 60000,
+      ...options.config
+    };
+
+    this.reporter = new BeaconReporter({
+      name: 'ErrorReporter',
+      transport: options.transport,
+      config: {
+        type: 'errors',
+        meta: { release: this.config.release },
+        batchSize: this.config.batchSize,
+        flushInterval: this.config.flushInterval
+      }
+    });
+
+    this.breadcrumbs = [];
+    this.seen = new Map();
+    this.recent = [];
+    this.middlewareId = null;
+    this.removeLogSink = null;
+    this.stats = { captured: 0, deduped: 0, dropped: 0 };
+  }
+
+  /**
+   * Start collecting breadcrumbs and flushing on page hide
+   */
+  start() {
+    if (this.middlewareId) {
+      return this;
+    }
+
+    this.middlewareId = this.bus.use((context, next) => {
+      this.addBreadcrumb({ category: 'event', message: context.eventName });
+      return next();
+    }, { name: 'ErrorReporter', priority: 100 });
+
+    this.removeLogSink = Logger.addSink((log) => {
+      if (log.level !== 'DEBUG' && typeof log.message === 'string') {
+        this.addBreadcrumb({ category: 'log', level: log.level, message: `[${log.context}] ${log.message}` });
+      }
+    });
+
+    this.reporter.start();
+
+    this.logger.info('🛰️ Error reporting started');
+    return this;
+  }
+
+  /**
+   * Stop collecting and send what is queued
+   */
+  stop() {
+    if (this.middlewareId) {
+      this.bus.removeMiddleware(this.middlewareId);
+      this.middlewareId = null;
+    }
+
+    if (this.removeLogSink) {
+      this.removeLogSink();
+      this.removeLogSink = null;
+    }
+
+    this.reporter.stop();
+  }
+
+  /**
+   * Record a breadcrumb
+   */
+  addBreadcrumb(breadcrumb) {
+    this.breadcrumbs.push({ timestamp: Date.now(), ...breadcrumb });
+
+    if (this.breadcrumbs.length > this.config.maxBreadcrumbs) {
+      this.breadcrumbs.shift();
+    }
+  }
+
+  /**
+   * Capture an error
+   * Returns the queued report, or null when it was deduped or rate-limited
+   */
+  capture(error, context = {}) {
+    const now = Date.now();
+    const normalized = this.normalize(error, context);
+    const fingerprint = this.fingerprint(normalized);
+
+    this.prune(now);
+
+    // Same error seen recently: count it on the existing report
+    const seen = this.seen.get(fingerprint);
+    if (seen && now - seen.lastSeen < this.config.dedupeWindow) {
+      seen.lastSeen = now;
+      this.countRepeat(seen, now);
+      this.stats.deduped++;
+      return null;
+    }
+
+    if (this.isRateLimited()) {
+      this.stats.dropped++;
+      this.logger.warn(`⚠️ Error report dropped by rate limit: ${normalized.message}`);
+      return null;
+    }
+
+    const report = {
+      ...normalized,
+      fingerprint,
+      count: 1,
+      timestamp: new Date(now).toISOString(),
+      page: window.location.pathname,
+      release: this.config.release,
+      breadcrumbs: this.breadcrumbs.slice()
+    };
+
+    this.seen.set(fingerprint, { report, lastSeen: now });
+    this.recent.push(now);
+    this.stats.captured++;
+    this.reporter.add(report);
+
+    return report;
+  }
+
+  /**
+   * Count a repeat on the report while it is queued, or on a repeat item
+   * once the report has been sent
+   */
+  countRepeat(seen, now) {
+    if (this.reporter.has(seen.report)) {
+      seen.report.count++;
+      return;
+    }
+
+    if (seen.repeat && this.reporter.has(seen.repeat)) {
+      seen.repeat.count++;
+      seen.repeat.timestamp = new Date(now).toISOString();
+      return;
+    }
+
+    seen.repeat = {
+      fingerprint: seen.report.fingerprint,
+      count: 1,
+      timestamp: new Date(now).toISOString()
+    };
+    this.reporter.add(seen.repeat);
+  }
+
+  /**
+   * Turn anything thrown into a plain error description
+   */
+  normalize(error, context = {}) {
+    let name = 'Error';
+    let message;
+    let stack = null;
+
+    if (error && typeof error === 'object' && 'message' in error) {
+      name = error.name || name;
+      message = String(error.message);
+      stack = typeof error.stack === 'string' ? error.stack : null;
+    } else if (typeof error === 'string') {
+      message = error;
+    } else {
+      try {
+        message = JSON.stringify(error);
+      } catch {
+        message = String(error);
+      }
+    }
+
+    return {
+      type: context.type || 'javascript',
+      name,
+      message: (message || context.message || 'Unknown error').slice(0, 1000),
+      stack: stack ? stack.slice(0, 4000) : null,
+      filename: context.filename || null,
+      lineno: context.lineno || null,
+      colno: context.colno || null,
+      tags: context.tags || {}
+    };
+  }
+
+  /**
+   * Group errors with the same cause
+   * Numbers are masked so ids and counters in messages do not split groups
+   */
+  fingerprint(normalized) {
+    const frame = normalized.stack
+      ? (normalized.stack.split('\n').find(line => /\s+at\s|@/.test(line)) || '').trim()
+      : `${normalized.filename}:${normalized.lineno}`;
+
+    const input = [
+      normalized.type,
+      normalized.name,
+      normalized.message.replace(/\d+/g, '0'),
+      frame
+    ].join('|');
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Check the sliding rate-limit window
+   */
+  isRateLimited() {
+    return this.recent.length >= this.config.rateLimit;
+  }
+
+  /**
+   * Forget fingerprints and rate-limit slots outside their windows
+   */
+  prune(now = Date.now()) {
+    this.recent = this.recent.filter(time => now - time < this.config.rateLimitWindow);
+
+    for (const [fingerprint, seen] of this.seen) {
+      if (now - seen.lastSeen >= this.config.dedupeWindow) {
+        this.seen.delete(fingerprint);
+      }
+    }
+  }
+
+  /**
+   * Send queued reports now
+   */
+  flush() {
+    return this.reporter.flush();
+  }
+
+  /**
+   * Get error reporting statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ...this.reporter.getStats(),
+      breadcrumbs: this.breadcrumbs.length,
+      fingerprints: this.seen.size
+    };
+  }
+}
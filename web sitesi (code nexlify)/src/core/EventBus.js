@@ -4,17 +4,56 @@
  */
 
 import { Logger } from '../utils/Logger.js';
+import { EventTracer } from './EventTracer.js';
+import { EventScope } from './EventScope.js';
+
+/**
+ * Error returned to callers of EventBus.request()
+ * code: 'NO_HANDLER' | 'TIMEOUT' | 'ABORTED'
+ */
+export class EventBusRequestError extends Error {
+  constructor(message, code, requestName) {
+    super(message);
+    this.name = 'EventBusRequestError';
+    this.code = code;
+    this.requestName = requestName;
+  }
+}
+
+/**
+ * Reason given for listeners that emitAsyncWith() did not wait for
+ * code: 'TIMEOUT' | 'ABORTED'
+ */
+export class EventBusEmitError extends Error {
+  constructor(message, code, eventName) {
+    super(message);
+    this.name = 'EventBusEmitError';
+    this.code = code;
+    this.eventName = eventName;
+  }
+}
 
 class EventBusClass {
   constructor() {
     this.logger = new Logger('EventBus');
     this.events = new Map();
+    this.patterns = new Map();
+    this.middlewares = [];
+    this.retained = new Map();
+    this.handlers = new Map();
+    this.tracer = null;
     this.maxListeners = 50;
     this.debugMode = process.env.NODE_ENV === 'development';
   }
 
   /**
    * Add event listener
+   * Accepts an exact event name, a glob pattern ('theme:*', 'pwa:**')
+   * or a RegExp. Pattern listeners receive the matched event name as
+   * their first argument, followed by the emitted arguments.
+   * Payloads retained for sticky/replay events are delivered right away
+   * unless options.replay is false.
+   * Passing options.signal (AbortSignal) removes the listener on abort.
    */
   on(eventName, callback, options = {}) {
     if (typeof callback !== 'function') {
@@ -22,15 +61,8 @@ class EventBusClass {
       return this;
     }
 
-    if (!this.events.has(eventName)) {
-      this.events.set(eventName, []);
-    }
-
-    const listeners = this.events.get(eventName);
-    
-    // Check max listeners limit
-    if (listeners.length >= this.maxListeners) {
-      this.logger.warn(`⚠️ Maximum listeners (${this.maxListeners}) reached for event '${eventName}'`);
+    if (options.signal && options.signal.aborted) {
+      return null;
     }
 
     const listener = {
@@ -38,19 +70,45 @@ class EventBusClass {
       once: options.once || false,
       priority: options.priority || 0,
       context: options.context || null,
+      key: this.getEventKey(eventName),
+      isPattern: this.isPattern(eventName),
       id: this.generateListenerId(),
       added: Date.now()
     };
 
+    const retained = options.replay === false ? [] : this.getRetainedFor(eventName);
+
+    // A one-time listener is satisfied by the latest retained payload
+    if (listener.once && retained.length > 0) {
+      this.deliverRetained(listener, retained.slice(-1));
+      return listener.id;
+    }
+
+    const listeners = this.getListenerBucket(eventName, true);
+    
+    // Check max listeners limit
+    if (listeners.length >= this.maxListeners) {
+      this.logger.warn(`⚠️ Maximum listeners (${this.maxListeners}) reached for event '${eventName}'`);
+    }
+
     listeners.push(listener);
     
     // Sort by priority (higher priority first)
     listeners.sort((a, b) => b.priority - a.priority);
 
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => this.removeListener(listener), { once: true });
+    }
+
     if (this.debugMode) {
       this.logger.info(`📡 Event listener added: '${eventName}' (ID: ${listener.id})`);
     }
 
+    // Replay retained payloads to the new listener
+    if (retained.length > 0) {
+      this.deliverRetained(listener, retained);
+    }
+
     return listener.id;
   }
 
@@ -65,11 +123,11 @@ class EventBusClass {
    * Remove event listener
    */
   off(eventName, callbackOrId) {
-    if (!this.events.has(eventName)) {
+    const listeners = this.getListenerBucket(eventName);
+    if (!listeners) {
       return false;
     }
 
-    const listeners = this.events.get(eventName);
     let removed = false;
 
     if (typeof callbackOrId === 'string') {
@@ -88,10 +146,12 @@ class EventBusClass {
       }
     } else {
       // Remove all listeners for this event
-      this.events.delete(eventName);
+      this.deleteListenerBucket(eventName);
       removed = true;
     }
 
+    this.pruneListenerBucket(eventName);
+
     if (removed && this.debugMode) {
       this.logger.info(`🗑️ Event listener removed: '${eventName}'`);
     }
@@ -101,16 +161,42 @@ class EventBusClass {
 
   /**
    * Emit event
+   * Runs the middleware pipeline first; returns false when a middleware
+   * blocks or defers the event.
    */
   emit(eventName, ...args) {
-    if (!this.events.has(eventName)) {
+    if (this.middlewares.length === 0) {
+      return this.dispatch(eventName, args);
+    }
+
+    const context = this.createEventContext(eventName, args, false);
+    this.runMiddleware(context, () => this.dispatch(context.eventName, context.args, context));
+    this.traceBlocked(context);
+
+    return context.result === undefined ? false : context.result;
+  }
+
+  /**
+   * Deliver event to its listeners, bypassing middleware
+   */
+  dispatch(eventName, args, context = null) {
+    this.retain(eventName, args);
+
+    const listeners = this.getMatchingListeners(eventName);
+    const trace = this.tracer
+      ? this.tracer.begin(eventName, args, listeners ? listeners.length : 0, { remote: context && context.remote })
+      : null;
+
+    if (!listeners) {
+      if (trace) {
+        this.tracer.end(trace);
+      }
       if (this.debugMode) {
         this.logger.info(`📡 No listeners for event: '${eventName}'`);
       }
       return false;
     }
 
-    const listeners = this.events.get(eventName);
     const listenersToRemove = [];
 
     if (this.debugMode) {
@@ -120,12 +206,13 @@ class EventBusClass {
     let hasError = false;
 
     for (const listener of listeners) {
+      const startTime = trace ? performance.now() : 0;
+
       try {
-        // Call the callback with proper context
-        if (listener.context) {
-          listener.callback.call(listener.context, ...args);
-        } else {
-          listener.callback(...args);
+        this.invokeListener(listener, eventName, args);
+
+        if (trace) {
+          this.tracer.recordListener(trace, listener, startTime);
         }
 
         // Mark for removal if it's a one-time listener
@@ -134,6 +221,11 @@ class EventBusClass {
         }
       } catch (error) {
         hasError = true;
+
+        if (trace) {
+          this.tracer.recordListener(trace, listener, startTime, error);
+        }
+
         this.logger.error(`❌ Error in event listener for '${eventName}':`, error);
         
         // Emit error event
@@ -142,12 +234,11 @@ class EventBusClass {
     }
 
     // Remove one-time listeners
-    listenersToRemove.forEach(listener => {
-      const index = listeners.indexOf(listener);
-      if (index !== -1) {
-        listeners.splice(index, 1);
-      }
-    });
+    listenersToRemove.forEach(listener => this.removeListener(listener));
+
+    if (trace) {
+      this.tracer.end(trace);
+    }
 
     return !hasError;
   }
@@ -156,57 +247,118 @@ class EventBusClass {
    * Emit event asynchronously
    */
   async emitAsync(eventName, ...args) {
-    if (!this.events.has(eventName)) {
-      return false;
+    return this.emitAsyncWith(eventName, args);
+  }
+
+  /**
+   * Emit event asynchronously with an execution strategy
+   * options.mode:
+   *   'parallel' (default) - start listeners together, up to options.concurrency at a time
+   *   'serial'             - run listeners one after another in priority order
+   *   'settle'             - like parallel, but resolve with every listener's outcome:
+   *                          [{ listenerId, status: 'fulfilled', value } | { listenerId, status: 'rejected', reason }]
+   * options.timeout and options.signal stop waiting; listeners that did not
+   * finish are reported as rejected with an EventBusEmitError.
+   * Parallel and serial modes resolve to true when every listener succeeded.
+   *
+   * @example
+   * const results = await EventBus.emitAsyncWith('page:leave', [{ to: '/blog' }], {
+   *   mode: 'settle',
+   *   concurrency: 1,
+   *   timeout: 3000
+   * });
+   */
+  async emitAsyncWith(eventName, args = [], options = {}) {
+    const blockedResult = options.mode === 'settle' ? [] : false;
+
+    if (this.middlewares.length === 0) {
+      return this.dispatchAsync(eventName, args, null, options);
     }
 
-    const listeners = this.events.get(eventName);
-    const listenersToRemove = [];
+    const context = this.createEventContext(eventName, args, true);
+    await this.runMiddleware(context, () => this.dispatchAsync(context.eventName, context.args, context, options));
+    this.traceBlocked(context);
+
+    return context.result === undefined ? blockedResult : context.result;
+  }
+
+  /**
+   * Deliver event to its listeners asynchronously, bypassing middleware
+   */
+  async dispatchAsync(eventName, args, context = null, options = {}) {
+    const { mode = 'parallel', concurrency = Infinity, timeout = 0, signal = null } = options;
+
+    this.retain(eventName, args);
+
+    const listeners = this.getMatchingListeners(eventName);
+    const trace = this.tracer
+      ? this.tracer.begin(eventName, args, listeners ? listeners.length : 0, { async: true, remote: context && context.remote })
+      : null;
+
+    if (!listeners) {
+      if (trace) {
+        this.tracer.end(trace);
+      }
+      return mode === 'settle' ? [] : false;
+    }
+
+    // Copy, since one-time listeners are removed from the live list as they start
+    const queue = [...listeners];
 
     if (this.debugMode) {
-      this.logger.info(`📡 Emitting async event: '${eventName}' to ${listeners.length} listeners`);
+      this.logger.info(`📡 Emitting async event: '${eventName}' to ${queue.length} listeners (${mode})`);
     }
 
-    const promises = listeners.map(async (listener) => {
+    const runListener = async (listener) => {
+      const startTime = trace ? performance.now() : 0;
+
+      // Remove one-time listeners before they run, so a timeout, abort or
+      // error cannot leave them subscribed
+      if (listener.once) {
+        this.removeListener(listener);
+      }
+
       try {
-        let result;
-        if (listener.context) {
-          result = listener.callback.call(listener.context, ...args);
-        } else {
-          result = listener.callback(...args);
-        }
+        let value = this.invokeListener(listener, eventName, args);
 
         // Handle promise results
-        if (result instanceof Promise) {
-          await result;
+        if (value instanceof Promise) {
+          value = await value;
         }
 
-        // Mark for removal if it's a one-time listener
-        if (listener.once) {
-          listenersToRemove.push(listener);
+        if (trace) {
+          this.tracer.recordListener(trace, listener, startTime);
         }
 
-        return { success: true, listener };
+        return { success: true, value, listener };
       } catch (error) {
+        if (trace) {
+          this.tracer.recordListener(trace, listener, startTime, error);
+        }
+
         this.logger.error(`❌ Error in async event listener for '${eventName}':`, error);
         this.emitError(eventName, error, listener);
         return { success: false, error, listener };
       }
+    };
+
+    const results = await this.runListeners(eventName, queue, runListener, {
+      concurrency: mode === 'serial' ? 1 : concurrency,
+      timeout,
+      signal
     });
 
-    const results = await Promise.allSettled(promises);
+    if (trace) {
+      this.tracer.end(trace);
+    }
 
-    // Remove one-time listeners
-    listenersToRemove.forEach(listener => {
-      const index = listeners.indexOf(listener);
-      if (index !== -1) {
-        listeners.splice(index, 1);
-      }
-    });
+    if (mode === 'settle') {
+      return results.map(({ success, value, error, listener }) => (success
+        ? { listenerId: listener.id, status: 'fulfilled', value }
+        : { listenerId: listener.id, status: 'rejected', reason: error }));
+    }
 
-    const successful = results.filter(result => 
-      result.status === 'fulfilled' && result.value.success
-    ).length;
+    const successful = results.filter(result => result.success).length;
 
     if (this.debugMode) {
       this.logger.info(`📡 Async event '${eventName}' completed: ${successful}/${results.length} successful`);
@@ -215,6 +367,356 @@ class EventBusClass {
     return successful === results.length;
   }
 
+  /**
+   * Run listeners with a concurrency limit until all finish,
+   * the timeout elapses or the signal aborts
+   * Always resolves with one outcome per listener, in listener order.
+   */
+  runListeners(eventName, listeners, runListener, { concurrency = Infinity, timeout = 0, signal = null } = {}) {
+    return new Promise((resolve) => {
+      const results = new Array(listeners.length);
+      const limit = Math.max(1, concurrency);
+      let nextIndex = 0;
+      let active = 0;
+      let finished = 0;
+      let settled = false;
+      let timer = null;
+
+      const onAbort = () => stop('ABORTED', `Async event '${eventName}' was aborted`);
+
+      const finish = (code = null, message = '') => {
+        settled = true;
+        clearTimeout(timer);
+
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        // Listeners still running or never started
+        listeners.forEach((listener, index) => {
+          if (!results[index]) {
+            results[index] = { success: false, error: new EventBusEmitError(message, code, eventName), listener };
+          }
+        });
+
+        resolve(results);
+      };
+
+      const stop = (code, message) => {
+        if (!settled) {
+          this.logger.warn(`⚠️ ${message}`);
+          finish(code, message);
+        }
+      };
+
+      const launch = () => {
+        while (!settled && active < limit && nextIndex < listeners.length) {
+          const index = nextIndex++;
+          active++;
+
+          runListener(listeners[index]).then((result) => {
+            if (settled) {
+              return;
+            }
+
+            results[index] = result;
+            active--;
+            finished++;
+
+            if (finished === listeners.length) {
+              finish();
+            } else {
+              launch();
+            }
+          });
+        }
+      };
+
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      if (timeout > 0) {
+        timer = setTimeout(() => stop('TIMEOUT', `Async event '${eventName}' timed out after ${timeout}ms`), timeout);
+      }
+
+      launch();
+    });
+  }
+
+  /**
+   * Mark event as sticky: its last payload is kept and delivered
+   * immediately to new subscribers
+   */
+  sticky(eventName) {
+    return this.replay(eventName, 1);
+  }
+
+  /**
+   * Keep the last `size` payloads of an event and replay them, oldest
+   * first, to new subscribers
+   */
+  replay(eventName, size = 10) {
+    if (this.isPattern(eventName)) {
+      this.logger.error(`❌ Replay requires an exact event name, got '${eventName}'`);
+      return false;
+    }
+
+    const existing = this.retained.get(eventName);
+    const entries = existing ? existing.entries.slice(-size) : [];
+
+    this.retained.set(eventName, { size, entries });
+
+    if (this.debugMode) {
+      this.logger.info(`📌 Retaining last ${size} payload(s) for event: '${eventName}'`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark event as sticky and emit it
+   */
+  emitSticky(eventName, ...args) {
+    if (!this.retained.has(eventName)) {
+      this.sticky(eventName);
+    }
+    return this.emit(eventName, ...args);
+  }
+
+  /**
+   * Get the last retained payload of an event
+   */
+  getSticky(eventName) {
+    const buffer = this.retained.get(eventName);
+    if (!buffer || buffer.entries.length === 0) {
+      return undefined;
+    }
+    return buffer.entries[buffer.entries.length - 1].args;
+  }
+
+  /**
+   * Check if an event has a retained payload
+   */
+  hasSticky(eventName) {
+    return this.getSticky(eventName) !== undefined;
+  }
+
+  /**
+   * Forget retained payloads (keeps the event sticky unless forget is set)
+   */
+  clearSticky(eventName, { forget = false } = {}) {
+    const names = eventName ? [eventName] : Array.from(this.retained.keys());
+
+    names.forEach(name => {
+      if (forget) {
+        this.retained.delete(name);
+      } else if (this.retained.has(name)) {
+        this.retained.get(name).entries = [];
+      }
+    });
+  }
+
+  /**
+   * Store a payload for a sticky/replay event
+   */
+  retain(eventName, args) {
+    const buffer = this.retained.get(eventName);
+    if (!buffer) {
+      return;
+    }
+
+    buffer.entries.push({ eventName, args, timestamp: Date.now() });
+
+    if (buffer.entries.length > buffer.size) {
+      buffer.entries.shift();
+    }
+  }
+
+  /**
+   * Get retained payloads for an event name or pattern, oldest first
+   */
+  getRetainedFor(eventName) {
+    if (this.retained.size === 0) {
+      return [];
+    }
+
+    if (!this.isPattern(eventName)) {
+      const buffer = this.retained.get(eventName);
+      return buffer ? buffer.entries.slice() : [];
+    }
+
+    const matcher = this.compilePattern(eventName);
+    const entries = [];
+
+    for (const [name, buffer] of this.retained) {
+      if (matcher.test(name)) {
+        entries.push(...buffer.entries);
+      }
+    }
+
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Deliver retained payloads to a single listener
+   */
+  deliverRetained(listener, entries) {
+    entries.forEach(({ eventName, args }) => {
+      try {
+        this.invokeListener(listener, eventName, args);
+      } catch (error) {
+        this.logger.error(`❌ Error replaying event '${eventName}' to listener:`, error);
+        this.emitError(eventName, error, listener);
+      }
+    });
+  }
+
+  /**
+   * Check if an event name is a glob pattern or RegExp
+   */
+  isPattern(eventName) {
+    return eventName instanceof RegExp ||
+      (typeof eventName === 'string' && eventName.includes('*'));
+  }
+
+  /**
+   * Get the map key for an event name or pattern
+   */
+  getEventKey(eventName) {
+    return eventName instanceof RegExp ? eventName.toString() : eventName;
+  }
+
+  /**
+   * Compile a glob pattern or RegExp into a matcher
+   * '*' matches a single ':'-separated segment, '**' matches any number of segments
+   */
+  compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+      // Drop stateful flags so repeated test() calls stay consistent
+      return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+    }
+
+    const escape = (part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const source = pattern
+      .split('**')
+      .map(part => part.split('*').map(escape).join('[^:]*'))
+      .join('.*');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Get the listener array for an event name or pattern
+   */
+  getListenerBucket(eventName, create = false) {
+    const key = this.getEventKey(eventName);
+
+    if (this.isPattern(eventName)) {
+      if (!this.patterns.has(key) && create) {
+        this.patterns.set(key, {
+          matcher: this.compilePattern(eventName),
+          listeners: []
+        });
+      }
+      return this.patterns.has(key) ? this.patterns.get(key).listeners : null;
+    }
+
+    if (!this.events.has(key) && create) {
+      this.events.set(key, []);
+    }
+    return this.events.get(key) || null;
+  }
+
+  /**
+   * Delete the listener array for an event name or pattern
+   */
+  deleteListenerBucket(eventName) {
+    if (this.isPattern(eventName)) {
+      this.patterns.delete(this.getEventKey(eventName));
+    } else {
+      this.events.delete(eventName);
+    }
+  }
+
+  /**
+   * Drop empty pattern entries so exact dispatch stays on the fast path
+   */
+  pruneListenerBucket(eventName) {
+    const key = this.getEventKey(eventName);
+    const entry = this.patterns.get(key);
+
+    if (entry && entry.listeners.length === 0) {
+      this.patterns.delete(key);
+    }
+  }
+
+  /**
+   * Get exact and pattern listeners for an emitted event, by priority
+   */
+  getMatchingListeners(eventName) {
+    const exact = this.events.get(eventName);
+
+    // Fast path: no pattern subscriptions at all
+    if (this.patterns.size === 0) {
+      return exact || null;
+    }
+
+    const matched = [];
+    for (const { matcher, listeners } of this.patterns.values()) {
+      if (matcher.test(eventName)) {
+        matched.push(...listeners);
+      }
+    }
+
+    if (matched.length === 0) {
+      return exact || null;
+    }
+
+    return [...(exact || []), ...matched].sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Call a listener with its context and arguments
+   */
+  invokeListener(listener, eventName, args) {
+    const callArgs = listener.isPattern ? [eventName, ...args] : args;
+
+    if (listener.context) {
+      return listener.callback.call(listener.context, ...callArgs);
+    }
+    return listener.callback(...callArgs);
+  }
+
+  /**
+   * Remove a specific listener from its bucket
+   */
+  removeListener(listener) {
+    const entry = listener.isPattern
+      ? this.patterns.get(listener.key)
+      : { listeners: this.events.get(listener.key) };
+
+    if (!entry || !entry.listeners) {
+      return false;
+    }
+
+    const index = entry.listeners.indexOf(listener);
+    if (index === -1) {
+      return false;
+    }
+
+    entry.listeners.splice(index, 1);
+    if (listener.isPattern) {
+      this.pruneListenerBucket(listener.key);
+    }
+    return true;
+  }
+
   /**
    * Emit error event
    */
@@ -237,19 +739,53 @@ class EventBusClass {
    * Get all listeners for an event
    */
   listeners(eventName) {
-    if (!this.events.has(eventName)) {
+    const listeners = this.getListenerBucket(eventName);
+    if (!listeners) {
       return [];
     }
 
-    return this.events.get(eventName).map(listener => ({
+    return listeners.map(listener => ({
       id: listener.id,
       once: listener.once,
       priority: listener.priority,
       added: listener.added,
+      pattern: listener.isPattern ? listener.key : null,
       context: listener.context ? listener.context.constructor.name : null
     }));
   }
 
+  /**
+   * Get live listeners and request handlers registered with a context
+   * Used to detect components that leak subscriptions after destroy
+   */
+  getSubscriptionsByContext(context) {
+    const subscriptions = [];
+
+    const collect = (eventName, listeners) => {
+      listeners.forEach(listener => {
+        if (listener.context === context) {
+          subscriptions.push({ type: 'listener', eventName, id: listener.id });
+        }
+      });
+    };
+
+    for (const [eventName, listeners] of this.events) {
+      collect(eventName, listeners);
+    }
+
+    for (const [pattern, { listeners }] of this.patterns) {
+      collect(pattern, listeners);
+    }
+
+    for (const [requestName, entry] of this.handlers) {
+      if (entry.context === context) {
+        subscriptions.push({ type: 'handler', eventName: requestName, id: entry.id });
+      }
+    }
+
+    return subscriptions;
+  }
+
   /**
    * Get all event names
    */
@@ -257,14 +793,26 @@ class EventBusClass {
     return Array.from(this.events.keys());
   }
 
+  /**
+   * Get all subscribed patterns
+   */
+  patternNames() {
+    return Array.from(this.patterns.keys());
+  }
+
   /**
    * Get listener count for an event
+   * For an exact name, listeners of matching patterns are included;
+   * for a pattern, only listeners registered on that pattern are counted.
    */
   listenerCount(eventName) {
-    if (!this.events.has(eventName)) {
-      return 0;
+    if (this.isPattern(eventName)) {
+      const listeners = this.getListenerBucket(eventName);
+      return listeners ? listeners.length : 0;
     }
-    return this.events.get(eventName).length;
+
+    const listeners = this.getMatchingListeners(eventName);
+    return listeners ? listeners.length : 0;
   }
 
   /**
@@ -272,12 +820,13 @@ class EventBusClass {
    */
   removeAllListeners(eventName) {
     if (eventName) {
-      this.events.delete(eventName);
+      this.deleteListenerBucket(eventName);
       if (this.debugMode) {
         this.logger.info(`🗑️ All listeners removed for event: '${eventName}'`);
       }
     } else {
       this.events.clear();
+      this.patterns.clear();
       if (this.debugMode) {
         this.logger.info('🗑️ All event listeners removed');
       }
@@ -306,14 +855,27 @@ class EventBusClass {
     return `listener_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Generate unique middleware ID
+   */
+  generateMiddlewareId() {
+    return `middleware_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Get event bus statistics
    */
   getStats() {
     const stats = {
       totalEvents: this.events.size,
+      totalPatterns: this.patterns.size,
       totalListeners: 0,
-      events: {}
+      events: {},
+      patterns: {},
+      middlewareCount: this.middlewares.length,
+      handlers: Array.from(this.handlers.keys()),
+      retained: {},
+      tracing: this.isTracing()
     };
 
     for (const [eventName, listeners] of this.events) {
@@ -325,6 +887,22 @@ class EventBusClass {
       };
     }
 
+    for (const [pattern, { listeners }] of this.patterns) {
+      stats.totalListeners += listeners.length;
+      stats.patterns[pattern] = {
+        listenerCount: listeners.length,
+        priorities: listeners.map(l => l.priority),
+        onceListeners: listeners.filter(l => l.once).length
+      };
+    }
+
+    for (const [eventName, buffer] of this.retained) {
+      stats.retained[eventName] = {
+        size: buffer.size,
+        count: buffer.entries.length
+      };
+    }
+
     return stats;
   }
 
@@ -341,10 +919,19 @@ class EventBusClass {
     this.logger.info('🐛 EventBus Debug Info:', {
       stats,
       events: Object.fromEntries(this.events),
-      maxListeners: this.maxListeners
+      patterns: this.patternNames(),
+      maxListeners: this.maxListeners,
+      timeline: this.tracer ? this.tracer.summarize() : null
     });
   }
 
+  /**
+   * Create a subscription group that is disposed with a single call
+   */
+  scope(name = 'scope') {
+    return new EventScope(this, name);
+  }
+
   /**
    * Create namespaced event bus
    */
@@ -363,44 +950,165 @@ class EventBusClass {
         this.emit(`${prefix}:${eventName}`, ...args),
       
       emitAsync: (eventName, ...args) => 
-        this.emitAsync(`${prefix}:${eventName}`, ...args)
+        this.emitAsync(`${prefix}:${eventName}`, ...args),
+      
+      emitAsyncWith: (eventName, args, options) => 
+        this.emitAsyncWith(`${prefix}:${eventName}`, args, options),
+      
+      onAny: (callback, options) => 
+        this.on(`${prefix}:**`, callback, options)
     };
   }
 
   /**
-   * Create event middleware
+   * Add event middleware
+   * Middleware receives (context, next). It may change context.eventName
+   * or context.args before calling next(), call next() later to delay the
+   * event, or not call it at all to block it. Returns a handle for
+   * removeMiddleware().
+   *
+   * @example
+   * EventBus.use((context, next) => {
+   *   if (context.eventName.startsWith('admin:')) return false;
+   *   return next();
+   * });
    */
-  use(middleware) {
+  use(middleware, options = {}) {
     if (typeof middleware !== 'function') {
       this.logger.error('❌ Middleware must be a function');
-      return;
+      return null;
     }
 
-    const originalEmit = this.emit.bind(this);
-    
-    this.emit = (eventName, ...args) => {
+    const entry = {
+      middleware,
+      name: options.name || middleware.name || 'anonymous',
+      priority: options.priority || 0,
+      id: this.generateMiddlewareId(),
+      added: Date.now()
+    };
+
+    this.middlewares.push(entry);
+
+    // Sort by priority (higher priority runs first)
+    this.middlewares.sort((a, b) => b.priority - a.priority);
+
+    this.logger.info(`🔧 Event middleware installed: ${entry.name} (ID: ${entry.id})`);
+
+    return entry.id;
+  }
+
+  /**
+   * Remove event middleware by handle or function
+   */
+  removeMiddleware(middlewareOrId) {
+    const index = this.middlewares.findIndex(entry =>
+      entry.id === middlewareOrId || entry.middleware === middlewareOrId
+    );
+
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = this.middlewares.splice(index, 1);
+    this.logger.info(`🗑️ Event middleware removed: ${entry.name}`);
+
+    return true;
+  }
+
+  /**
+   * Remove all event middleware
+   */
+  clearMiddleware() {
+    this.middlewares = [];
+  }
+
+  /**
+   * Get installed middleware
+   */
+  getMiddleware() {
+    return this.middlewares.map(({ id, name, priority, added }) => ({
+      id,
+      name,
+      priority,
+      added
+    }));
+  }
+
+  /**
+   * Create the context object passed through the middleware pipeline
+   */
+  createEventContext(eventName, args, isAsync) {
+    return {
+      eventName,
+      originalEventName: eventName,
+      args,
+      async: isAsync,
+      timestamp: Date.now(),
+      dispatched: false,
+      result: undefined
+    };
+  }
+
+  /**
+   * Run the middleware pipeline, ending with the given dispatcher
+   * A middleware that throws is skipped and the event continues.
+   */
+  runMiddleware(context, dispatcher) {
+    const stack = this.middlewares.map(entry => entry.middleware);
+
+    const finish = () => {
+      // Guard against next() being called more than once
+      if (context.dispatched) {
+        return context.result;
+      }
+
+      context.dispatched = true;
+      const result = dispatcher();
+
+      if (context.async) {
+        return result.then(value => {
+          context.result = value;
+          return value;
+        });
+      }
+
+      context.result = result;
+      return result;
+    };
+
+    const run = (index) => {
+      if (index >= stack.length) {
+        return finish();
+      }
+
+      const next = () => run(index + 1);
+      const handleError = (error) => {
+        this.logger.error('❌ Error in event middleware:', error);
+        return context.dispatched ? context.result : next();
+      };
+
       try {
-        const result = middleware(eventName, args);
-        if (result === false) {
-          // Middleware blocked the event
-          return false;
-        }
-        
-        // Continue with original emit
-        return originalEmit(eventName, ...args);
+        const result = stack[index](context, next);
+        return context.async ? Promise.resolve(result).catch(handleError) : result;
       } catch (error) {
-        this.logger.error('❌ Error in event middleware:', error);
-        return originalEmit(eventName, ...args);
+        return handleError(error);
       }
     };
 
-    this.logger.info('🔧 Event middleware installed');
+    return run(0);
   }
 
   /**
    * Wait for event
+   * Resolves with the listener arguments; for patterns the first
+   * argument is the matched event name. Sticky events that already
+   * fired resolve immediately.
    */
   waitFor(eventName, timeout = 5000) {
+    if (!this.isPattern(eventName) && this.hasSticky(eventName)) {
+      return Promise.resolve(this.getSticky(eventName));
+    }
+
     return new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
         this.off(eventName, listenerId);
@@ -414,14 +1122,217 @@ class EventBusClass {
     });
   }
 
+  /**
+   * Register the single responder for a request name
+   * The handler receives (payload, { signal, requestId }) and may return
+   * a value or a promise; thrown errors are sent back to the caller.
+   */
+  handle(requestName, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      this.logger.error(`❌ Handler for request '${requestName}' must be a function`);
+      return null;
+    }
+
+    if (this.handlers.has(requestName)) {
+      this.logger.error(`❌ Request '${requestName}' already has a handler`);
+      return null;
+    }
+
+    if (options.signal && options.signal.aborted) {
+      return null;
+    }
+
+    const entry = {
+      handler,
+      context: options.context || null,
+      id: this.generateListenerId(),
+      added: Date.now()
+    };
+
+    this.handlers.set(requestName, entry);
+
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => this.unhandle(requestName, entry.id), { once: true });
+    }
+
+    if (this.debugMode) {
+      this.logger.info(`📬 Request handler registered: '${requestName}' (ID: ${entry.id})`);
+    }
+
+    return entry.id;
+  }
+
+  /**
+   * Remove the responder for a request name
+   * When an ID is given, only that registration is removed
+   */
+  unhandle(requestName, handlerId) {
+    const entry = this.handlers.get(requestName);
+
+    if (!entry || (handlerId && entry.id !== handlerId)) {
+      return false;
+    }
+
+    this.handlers.delete(requestName);
+    return true;
+  }
+
+  /**
+   * Check if a request name has a responder
+   */
+  hasHandler(requestName) {
+    return this.handlers.has(requestName);
+  }
+
+  /**
+   * Ask the registered responder and wait for its answer
+   */
+  request(requestName, payload, options = {}) {
+    const { timeout = 5000, signal } = options;
+    const entry = this.handlers.get(requestName);
+
+    if (!entry) {
+      return Promise.reject(new EventBusRequestError(
+        `No handler registered for request: ${requestName}`, 'NO_HANDLER', requestName
+      ));
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new EventBusRequestError(
+        `Request aborted: ${requestName}`, 'ABORTED', requestName
+      ));
+    }
+
+    const requestId = this.generateListenerId().replace('listener_', 'request_');
+
+    // Lets the handler stop work when the caller gives up
+    const controller = new AbortController();
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+
+      const settle = (callback, value) => {
+        clearTimeout(timeoutId);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        callback(value);
+      };
+
+      const fail = (message, code) => {
+        controller.abort();
+        settle(reject, new EventBusRequestError(message, code, requestName));
+      };
+
+      const onAbort = () => fail(`Request aborted: ${requestName}`, 'ABORTED');
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      if (timeout > 0) {
+        timeoutId = setTimeout(() => {
+          fail(`Timeout waiting for response to: ${requestName}`, 'TIMEOUT');
+        }, timeout);
+      }
+
+      if (this.debugMode) {
+        this.logger.info(`📨 Request sent: '${requestName}' (ID: ${requestId})`);
+      }
+
+      Promise.resolve()
+        .then(() => entry.handler.call(entry.context, payload, { signal: controller.signal, requestId }))
+        .then(
+          result => {
+            if (!controller.signal.aborted) settle(resolve, result);
+          },
+          error => {
+            if (!controller.signal.aborted) {
+              this.logger.error(`❌ Error in request handler for '${requestName}':`, error);
+              settle(reject, error);
+            }
+          }
+        );
+    });
+  }
+
+  /**
+   * Start recording emissions into a timeline
+   * Each entry holds a payload snapshot, listener count, per-listener
+   * durations and listener errors. Recording is off by default.
+   */
+  startTracing(options = {}) {
+    if (this.tracer) {
+      this.logger.warn('⚠️ Event tracing already active');
+      return this.tracer;
+    }
+
+    this.tracer = new EventTracer({ bus: this, config: options });
+    this.logger.info('⏺️ Event tracing started');
+    return this.tracer;
+  }
+
+  /**
+   * Stop recording; the returned tracer keeps the recorded timeline
+   */
+  stopTracing() {
+    const tracer = this.tracer;
+    this.tracer = null;
+
+    if (tracer) {
+      this.logger.info(`⏹️ Event tracing stopped (${tracer.entries.length} events recorded)`);
+    }
+
+    return tracer;
+  }
+
+  /**
+   * Check if emissions are being recorded
+   */
+  isTracing() {
+    return !!this.tracer;
+  }
+
+  /**
+   * Query the recorded timeline
+   * filter: { eventName (name or pattern), since, hasErrors, blocked, minDuration, limit }
+   */
+  getTimeline(filter = {}) {
+    return this.tracer ? this.tracer.query(filter) : [];
+  }
+
+  /**
+   * Export the recorded timeline as Chrome trace-event JSON
+   */
+  exportTrace() {
+    return this.tracer ? this.tracer.toChromeTrace() : { traceEvents: [], displayTimeUnit: 'ms' };
+  }
+
+  /**
+   * Record events that middleware kept from reaching their listeners
+   */
+  traceBlocked(context) {
+    if (this.tracer && !context.dispatched) {
+      this.tracer.recordBlocked(context.eventName, context.args, {
+        async: context.async,
+        remote: context.remote
+      });
+    }
+  }
+
   /**
    * Cleanup resources
    */
   cleanup() {
     this.removeAllListeners();
+    this.clearMiddleware();
+    this.clearSticky(null, { forget: true });
+    this.handlers.clear();
+    this.tracer = null;
     this.logger.info('🧹 EventBus cleaned up');
   }
 }
 
 // Create singleton instance
+/** @type {EventBusClass & import('../types/events').TypedEventBus} */
 export const EventBus = new EventBusClass();
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * Event Catalog
+ * Declared application events and their payload schemas
+ * Events emitted through BaseComponent.emit always carry a payload object
+ * (with `source`), so payload-less component events declare 'object?'
+ */
+
+import { EventSchemaRegistry } from './EventSchemaRegistry.js';
+
+const component = { type: 'object', properties: { component: 'object' } };
+
+export const eventCatalog = {
+  // Application lifecycle
+  'app:core:ready': { description: 'Core App finished initializing (sticky)', args: [] },
+  'app:ready': { description: 'All components initialized (sticky)', args: [] },
+  'app:beforeunload': { description: 'Page is about to unload', args: [] },
+  'app:error': { description: 'Uncaught application error', args: [{ type: 'object', properties: { type: 'string' } }] },
+  'app:state:change': { description: 'Request a partial App state update', args: ['object'] },
+  'app:state:updated': {
+    description: 'App state was updated',
+    args: [{ type: 'object', properties: { oldState: 'object', newState: 'object', changes: 'object' } }]
+  },
+  'config:loaded': {
+    description: 'Runtime config and feature flags loaded',
+    args: [{ type: 'object', properties: { source: 'string', etag: 'string?', flags: 'array' } }]
+  },
+  'analytics:error': { description: 'Error forwarded to analytics', args: ['object'] },
+  'dom:ready': { description: 'DOMContentLoaded fired', args: [] },
+  'window:loaded': { description: 'Window load fired', args: [] },
+  'network:online': { description: 'Browser went online', args: [] },
+  'network:offline': { description: 'Browser went offline', args: [] },
+  'performance:metrics': {
+    description: 'Page load performance metrics',
+    args: [{
+      type: 'object',
+      properties: {
+        loadTime: 'number',
+        domContentLoaded: 'number',
+        firstPaint: 'number',
+        firstContentfulPaint: 'number'
+      }
+    }]
+  },
+  'performance:vital': {
+    description: 'Core Web Vital measured (LCP, CLS, INP, TTFB)',
+    args: [{
+      type: 'object',
+      properties: {
+        name: { type: 'string', enum: ['LCP', 'CLS', 'INP', 'TTFB'] },
+        value: 'number',
+        rating: { type: 'string', enum: ['good', 'needs-improvement', 'poor'] },
+        delta: 'number',
+        id: 'string',
+        navigationType: 'string',
+        page: 'string',
+        attribution: 'object'
+      }
+    }]
+  },
+  'announce': { description: 'Screen reader announcement', args: ['string'] },
+  'history:changed': {
+    description: 'State history position changed',
+    args: [{
+      type: 'object',
+      properties: { index: 'number', length: 'number', label: 'string', canUndo: 'boolean', canRedo: 'boolean' }
+    }]
+  },
+  'error': {
+    description: 'A listener threw while handling an event',
+    args: [{ type: 'object', properties: { originalEvent: 'string', error: 'any', timestamp: 'number' } }]
+  },
+
+  // Preferences
+  'theme:change': { description: 'Visitor theme preference changed', args: ['string'] },
+  'language:change': { description: 'Visitor language preference changed', args: ['string'] },
+
+  // Components
+  'component:initialized': { description: 'Component initialized', args: [component] },
+  'component:mounted': { description: 'Component mounted', args: [component] },
+  'component:updated': {
+    description: 'Component updated',
+    args: [{ type: 'object', properties: { component: 'object', oldState: 'object', newState: 'object' } }]
+  },
+  'component:destroyed': { description: 'Component destroyed', args: [component] },
+  'component:error': {
+    description: 'Component lifecycle error',
+    args: [{ type: 'object', properties: { component: 'object', error: 'any', phase: 'string?' } }]
+  },
+  'component:fallback': {
+    description: 'Error boundary showed a fallback for a failed child (no retryIn once retries run out)',
+    args: [{ type: 'object', properties: { component: 'object', error: 'any', attempt: 'number', retryIn: 'number?' } }]
+  },
+  'component:recovered': {
+    description: 'Child came back after error boundary retries',
+    args: [{ type: 'object', properties: { component: 'object', attempts: 'number' } }]
+  },
+  'component:degraded': {
+    description: 'Registered component failed repeatedly and was marked degraded',
+    args: [{ type: 'object', properties: { name: 'string', failures: 'number', error: 'any' } }]
+  },
+  'state:changed': {
+    description: 'Component state changed',
+    args: [{ type: 'object', properties: { component: 'object', oldState: 'object', newState: 'object', changes: 'object' } }]
+  },
+  'child:added': {
+    description: 'Child component added',
+    args: [{ type: 'object', properties: { parent: 'object', child: 'object', childId: 'string' } }]
+  },
+  'child:removed': {
+    description: 'Child component removed',
+    args: [{ type: 'object', properties: { parent: 'object', child: 'object', childId: 'string' } }]
+  },
+
+  // Theme
+  'theme:set': { description: 'Request a theme', args: [{ type: 'object', properties: { theme: 'string' } }] },
+  'theme:toggle': { description: 'Request the next theme', args: ['object?'] },
+  'theme:changed': {
+    description: 'Theme applied to the document',
+    args: [{ type: 'object', properties: { theme: 'string', effectiveTheme: 'string', systemPreference: 'string' } }]
+  },
+  'theme:added': {
+    description: 'Custom theme added',
+    args: [{ type: 'object', properties: { name: 'string', config: 'object' } }]
+  },
+  'theme:removed': { description: 'Custom theme removed', args: [{ type: 'object', properties: { name: 'string' } }] },
+
+  // Internationalization
+  'i18n:set-language': { description: 'Request a language', args: [{ type: 'object', properties: { language: 'string' } }] },
+  'i18n:translate': {
+    description: 'Request a translation',
+    args: [{ type: 'object', properties: { key: 'string', params: 'object?' } }]
+  },
+  'i18n:translation-result': {
+    description: 'Translation response',
+    args: [{ type: 'object', properties: { key: 'string', translation: 'string', language: 'string' } }]
+  },
+  'i18n:language-changed': {
+    description: 'Language applied to the page',
+    args: [{ type: 'object', properties: { oldLanguage: 'string', newLanguage: 'string', translations: 'any' } }]
+  },
+
+  // Navigation
+  'navigation:scroll': { description: 'Page scrolled or scrolled to an element', args: ['object'] },
+  'navigation:resize': {
+    description: 'Viewport resized',
+    args: [{ type: 'object', properties: { width: 'number', isMobile: 'boolean' } }]
+  },
+  'navigation:menu:opened': { description: 'Mobile menu opened', args: ['object?'] },
+  'navigation:menu:closed': { description: 'Mobile menu closed', args: ['object?'] },
+  'navigation:link:clicked': {
+    description: 'Navigation link clicked',
+    args: [{ type: 'object', properties: { href: 'string', text: 'string' } }]
+  },
+  'navigation:changed': {
+    description: 'Client-side route change finished and the new content is in place',
+    args: [{
+      type: 'object',
+      properties: { page: 'string', previousPage: 'string', route: 'string', params: 'object', url: 'string', fromHistory: 'boolean' }
+    }]
+  },
+  'navigation:cancelled': {
+    description: 'A route guard kept the visitor on the current page',
+    args: [{ type: 'object', properties: { route: 'string', url: 'string' } }]
+  },
+  'navigation:section': {
+    description: 'Section highlighted in the table of contents changed (no id above the first heading)',
+    args: [{ type: 'object', properties: { id: 'string?', text: 'string?' } }]
+  },
+  'navigation:item:added': { description: 'Navigation item added', args: [{ type: 'object', properties: { item: 'object' } }] },
+  'navigation:item:removed': { description: 'Navigation item removed', args: [{ type: 'object', properties: { href: 'string' } }] },
+
+  // Pages
+  'contact:submitted': {
+    description: 'Contact form sent (no personal data)',
+    args: [{ type: 'object', properties: { service: 'string?', budget: 'string?' } }]
+  },
+
+  // PWA
+  'pwa:sw:registered': { description: 'Service worker registered (sticky)', args: [{ type: 'object', properties: { registration: 'any' } }] },
+  'pwa:sw:error': { description: 'Service worker registration failed', args: [{ type: 'object', properties: { error: 'any' } }] },
+  'pwa:update:available': { description: 'Service worker update ready', args: ['object?'] },
+  'pwa:update:applied': { description: 'Service worker update applied', args: ['object?'] },
+  'pwa:install:prompt': {
+    description: 'Browser offered to install the app, kept for a PWA manager that loads later (sticky)',
+    args: [{ type: 'object', properties: { event: 'any' } }]
+  },
+  'pwa:installable': { description: 'App can be installed', args: ['object?'] },
+  'pwa:installed': { description: 'App was installed', args: ['object?'] },
+  'pwa:install:accepted': { description: 'Install prompt accepted', args: ['object?'] },
+  'pwa:install:dismissed': { description: 'Install prompt dismissed', args: ['object?'] },
+  'pwa:install:error': { description: 'Install prompt failed', args: [{ type: 'object', properties: { error: 'any' } }] },
+  'pwa:network:online': { description: 'PWA detected online status', args: ['object?'] },
+  'pwa:network:offline': { description: 'PWA detected offline status', args: ['object?'] }
+};
+
+// Shared registry for the application events
+export const EventSchemas = new EventSchemaRegistry(eventCatalog);
@@ -0,0 +1,348 @@
+/**
+ * Event Schema Registry
+ * Declares event names with payload schemas, validates emitted events
+ * and generates a TypeScript declaration catalog for editor support
+ *
+ * Schemas are small descriptors:
+ *   'string' | 'number' | 'boolean' | 'object' | 'array' | 'function' | 'any'
+ *   append '?' to make an argument or property optional ('string?')
+ *   { enum: ['light', 'dark'] }
+ *   { type: 'object', properties: { theme: 'string' } }
+ *   { type: 'array', items: 'string' }
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+const PRIMITIVE_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'function', 'any', 'undefined'];
+
+export class EventSchemaRegistry {
+  constructor(definitions = {}) {
+    this.logger = new Logger('EventSchemaRegistry');
+    this.schemas = new Map();
+    this.warned = new Set();
+    this.middlewareId = null;
+    this.bus = null;
+
+    this.defineAll(definitions);
+  }
+
+  /**
+   * Declare an event and its payload schema
+   */
+  define(eventName, definition = {}) {
+    if (this.schemas.has(eventName)) {
+      this.logger.warn(`⚠️ Event schema '${eventName}' is already defined. Overwriting...`);
+    }
+
+    this.schemas.set(eventName, {
+      description: definition.description || '',
+      args: definition.args || []
+    });
+
+    return this;
+  }
+
+  /**
+   * Declare several events at once
+   */
+  defineAll(definitions) {
+    Object.entries(definitions).forEach(([eventName, definition]) => {
+      this.define(eventName, definition);
+    });
+    return this;
+  }
+
+  /**
+   * Check if an event is declared
+   */
+  has(eventName) {
+    return this.schemas.has(eventName);
+  }
+
+  /**
+   * Get schema for an event
+   */
+  get(eventName) {
+    return this.schemas.get(eventName) || null;
+  }
+
+  /**
+   * Get all declared event names
+   */
+  eventNames() {
+    return Array.from(this.schemas.keys());
+  }
+
+  /**
+   * Validate emitted arguments against an event schema
+   * Returns a list of problems; an empty list means the payload is valid
+   */
+  validate(eventName, args = []) {
+    const schema = this.schemas.get(eventName);
+
+    if (!schema) {
+      return [`Unknown event '${eventName}'`];
+    }
+
+    const errors = [];
+
+    schema.args.forEach((argSchema, index) => {
+      this.validateValue(args[index], argSchema, `${eventName} arg[${index}]`, errors);
+    });
+
+    if (args.length > schema.args.length) {
+      errors.push(`${eventName}: expected at most ${schema.args.length} argument(s), got ${args.length}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a single value against a schema descriptor
+   */
+  validateValue(value, schema, path, errors) {
+    const { type, optional, descriptor } = this.normalizeSchema(schema);
+
+    if (value === undefined) {
+      if (!optional && type !== 'any' && type !== 'undefined') {
+        errors.push(`${path}: is required`);
+      }
+      return;
+    }
+
+    if (descriptor.enum) {
+      if (!descriptor.enum.includes(value)) {
+        errors.push(`${path}: expected one of ${descriptor.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+      }
+      return;
+    }
+
+    const actual = this.getType(value);
+    if (type !== 'any' && actual !== type) {
+      errors.push(`${path}: expected ${type}, got ${actual}`);
+      return;
+    }
+
+    if (type === 'object' && descriptor.properties) {
+      Object.entries(descriptor.properties).forEach(([property, propertySchema]) => {
+        this.validateValue(value[property], propertySchema, `${path}.${property}`, errors);
+      });
+    }
+
+    if (type === 'array' && descriptor.items) {
+      value.forEach((item, index) => {
+        this.validateValue(item, descriptor.items, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  /**
+   * Normalize shorthand schema strings into descriptors
+   */
+  normalizeSchema(schema) {
+    if (typeof schema === 'string') {
+      const optional = schema.endsWith('?');
+      const type = optional ? schema.slice(0, -1) : schema;
+
+      if (!PRIMITIVE_TYPES.includes(type)) {
+        throw new Error(`Unknown schema type: ${type}`);
+      }
+
+      return { type, optional, descriptor: {} };
+    }
+
+    const descriptor = schema || {};
+    const type = descriptor.enum ? 'enum' : (descriptor.type || 'any');
+
+    return {
+      type,
+      optional: !!descriptor.optional,
+      descriptor
+    };
+  }
+
+  /**
+   * Get schema type name of a runtime value
+   */
+  getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Install a validating middleware on an event bus
+   * Warns once per problem; with { block: true } invalid events are dropped
+   */
+  attach(bus, options = {}) {
+    if (this.middlewareId) {
+      this.logger.warn('⚠️ Event schema validator already attached');
+      return this.middlewareId;
+    }
+
+    const { block = false, warnUnknown = true } = options;
+
+    this.bus = bus;
+    this.middlewareId = bus.use((context, next) => {
+      const known = this.has(context.eventName);
+      const errors = known || warnUnknown
+        ? this.validate(context.eventName, context.args)
+        : [];
+
+      if (errors.length > 0) {
+        this.report(context.eventName, errors);
+
+        if (block) {
+          return false;
+        }
+      }
+
+      return next();
+    }, { name: 'EventSchemaValidator', priority: -100 });
+
+    this.logger.info('🧾 Event schema validator attached');
+    return this.middlewareId;
+  }
+
+  /**
+   * Remove the validating middleware
+   */
+  detach() {
+    if (!this.middlewareId) {
+      return false;
+    }
+
+    this.bus.removeMiddleware(this.middlewareId);
+    this.middlewareId = null;
+    this.bus = null;
+    return true;
+  }
+
+  /**
+   * Log validation problems, once per distinct message
+   */
+  report(eventName, errors) {
+    errors.forEach(error => {
+      if (this.warned.has(error)) {
+        return;
+      }
+
+      this.warned.add(error);
+      this.logger.warn(`⚠️ Event schema violation: ${error}`);
+    });
+  }
+
+  /**
+   * Generate a TypeScript declaration catalog for all events
+   */
+  toTypeScript(options = {}) {
+    const { interfaceName = 'CodeNexlifyEventMap' } = options;
+    const lines = [
+      '/**',
+      ' * CodeNexlify Event Catalog',
+      ' * Generated from the event schema registry (npm run events:types) - do not edit',
+      ' */',
+      '',
+      `export interface ${interfaceName} {`
+    ];
+
+    for (const [eventName, schema] of this.schemas) {
+      if (schema.description) {
+        lines.push(`  /** ${schema.description} */`);
+      }
+
+      const args = schema.args.map((argSchema, index) => {
+        const { optional } = this.normalizeSchema(argSchema);
+        return `arg${index}${optional ? '?' : ''}: ${this.toTypeScriptType(argSchema)}`;
+      });
+
+      lines.push(`  '${eventName}': [${args.join(', ')}];`);
+    }
+
+    lines.push(
+      '}',
+      '',
+      `export type CodeNexlifyEventName = keyof ${interfaceName};`,
+      '',
+      'export interface EventListenerOptions {',
+      '  once?: boolean;',
+      '  priority?: number;',
+      '  context?: object;',
+      '  replay?: boolean;',
+      '  signal?: AbortSignal;',
+      '}',
+      '',
+      'export interface EmitAsyncOptions {',
+      "  mode?: 'parallel' | 'serial' | 'settle';",
+      '  concurrency?: number;',
+      '  timeout?: number;',
+      '  signal?: AbortSignal;',
+      '}',
+      '',
+      'export type ListenerOutcome =',
+      "  | { listenerId: string; status: 'fulfilled'; value: unknown }",
+      "  | { listenerId: string; status: 'rejected'; reason: unknown };",
+      '',
+      'export interface TypedEventBus {',
+      `  on<K extends CodeNexlifyEventName>(eventName: K, callback: (...args: ${interfaceName}[K]) => void, options?: EventListenerOptions): string;`,
+      `  once<K extends CodeNexlifyEventName>(eventName: K, callback: (...args: ${interfaceName}[K]) => void, options?: EventListenerOptions): string;`,
+      `  emit<K extends CodeNexlifyEventName>(eventName: K, ...args: ${interfaceName}[K]): boolean;`,
+      `  emitAsync<K extends CodeNexlifyEventName>(eventName: K, ...args: ${interfaceName}[K]): Promise<boolean>;`,
+      `  emitAsyncWith<K extends CodeNexlifyEventName>(eventName: K, args: ${interfaceName}[K], options?: EmitAsyncOptions & { mode?: 'parallel' | 'serial' }): Promise<boolean>;`,
+      `  emitAsyncWith<K extends CodeNexlifyEventName>(eventName: K, args: ${interfaceName}[K], options: EmitAsyncOptions & { mode: 'settle' }): Promise<ListenerOutcome[]>;`,
+      `  waitFor<K extends CodeNexlifyEventName>(eventName: K, timeout?: number): Promise<${interfaceName}[K]>;`,
+      '}',
+      ''
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Convert a schema descriptor to a TypeScript type
+   */
+  toTypeScriptType(schema) {
+    const { type, descriptor } = this.normalizeSchema(schema);
+
+    if (descriptor.enum) {
+      return descriptor.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+
+    switch (type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+      case 'undefined':
+        return type;
+      case 'function':
+        return '(...args: any[]) => unknown';
+      case 'array':
+        return descriptor.items ? `Array<${this.toTypeScriptType(descriptor.items)}>` : 'unknown[]';
+      case 'object': {
+        if (!descriptor.properties) {
+          return 'Record<string, unknown>';
+        }
+
+        const properties = Object.entries(descriptor.properties).map(([property, propertySchema]) => {
+          const { optional } = this.normalizeSchema(propertySchema);
+          return `${property}${optional ? '?' : ''}: ${this.toTypeScriptType(propertySchema)}`;
+        });
+
+        return `{ ${[...properties, '[key: string]: unknown'].join('; ')} }`;
+      }
+      default:
+        return 'unknown';
+    }
+  }
+
+  /**
+   * Get registry statistics
+   */
+  getStats() {
+    return {
+      totalEvents: this.schemas.size,
+      attached: !!this.middlewareId,
+      warnings: this.warned.size
+    };
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Event Scope
+ * Groups EventBus subscriptions so they can be disposed together
+ *
+ * @example
+ * const scope = EventBus.scope('Gallery');
+ * scope.on('theme:change', applyTheme);
+ * scope.handle('gallery:count', () => items.length);
+ * scope.dispose(); // removes both
+ */
+
+export class EventScope {
+  constructor(bus, name = 'scope') {
+    this.bus = bus;
+    this.name = name;
+    this.controller = new AbortController();
+    this.disposers = [];
+  }
+
+  /**
+   * AbortSignal that fires when the scope is disposed
+   * Pass it to fetch(), addEventListener() etc. to tie them to the scope
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Check if the scope was disposed
+   */
+  get disposed() {
+    return this.controller.signal.aborted;
+  }
+
+  /**
+   * Add event listener bound to this scope
+   */
+  on(eventName, callback, options = {}) {
+    if (this.disposed) {
+      this.bus.logger.warn(`⚠️ Scope '${this.name}' is disposed, ignoring listener for '${eventName}'`);
+      return null;
+    }
+
+    const listenerId = this.bus.on(eventName, callback, { ...options, signal: this.signal });
+
+    // Honour a caller signal as well as the scope's own
+    if (listenerId && options.signal) {
+      this.add(this.bindSignal(options.signal, () => this.bus.off(eventName, listenerId)));
+    }
+
+    return listenerId;
+  }
+
+  /**
+   * Add one-time event listener bound to this scope
+   */
+  once(eventName, callback, options = {}) {
+    return this.on(eventName, callback, { ...options, once: true });
+  }
+
+  /**
+   * Remove a listener added through this scope
+   */
+  off(eventName, callbackOrId) {
+    return this.bus.off(eventName, callbackOrId);
+  }
+
+  /**
+   * Respond to requests while the scope is alive
+   */
+  handle(requestName, handler, options = {}) {
+    if (this.disposed) {
+      this.bus.logger.warn(`⚠️ Scope '${this.name}' is disposed, ignoring handler for '${requestName}'`);
+      return null;
+    }
+
+    return this.bus.handle(requestName, handler, { ...options, signal: this.signal });
+  }
+
+  /**
+   * Register extra cleanup to run on dispose
+   */
+  add(disposer) {
+    if (typeof disposer !== 'function') {
+      return this;
+    }
+
+    if (this.disposed) {
+      disposer();
+      return this;
+    }
+
+    this.disposers.push(disposer);
+    return this;
+  }
+
+  /**
+   * Run a callback when a signal aborts; returns a function that unbinds it
+   */
+  bindSignal(signal, callback) {
+    if (signal.aborted) {
+      callback();
+      return () => {};
+    }
+
+    signal.addEventListener('abort', callback, { once: true });
+    return () => signal.removeEventListener('abort', callback);
+  }
+
+  /**
+   * Remove every subscription made through this scope
+   */
+  dispose() {
+    if (this.disposed) {
+      return false;
+    }
+
+    this.controller.abort();
+
+    const disposers = this.disposers;
+    this.disposers = [];
+
+    disposers.forEach(disposer => {
+      try {
+        disposer();
+      } catch (error) {
+        this.bus.logger.error(`❌ Error disposing scope '${this.name}':`, error);
+      }
+    });
+
+    return true;
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * Event Tracer
+ * Records EventBus emissions into a queryable timeline
+ * and exports them as Chrome trace-event JSON for the Performance panel
+ */
+
+const now = () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+
+export class EventTracer {
+  constructor(options = {}) {
+    this.bus = options.bus || null;
+
+    // Configuration
+    this.config = {
+      maxEntries: 1000,
+      maxPayloadDepth: 3,
+      capturePayloads: true,
+      ...options.config
+    };
+
+    this.entries = [];
+    this.stack = [];
+    this.nextId = 1;
+    this.startedAt = Date.now();
+    this.origin = now();
+  }
+
+  /**
+   * Start recording an emission
+   */
+  begin(eventName, args, listenerCount, meta = {}) {
+    const parent = this.stack[this.stack.length - 1] || null;
+
+    const entry = {
+      id: this.nextId++,
+      eventName,
+      timestamp: Date.now(),
+      start: now(),
+      duration: 0,
+      async: !!meta.async,
+      remote: meta.remote || null,
+      blocked: false,
+      parentId: parent ? parent.id : null,
+      depth: this.stack.length,
+      listenerCount,
+      payload: this.config.capturePayloads ? this.snapshot(args) : undefined,
+      listeners: [],
+      errors: []
+    };
+
+    this.push(entry);
+
+    // Nested sync emits are attributed to the emission that triggered them
+    if (!entry.async) {
+      this.stack.push(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Record a single listener call
+   */
+  recordListener(entry, listener, start, error = null) {
+    const record = {
+      id: listener.id,
+      pattern: listener.isPattern ? listener.key : null,
+      context: listener.context ? listener.context.constructor.name : null,
+      start,
+      duration: now() - start,
+      error: error ? this.describeError(error) : null
+    };
+
+    entry.listeners.push(record);
+
+    if (error) {
+      entry.errors.push(record.error);
+    }
+  }
+
+  /**
+   * Finish recording an emission
+   */
+  end(entry) {
+    entry.duration = now() - entry.start;
+
+    const index = this.stack.lastIndexOf(entry);
+    if (index !== -1) {
+      this.stack.splice(index, 1);
+    }
+  }
+
+  /**
+   * Record an event that middleware blocked or deferred
+   */
+  recordBlocked(eventName, args, meta = {}) {
+    const entry = this.begin(eventName, args, 0, meta);
+    entry.blocked = true;
+    this.end(entry);
+    return entry;
+  }
+
+  /**
+   * Add entry, dropping the oldest when full
+   */
+  push(entry) {
+    this.entries.push(entry);
+
+    if (this.entries.length > this.config.maxEntries) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Query the timeline
+   */
+  query(filter = {}) {
+    let entries = this.entries;
+
+    if (filter.eventName) {
+      const matcher = this.bus
+        ? this.bus.compilePattern(filter.eventName)
+        : { test: (name) => name === filter.eventName };
+      entries = entries.filter(entry => matcher.test(entry.eventName));
+    }
+
+    if (filter.since) {
+      const since = new Date(filter.since).getTime();
+      entries = entries.filter(entry => entry.timestamp >= since);
+    }
+
+    if (filter.hasErrors) {
+      entries = entries.filter(entry => entry.errors.length > 0);
+    }
+
+    if (filter.blocked !== undefined) {
+      entries = entries.filter(entry => entry.blocked === filter.blocked);
+    }
+
+    if (filter.minDuration) {
+      entries = entries.filter(entry => entry.duration >= filter.minDuration);
+    }
+
+    if (filter.limit) {
+      entries = entries.slice(-filter.limit);
+    }
+
+    return entries.slice();
+  }
+
+  /**
+   * Summarize recorded events by name
+   */
+  summarize() {
+    const summary = {};
+
+    this.entries.forEach(entry => {
+      const item = summary[entry.eventName] || (summary[entry.eventName] = {
+        count: 0,
+        totalDuration: 0,
+        maxDuration: 0,
+        errors: 0
+      });
+
+      item.count++;
+      item.totalDuration += entry.duration;
+      item.maxDuration = Math.max(item.maxDuration, entry.duration);
+      item.errors += entry.errors.length;
+    });
+
+    return summary;
+  }
+
+  /**
+   * Convert the timeline to Chrome trace-event format
+   * Load the result in DevTools > Performance > Load profile
+   */
+  toChromeTrace() {
+    const toMicroseconds = (time) => Math.round((time - this.origin) * 1000);
+    const traceEvents = [
+      { name: 'process_name', ph: 'M', pid: 1, tid: 0, args: { name: 'CodeNexlify EventBus' } },
+      { name: 'thread_name', ph: 'M', pid: 1, tid: 1, args: { name: 'emit' } },
+      { name: 'thread_name', ph: 'M', pid: 1, tid: 2, args: { name: 'emitAsync' } }
+    ];
+
+    this.entries.forEach(entry => {
+      const tid = entry.async ? 2 : 1;
+
+      traceEvents.push({
+        name: entry.eventName,
+        cat: entry.blocked ? 'eventbus,blocked' : 'eventbus',
+        ph: 'X',
+        ts: toMicroseconds(entry.start),
+        dur: Math.max(1, Math.round(entry.duration * 1000)),
+        pid: 1,
+        tid,
+        args: {
+          id: entry.id,
+          listenerCount: entry.listenerCount,
+          payload: entry.payload,
+          remote: entry.remote
+        }
+      });
+
+      entry.listeners.forEach(listener => {
+        traceEvents.push({
+          name: `${entry.eventName} → ${listener.context || listener.id}`,
+          cat: 'eventbus,listener',
+          ph: 'X',
+          ts: toMicroseconds(listener.start),
+          dur: Math.max(1, Math.round(listener.duration * 1000)),
+          pid: 1,
+          tid,
+          args: { listener: listener.id, pattern: listener.pattern, error: listener.error }
+        });
+
+        if (listener.error) {
+          traceEvents.push({
+            name: `Error: ${listener.error.message}`,
+            cat: 'eventbus,error',
+            ph: 'i',
+            s: 't',
+            ts: toMicroseconds(listener.start + listener.duration),
+            pid: 1,
+            tid,
+            args: listener.error
+          });
+        }
+      });
+    });
+
+    return {
+      traceEvents,
+      displayTimeUnit: 'ms',
+      metadata: {
+        source: 'CodeNexlify EventBus',
+        recordedAt: new Date(this.startedAt).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Download the trace as a JSON file
+   */
+  download(filename = 'codenexlify-events-trace.json') {
+    const data = JSON.stringify(this.toChromeTrace());
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Take a JSON-safe snapshot of event arguments
+   * Class instances are replaced with their name to avoid huge or circular payloads
+   */
+  snapshot(value, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+      if (typeof value === 'function') {
+        return `[Function ${value.name || 'anonymous'}]`;
+      }
+      return value;
+    }
+
+    if (typeof Node !== 'undefined' && value instanceof Node) {
+      return `[${value.nodeName}]`;
+    }
+
+    if (value instanceof Error) {
+      return this.describeError(value);
+    }
+
+    if (depth >= this.config.maxPayloadDepth) {
+      return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.snapshot(item, depth + 1));
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return `[${value.constructor ? value.constructor.name : 'Object'}]`;
+    }
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = this.snapshot(value[key], depth + 1);
+    });
+    return result;
+  }
+
+  /**
+   * Describe an error as plain data
+   */
+  describeError(error) {
+    if (error instanceof Error) {
+      return { name: error.name, message: error.message, stack: error.stack };
+    }
+    return { name: 'Error', message: String(error), stack: null };
+  }
+
+  /**
+   * Clear recorded entries
+   */
+  clear() {
+    this.entries = [];
+    this.stack = [];
+  }
+}
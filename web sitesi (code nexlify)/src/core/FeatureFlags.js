@@ -0,0 +1,164 @@
+/**
+ * Feature Flags
+ * Evaluates flags from the runtime config with percentage rollout and
+ * per-page overrides
+ *
+ * A flag is a boolean, a rollout percentage, or a rule object:
+ *   "newBlog": { "enabled": true, "rollout": 20, "pages": { "blog": 50, "contact": false } }
+ * Page rules take precedence over the top-level rule. Visitors are bucketed
+ * by a stable random ID kept in storage, so the same visitor keeps the same
+ * answer across page loads and each flag buckets independently.
+ *
+ * @example
+ * app.flags.isEnabled('newBlog');
+ * app.flags.isEnabled('newBlog', { page: 'blog' });
+ * app.flags.override('newBlog', true); // QA / tests
+ */
+
+import { AppStorage } from './StorageService.js';
+import { AppStore } from './Store.js';
+import { Logger } from '../utils/Logger.js';
+
+export class FeatureFlags {
+  constructor(options = {}) {
+    this.logger = new Logger('FeatureFlags');
+    this.storage = options.storage || AppStorage;
+    this.store = options.store || AppStore;
+
+    // Configuration
+    this.config = {
+      visitorKey: 'visitor-id',
+      ...options.config
+    };
+
+    this.flags = { ...options.flags };
+    this.overrides = new Map();
+    this.visitorId = options.visitorId || null;
+  }
+
+  /**
+   * Replace flag definitions
+   */
+  setFlags(flags = {}) {
+    this.flags = { ...flags };
+    this.logger.info(`🚩 ${Object.keys(this.flags).length} feature flag(s) loaded`);
+    return this;
+  }
+
+  /**
+   * Check if a flag is enabled for this visitor on a page
+   */
+  isEnabled(name, options = {}) {
+    if (this.overrides.has(name)) {
+      return this.overrides.get(name);
+    }
+
+    const flag = this.flags[name];
+
+    if (flag === undefined || flag === null) {
+      return false;
+    }
+
+    const page = options.page !== undefined ? options.page : this.store.select('currentPage');
+    const pages = flag && typeof flag === 'object' ? flag.pages : null;
+
+    if (pages && page && Object.prototype.hasOwnProperty.call(pages, page)) {
+      return this.evaluate(name, pages[page]);
+    }
+
+    return this.evaluate(name, flag);
+  }
+
+  /**
+   * Evaluate a flag rule
+   */
+  evaluate(name, rule) {
+    if (typeof rule === 'boolean') {
+      return rule;
+    }
+
+    if (typeof rule === 'number') {
+      return this.inRollout(name, rule);
+    }
+
+    if (!rule || typeof rule !== 'object' || rule.enabled === false) {
+      return false;
+    }
+
+    return rule.rollout === undefined ? true : this.inRollout(name, rule.rollout);
+  }
+
+  /**
+   * Check if the visitor falls inside a rollout percentage
+   */
+  inRollout(name, percentage) {
+    if (percentage >= 100) {
+      return true;
+    }
+    if (percentage <= 0) {
+      return false;
+    }
+    return this.getBucket(name) < percentage;
+  }
+
+  /**
+   * Stable bucket (0-99) for this visitor and flag
+   */
+  getBucket(name) {
+    // FNV-1a
+    const input = `${name}:${this.getVisitorId()}`;
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0) % 100;
+  }
+
+  /**
+   * Get or create the stable visitor ID
+   */
+  getVisitorId() {
+    if (this.visitorId) {
+      return this.visitorId;
+    }
+
+    let visitorId = this.storage.get(this.config.visitorKey);
+
+    if (!visitorId) {
+      visitorId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      this.storage.set(this.config.visitorKey, visitorId);
+    }
+
+    this.visitorId = visitorId;
+    return visitorId;
+  }
+
+  /**
+   * Force a flag on or off (null removes the override)
+   */
+  override(name, value) {
+    if (value === null || value === undefined) {
+      this.overrides.delete(name);
+    } else {
+      this.overrides.set(name, Boolean(value));
+    }
+    return this;
+  }
+
+  /**
+   * Evaluate every flag
+   */
+  getAll(options = {}) {
+    const names = new Set([...Object.keys(this.flags), ...this.overrides.keys()]);
+    const result = {};
+    names.forEach(name => {
+      result[name] = this.isEnabled(name, options);
+    });
+    return result;
+  }
+}
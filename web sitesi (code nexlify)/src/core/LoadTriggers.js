@@ -0,0 +1,189 @@
+/**
+ * Load Triggers
+ * Promises that resolve when a lazily registered component should load
+ *
+ * Triggers:
+ * - 'idle' or { idle: { timeout } }: the browser has nothing else to do
+ * - 'interaction': first pointer, key, touch or wheel input
+ * - { visible: '.selector' }: the element scrolls into view (checked again after route changes)
+ * - { media: '(min-width: 992px)' }: the media query matches
+ * - { page: 'contact' } or { page: ['contact', 'services'] }: the visitor is on one of the pages
+ *
+ * An array (or an object with several keys) fires on the first trigger that
+ * does; the others are cleaned up.
+ *
+ * @example
+ * await waitForTrigger({ visible: '#contact-form' }, { signal });
+ */
+
+import { AppStore } from './Store.js';
+
+const INTERACTION_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+const abortError = () => new DOMException('Load trigger aborted', 'AbortError');
+
+/**
+ * Wrap a trigger setup in a promise
+ * setup(fire) returns a function that removes its listeners
+ */
+function createTrigger(setup, signal) {
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let cleanup = null;
+
+    const finish = (settle, value) => {
+      if (done) return;
+      done = true;
+      if (cleanup) cleanup();
+      if (signal) signal.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+
+    const onAbort = () => finish(reject, abortError());
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    cleanup = setup(() => finish(resolve));
+
+    // Fired while setting up
+    if (done && cleanup) cleanup();
+  });
+}
+
+const TRIGGERS = {
+  idle: (options = {}) => (fire) => {
+    const { timeout = 2000 } = options === true ? {} : options;
+
+    if ('requestIdleCallback' in window) {
+      const id = window.requestIdleCallback(fire, { timeout });
+      return () => window.cancelIdleCallback(id);
+    }
+
+    const id = setTimeout(fire, 1);
+    return () => clearTimeout(id);
+  },
+
+  interaction: () => (fire) => {
+    const options = { capture: true, passive: true };
+    INTERACTION_EVENTS.forEach(type => window.addEventListener(type, fire, options));
+    return () => INTERACTION_EVENTS.forEach(type => window.removeEventListener(type, fire, options));
+  },
+
+  visible: (selector, { store }) => (fire) => {
+    let observer = null;
+    let element = null;
+
+    const observe = () => {
+      const next = document.querySelector(selector);
+      if (!next || next === element) return;
+
+      element = next;
+      if (!('IntersectionObserver' in window)) {
+        fire();
+        return;
+      }
+
+      if (observer) observer.disconnect();
+      observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          fire();
+        }
+      });
+      observer.observe(element);
+    };
+
+    // Client-side navigation can bring the element in later
+    const unsubscribe = store.subscribe(state => state.route, observe);
+    observe();
+
+    return () => {
+      unsubscribe();
+      if (observer) observer.disconnect();
+    };
+  },
+
+  media: (query) => (fire) => {
+    const mediaQuery = window.matchMedia(query);
+    if (mediaQuery.matches) {
+      fire();
+      return null;
+    }
+
+    const onChange = (event) => {
+      if (event.matches) fire();
+    };
+    mediaQuery.addEventListener('change', onChange);
+    return () => mediaQuery.removeEventListener('change', onChange);
+  },
+
+  page: (pages, { store }) => (fire) => {
+    const names = [].concat(pages);
+    const check = (page) => {
+      if (names.includes(page)) fire();
+    };
+
+    const unsubscribe = store.subscribe(state => state.currentPage, check);
+    check(store.select('currentPage'));
+    return unsubscribe;
+  }
+};
+
+/**
+ * Split a `when` value into single [name, value] triggers
+ */
+function normalize(when) {
+  if (Array.isArray(when)) {
+    return when.flatMap(normalize);
+  }
+  if (typeof when === 'string') {
+    return [[when, true]];
+  }
+  if (when && typeof when === 'object') {
+    return Object.entries(when);
+  }
+  throw new Error(`Invalid load trigger: ${String(when)}`);
+}
+
+/**
+ * Readable form of a trigger, for logs and the startup graph
+ */
+export function describeTrigger(when) {
+  return normalize(when)
+    .map(([name, value]) => (value === true ? name : `${name}: ${JSON.stringify(value)}`))
+    .join(' | ');
+}
+
+/**
+ * Wait for the first of the given triggers to fire
+ */
+export function waitForTrigger(when, { signal, store = AppStore } = {}) {
+  const triggers = normalize(when).map(([name, value]) => {
+    if (!TRIGGERS[name]) {
+      throw new Error(`Unknown load trigger: ${name}`);
+    }
+    return TRIGGERS[name](value, { store });
+  });
+
+  // One controller for all triggers, so the first one cleans up the others
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  }
+
+  return Promise.race(triggers.map(setup => createTrigger(setup, controller.signal)))
+    .finally(() => {
+      if (signal) signal.removeEventListener('abort', abort);
+      controller.abort();
+    });
+}
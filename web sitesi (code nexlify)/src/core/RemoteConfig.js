@@ -0,0 +1,148 @@
+/**
+ * Remote Config
+ * Fetches the runtime JSON config ({ config, flags }) with ETag caching,
+ * a request timeout and fallback to the last good copy
+ *
+ * The default source is the static public/config/runtime.json, so the same
+ * file works in development, in tests and as a deployed default.
+ *
+ * @example
+ * const remote = new RemoteConfig({ config: { url: '/config/runtime.json', timeout: 3000 } });
+ * const { config, flags } = await remote.load();
+ * remote.source; // 'network' | 'not-modified' | 'fallback' | 'defaults'
+ */
+
+import { AppStorage } from './StorageService.js';
+import { Logger } from '../utils/Logger.js';
+
+export class RemoteConfig {
+  constructor(options = {}) {
+    this.logger = new Logger('RemoteConfig');
+    this.storage = options.storage || AppStorage.namespace('remote-config');
+    this.fetcher = options.fetch || ((url, init) => window.fetch(url, init));
+
+    // Configuration
+    this.config = {
+      url: '/config/runtime.json',
+      timeout: 3000,
+      ...options.config
+    };
+
+    this.data = { config: {}, flags: {} };
+    this.source = null;
+    this.etag = null;
+    this.fetchedAt = null;
+  }
+
+  /**
+   * Load the config, falling back to the last good copy
+   */
+  async load() {
+    const cached = this.storage.get('last-good');
+
+    if (!this.config.url) {
+      return this.use(cached, cached ? 'fallback' : 'defaults');
+    }
+
+    try {
+      const response = await this.request(cached ? cached.etag : null);
+
+      if (response.status === 304 && cached) {
+        const entry = { ...cached, fetchedAt: Date.now() };
+        this.storage.set('last-good', entry);
+        return this.use(entry, 'not-modified');
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Config must be a JSON object');
+      }
+
+      const entry = {
+        etag: response.headers.get('ETag'),
+        data,
+        fetchedAt: Date.now()
+      };
+
+      this.storage.set('last-good', entry);
+      return this.use(entry, 'network');
+
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to load remote config from ${this.config.url}: ${error.message}`);
+      return this.use(cached, cached ? 'fallback' : 'defaults');
+    }
+  }
+
+  /**
+   * Fetch the config URL, aborting after the configured timeout
+   */
+  async request(etag) {
+    const controller = new AbortController();
+    const { url, timeout } = this.config;
+    let timer = null;
+
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${timeout}ms`));
+      }, timeout);
+    });
+
+    // Bypass the HTTP cache so our own ETag decides what is fresh
+    const request = this.fetcher(url, {
+      headers: etag ? { 'If-None-Match': etag } : {},
+      cache: 'no-store',
+      credentials: 'same-origin',
+      signal: controller.signal
+    });
+
+    try {
+      return await Promise.race([request, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Make a cache entry the active config
+   */
+  use(entry, source) {
+    const data = entry && entry.data ? entry.data : {};
+
+    this.data = {
+      config: data.config || {},
+      flags: data.flags || {}
+    };
+    this.source = source;
+    this.etag = entry ? entry.etag || null : null;
+    this.fetchedAt = entry ? entry.fetchedAt || null : null;
+
+    this.logger.info(`⚙️ Remote config ready (${source})`);
+    return this.data;
+  }
+
+  /**
+   * Forget the last good copy
+   */
+  clear() {
+    this.storage.remove('last-good');
+  }
+
+  /**
+   * Get remote config statistics
+   */
+  getStats() {
+    return {
+      url: this.config.url,
+      source: this.source,
+      etag: this.etag,
+      fetchedAt: this.fetchedAt,
+      flags: Object.keys(this.data.flags)
+    };
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Route Table
+ * Matches URLs against route paths with named parameters and builds URLs
+ * back from route names
+ *
+ * Paths are written from the site root ('/blog/:slug') but matched against
+ * the end of the URL path, so the site keeps working when it is served from
+ * a sub-directory. The part in front of the match is returned as `base`.
+ *
+ * @example
+ * const table = new RouteTable([{ name: 'blog-post', path: '/blog/:slug' }]);
+ * table.match(new URL('https://example.com/site/blog/hello'));
+ * // { name: 'blog-post', params: { slug: 'hello' }, base: '/site', ... }
+ * table.resolve('blog-post', { slug: 'hello' }, '/site'); // '/site/blog/hello'
+ */
+
+export class RouteTable {
+  constructor(routes = []) {
+    this.routes = routes.map(route => ({
+      route,
+      patterns: [route.path, ...(route.aliases || [])].map(path => this.compile(path))
+    }));
+  }
+
+  /**
+   * Compile a path like '/services/:id' to a suffix pattern
+   */
+  compile(path) {
+    const keys = [];
+    const source = path.split('/').map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { keys, regex: new RegExp(`^(.*?)${source}$`) };
+  }
+
+  /**
+   * Find the first route matching a URL
+   * Returns { route, name, page, params, base, url } or null
+   */
+  match(url) {
+    for (const { route, patterns } of this.routes) {
+      for (const { keys, regex } of patterns) {
+        const result = regex.exec(url.pathname);
+        if (!result) continue;
+
+        const params = {};
+        try {
+          keys.forEach((key, index) => {
+            params[key] = decodeURIComponent(result[index + 2]);
+          });
+        } catch (error) {
+          // Malformed escape sequences cannot belong to this route
+          continue;
+        }
+
+        return {
+          route,
+          name: route.name,
+          page: route.page || route.name,
+          params,
+          base: result[1],
+          url
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a route definition by name
+   */
+  get(name) {
+    const entry = this.routes.find(({ route }) => route.name === name);
+    return entry ? entry.route : null;
+  }
+
+  /**
+   * Build the path of a named route
+   */
+  resolve(name, params = {}, base = '') {
+    const route = this.get(name);
+    if (!route) {
+      return null;
+    }
+
+    return base + route.path.replace(/:([^/]+)/g, (segment, key) => {
+      if (params[key] === undefined || params[key] === null) {
+        throw new Error(`Route '${name}' needs the '${key}' parameter`);
+      }
+      return encodeURIComponent(params[key]);
+    });
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * SEO Manager
+ * Keeps document metadata in sync with the current page and language,
+ * driven by the content manifest in src/content/seo.json
+ *
+ * Writes the title, description, robots, canonical URL, hreflang alternates,
+ * Open Graph and Twitter card tags. Non-default languages live at
+ * `?lang=<code>` so each language has its own canonical URL.
+ *
+ * @example
+ * const seo = new SeoManager().start();   // follows currentPage / language in AppStore
+ * seo.getMetadata('services', 'en').title; // 'Our Services - CodeNexlify'
+ */
+
+import { AppStore } from './Store.js';
+import { Logger } from '../utils/Logger.js';
+import seoManifest from '../content/seo.json';
+
+export class SeoManager {
+  constructor(options = {}) {
+    this.logger = new Logger('SeoManager');
+    this.store = options.store || AppStore;
+    this.manifest = options.manifest || seoManifest;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Apply metadata now and whenever the page or language changes
+   */
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.store.subscribe(
+        state => `${state.currentPage}|${state.language}`,
+        () => this.apply()
+      );
+    }
+
+    this.apply();
+    return this;
+  }
+
+  /**
+   * Stop following the store
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Resolve manifest metadata for a page in a language
+   * Unknown pages get the home page metadata and are kept out of the index
+   */
+  getMetadata(page = this.store.select('currentPage'), language = this.store.select('language')) {
+    const { pages, defaults, languages, defaultLanguage, locales } = this.manifest;
+    const known = Object.prototype.hasOwnProperty.call(pages, page);
+    const entry = { ...defaults, ...(known ? pages[page] : pages.home) };
+    const lang = this.resolveLanguage(language);
+    const localize = (value) => this.localize(value, lang);
+
+    return {
+      page: known ? page : 'home',
+      language: lang,
+      name: localize(entry.name),
+      title: localize(entry.title),
+      description: localize(entry.description),
+      image: entry.image ? this.toAbsoluteUrl(localize(entry.image)) : null,
+      imageAlt: localize(entry.imageAlt) || null,
+      type: entry.type,
+      robots: known ? entry.robots : 'noindex, follow',
+      canonical: this.getUrl(entry.path, lang),
+      locale: locales[lang],
+      alternateLocales: languages.filter(code => code !== lang).map(code => locales[code]),
+      alternates: [
+        ...languages.map(code => ({ hreflang: code, href: this.getUrl(entry.path, code) })),
+        { hreflang: 'x-default', href: this.getUrl(entry.path, defaultLanguage) }
+      ]
+    };
+  }
+
+  /**
+   * Fall back to the default language for unsupported languages
+   */
+  resolveLanguage(language) {
+    return this.manifest.languages.includes(language) ? language : this.manifest.defaultLanguage;
+  }
+
+  /**
+   * Pick the language from a { tr, en } manifest value (plain values pass through)
+   */
+  localize(value, language) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+    return value[language] ?? value[this.manifest.defaultLanguage];
+  }
+
+  /**
+   * Absolute URL of a page in a language
+   */
+  getUrl(path, language) {
+    const url = new URL(path, this.manifest.baseUrl);
+
+    if (language !== this.manifest.defaultLanguage) {
+      url.searchParams.set(this.manifest.languageParam, language);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Resolve a manifest path against the site URL
+   */
+  toAbsoluteUrl(path) {
+    return new URL(path, this.manifest.baseUrl).toString();
+  }
+
+  /**
+   * Write metadata to the document head
+   */
+  apply(metadata = this.getMetadata()) {
+    document.title = metadata.title;
+    document.documentElement.lang = metadata.language;
+
+    this.setMeta('name', 'description', metadata.description);
+    this.setMeta('name', 'robots', metadata.robots);
+    this.setLinks('canonical', [{ href: metadata.canonical }]);
+    this.setLinks('alternate', metadata.alternates);
+
+    // Open Graph
+    this.setMeta('property', 'og:title', metadata.title);
+    this.setMeta('property', 'og:description', metadata.description);
+    this.setMeta('property', 'og:type', metadata.type);
+    this.setMeta('property', 'og:url', metadata.canonical);
+    this.setMeta('property', 'og:site_name', this.manifest.siteName);
+    this.setMeta('property', 'og:image', metadata.image);
+    this.setMeta('property', 'og:image:alt', metadata.imageAlt);
+    this.setMeta('property', 'og:locale', metadata.locale);
+    this.setMeta('property', 'og:locale:alternate', metadata.alternateLocales);
+
+    // Twitter card
+    this.setMeta('name', 'twitter:card', metadata.image ? 'summary_large_image' : 'summary');
+    this.setMeta('name', 'twitter:site', this.manifest.twitter);
+    this.setMeta('name', 'twitter:title', metadata.title);
+    this.setMeta('name', 'twitter:description', metadata.description);
+    this.setMeta('name', 'twitter:image', metadata.image);
+    this.setMeta('name', 'twitter:image:alt', metadata.imageAlt);
+
+    this.logger.info(`🔎 SEO metadata applied: ${metadata.page} (${metadata.language})`);
+    return metadata;
+  }
+
+  /**
+   * Set, repeat (array) or remove (empty) a meta tag
+   */
+  setMeta(attribute, key, content) {
+    const values = (Array.isArray(content) ? content : [content]).filter(value => value !== null && value !== undefined);
+    const existing = Array.from(document.head.querySelectorAll(`meta[${attribute}="${key}"]`));
+
+    values.forEach((value, index) => {
+      let element = existing[index];
+      if (!element) {
+        element = document.createElement('meta');
+        element.setAttribute(attribute, key);
+        document.head.appendChild(element);
+      }
+      element.setAttribute('content', value);
+    });
+
+    existing.slice(values.length).forEach(element => element.remove());
+  }
+
+  /**
+   * Replace every <link rel="..."> managed here
+   */
+  setLinks(rel, links) {
+    const selector = rel === 'alternate' ? 'link[rel="alternate"][hreflang]' : `link[rel="${rel}"]`;
+    document.head.querySelectorAll(selector).forEach(element => element.remove());
+
+    links.forEach(({ href, hreflang }) => {
+      const element = document.createElement('link');
+      element.setAttribute('rel', rel);
+      if (hreflang) {
+        element.setAttribute('hreflang', hreflang);
+      }
+      element.setAttribute('href', href);
+      document.head.appendChild(element);
+    });
+  }
+}
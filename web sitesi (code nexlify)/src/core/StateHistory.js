@@ -0,0 +1,430 @@
+/**
+ * State History
+ * Records store transitions for undo/redo and time travel
+ * Each entry is labelled with the event being dispatched when the state
+ * changed, and the history can be exported (attached to Logger.exportLogs)
+ * and replayed to reproduce bug reports.
+ *
+ * enableShortcuts() lets visitors step through their own changes with
+ * Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y), and answers the
+ * 'history:undo' / 'history:redo' requests for buttons elsewhere.
+ *
+ * @example
+ * const history = new StateHistory({ config: { keys: ['theme', 'language'] } }).start();
+ * history.undo();
+ * history.jumpTo(0);
+ */
+
+import { EventBus } from './EventBus.js';
+import { AppStore } from './Store.js';
+import { Logger } from '../utils/Logger.js';
+
+// Screen reader messages for undo/redo, by language
+const MESSAGES = {
+  tr: {
+    undo: 'Son tercih değişikliği geri alındı',
+    redo: 'Tercih değişikliği yeniden uygulandı',
+    none: 'Geri alınacak değişiklik yok'
+  },
+  en: {
+    undo: 'Last preference change undone',
+    redo: 'Preference change redone',
+    none: 'Nothing to undo'
+  }
+};
+
+export class StateHistory {
+  constructor(options = {}) {
+    this.logger = new Logger('StateHistory');
+    this.store = options.store || AppStore;
+    this.bus = options.bus || EventBus;
+
+    // Configuration
+    this.config = {
+      maxEntries: 50,
+      keys: null, // null tracks every key
+      replayInterval: 300,
+      ...options.config
+    };
+
+    this.entries = [];
+    this.index = -1;
+    this.labels = [];
+    this.restoring = false;
+    this.unsubscribe = null;
+    this.middlewareId = null;
+
+    // Keyboard shortcuts and request handlers (enableShortcuts)
+    this.onKeydown = null;
+    this.controls = null;
+  }
+
+  /**
+   * Start recording transitions
+   */
+  start() {
+    if (this.unsubscribe) {
+      return this;
+    }
+
+    this.entries = [this.createEntry('initial', {})];
+    this.index = 0;
+
+    this.unsubscribe = this.store.subscribe(
+      state => this.pick(state),
+      (snapshot, previous) => this.record(snapshot, previous),
+      { equals: (a, b) => this.isSameSnapshot(a, b) }
+    );
+
+    // Remember which event is being dispatched to label the entries it causes
+    this.middlewareId = this.bus.use((context, next) => {
+      const release = this.pushLabel(context.eventName);
+      let result;
+      try {
+        result = next();
+      } catch (error) {
+        release();
+        throw error;
+      }
+
+      // Async listeners change state after next() returns
+      if (result && typeof result.then === 'function') {
+        return result.finally(release);
+      }
+
+      release();
+      return result;
+    }, { name: 'StateHistory', priority: 50 });
+
+    this.logger.info('⏪ State history recording started');
+    return this;
+  }
+
+  /**
+   * Stop recording transitions
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.middlewareId) {
+      this.bus.removeMiddleware(this.middlewareId);
+      this.middlewareId = null;
+    }
+
+    this.labels = [];
+    this.disableShortcuts();
+  }
+
+  /**
+   * Let visitors undo and redo their changes
+   */
+  enableShortcuts() {
+    if (this.onKeydown) {
+      return this;
+    }
+
+    this.onKeydown = (event) => this.handleKeydown(event);
+    document.addEventListener('keydown', this.onKeydown);
+
+    this.controls = this.bus.scope('StateHistory');
+    this.controls.handle('history:undo', () => this.step('undo'));
+    this.controls.handle('history:redo', () => this.step('redo'));
+
+    return this;
+  }
+
+  /**
+   * Remove the keyboard shortcuts and request handlers
+   */
+  disableShortcuts() {
+    if (this.onKeydown) {
+      document.removeEventListener('keydown', this.onKeydown);
+      this.onKeydown = null;
+    }
+
+    if (this.controls) {
+      this.controls.dispose();
+      this.controls = null;
+    }
+  }
+
+  /**
+   * Map Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y to undo and redo
+   */
+  handleKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+      return;
+    }
+
+    // Text fields keep their own undo
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+      return;
+    }
+
+    const key = event.key.toLowerCase();
+    let action = null;
+    if (key === 'z') {
+      action = event.shiftKey ? 'redo' : 'undo';
+    } else if (key === 'y' && !event.shiftKey) {
+      action = 'redo';
+    }
+
+    // With nothing to undo or redo the shortcut stays the browser's
+    if (action && (action === 'undo' ? this.canUndo() : this.canRedo())) {
+      event.preventDefault();
+      this.step(action);
+    }
+  }
+
+  /**
+   * Undo or redo and tell screen reader users what happened
+   */
+  step(action) {
+    const done = action === 'undo' ? this.undo() : this.redo();
+    const language = this.store.select('language');
+    const messages = MESSAGES[language] || MESSAGES.tr;
+
+    if (done) {
+      this.bus.emit('announce', messages[action]);
+    } else if (action === 'undo') {
+      this.bus.emit('announce', messages.none);
+    }
+
+    return done;
+  }
+
+  /**
+   * Run updates under an explicit label
+   */
+  label(label, fn) {
+    const release = this.pushLabel(label);
+    try {
+      return this.store.batch(fn);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Label the entries recorded until the returned function is called
+   * Labels are removed by identity, so async dispatches may settle in any order
+   */
+  pushLabel(label) {
+    const entry = { label };
+    this.labels.push(entry);
+
+    return () => {
+      const index = this.labels.indexOf(entry);
+      if (index !== -1) {
+        this.labels.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Record a transition
+   */
+  record(snapshot, previous) {
+    if (this.restoring) {
+      return;
+    }
+
+    const changes = {};
+    Object.keys(snapshot).forEach(key => {
+      if (!Object.is(snapshot[key], previous[key])) {
+        changes[key] = snapshot[key];
+      }
+    });
+
+    const current = this.labels[this.labels.length - 1];
+    const label = current ? current.label : `${Object.keys(changes).join(', ')} changed`;
+
+    // A new change discards the redo branch
+    this.entries = this.entries.slice(0, this.index + 1);
+    this.entries.push(this.createEntry(label, changes, snapshot));
+
+    if (this.entries.length > this.config.maxEntries) {
+      this.entries.shift();
+    }
+
+    this.index = this.entries.length - 1;
+    this.notify();
+  }
+
+  /**
+   * Create a history entry
+   */
+  createEntry(label, changes, state = this.pick(this.store.getState())) {
+    return {
+      label,
+      timestamp: Date.now(),
+      changes,
+      state
+    };
+  }
+
+  /**
+   * Undo the last transition
+   */
+  undo() {
+    return this.canUndo() ? this.jumpTo(this.index - 1) : false;
+  }
+
+  /**
+   * Redo the next transition
+   */
+  redo() {
+    return this.canRedo() ? this.jumpTo(this.index + 1) : false;
+  }
+
+  /**
+   * Check if there is something to undo
+   */
+  canUndo() {
+    return this.index > 0;
+  }
+
+  /**
+   * Check if there is something to redo
+   */
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  /**
+   * Restore the state of a history entry
+   */
+  jumpTo(index) {
+    const entry = this.entries[index];
+
+    if (!entry) {
+      this.logger.warn(`⚠️ No history entry at index ${index}`);
+      return false;
+    }
+
+    this.restoring = true;
+    try {
+      this.store.merge(entry.state);
+    } finally {
+      this.restoring = false;
+    }
+
+    this.index = index;
+    this.logger.info(`⏪ Restored state #${index}: ${entry.label}`);
+    this.notify();
+
+    return true;
+  }
+
+  /**
+   * Announce the history position
+   */
+  notify() {
+    const entry = this.entries[this.index];
+
+    this.bus.emit('history:changed', {
+      index: this.index,
+      length: this.entries.length,
+      label: entry ? entry.label : null,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+  }
+
+  /**
+   * Get entries without state snapshots
+   */
+  getEntries() {
+    return this.entries.map((entry, index) => ({
+      index,
+      label: entry.label,
+      timestamp: entry.timestamp,
+      changes: entry.changes,
+      current: index === this.index
+    }));
+  }
+
+  /**
+   * Export the history as plain data
+   */
+  export() {
+    return {
+      version: 1,
+      exported: new Date().toISOString(),
+      current: this.index,
+      entries: this.entries.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * Load an exported history and restore its current entry
+   */
+  load(data) {
+    if (!data || !Array.isArray(data.entries) || data.entries.length === 0) {
+      this.logger.warn('⚠️ Invalid state history data');
+      return false;
+    }
+
+    this.entries = data.entries.map(entry => ({ ...entry }));
+    return this.jumpTo(Math.min(data.current ?? this.entries.length - 1, this.entries.length - 1));
+  }
+
+  /**
+   * Step through an exported history from its first entry
+   * Resolves when the exported current entry is reached
+   */
+  async replay(data, options = {}) {
+    const { interval = this.config.replayInterval } = options;
+
+    if (!this.load({ ...data, current: 0 })) {
+      return false;
+    }
+
+    const target = Math.min(data.current ?? this.entries.length - 1, this.entries.length - 1);
+
+    for (let index = 1; index <= target; index++) {
+      if (interval > 0) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+      this.jumpTo(index);
+    }
+
+    this.logger.info(`▶️ Replayed ${target + 1} state(s)`);
+    return true;
+  }
+
+  /**
+   * Attach the history to Logger.exportLogs output
+   */
+  attachToLogs(name = 'stateHistory') {
+    Logger.addAttachment(name, () => this.export());
+    return this;
+  }
+
+  /**
+   * Pick tracked keys from a state snapshot
+   */
+  pick(state) {
+    if (!this.config.keys) {
+      return state;
+    }
+
+    const picked = {};
+    this.config.keys.forEach(key => {
+      picked[key] = state[key];
+    });
+    return picked;
+  }
+
+  /**
+   * Compare picked snapshots key by key
+   */
+  isSameSnapshot(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).every(key => Object.is(a[key], b[key]));
+  }
+}
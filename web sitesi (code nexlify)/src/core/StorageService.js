@@ -0,0 +1,535 @@
+/**
+ * Storage Service
+ * Namespaced, versioned persistence with migrations and pluggable backends
+ *
+ * Keys are stored as `${namespace}-${key}` with JSON values, so the root
+ * 'codenexlify' namespace keeps the existing key names (codenexlify-theme,
+ * codenexlify-config, ...). Values that cannot be written (quota exceeded,
+ * storage blocked) are kept in memory for the rest of the session.
+ *
+ * Backends: 'local' | 'session' | 'indexeddb' | 'cookie' | 'memory' or any
+ * object implementing getItem/setItem/removeItem/keys/isAvailable.
+ *
+ * @example
+ * const cache = AppStorage.namespace('cache', {
+ *   version: 2,
+ *   migrations: { 2: (storage) => storage.remove('legacy') }
+ * });
+ * cache.set('posts', [...]);
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * In-memory backend, also used as fallback when storage is unavailable
+ */
+export class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.items = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.items.keys());
+  }
+}
+
+/**
+ * localStorage / sessionStorage backend
+ */
+export class WebStorageBackend {
+  constructor(type = 'localStorage') {
+    this.name = type;
+    this.type = type;
+  }
+
+  get storage() {
+    return window[this.type];
+  }
+
+  isAvailable() {
+    try {
+      const test = '__codenexlify_storage_test__';
+      this.storage.setItem(test, test);
+      this.storage.removeItem(test);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  removeItem(key) {
+    this.storage.removeItem(key);
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      keys.push(this.storage.key(i));
+    }
+    return keys;
+  }
+}
+
+/**
+ * Cookie backend for values the server should see
+ */
+export class CookieBackend {
+  constructor(options = {}) {
+    this.name = 'cookie';
+    this.options = {
+      maxAge: 60 * 60 * 24 * 365,
+      path: '/',
+      sameSite: 'Lax',
+      ...options
+    };
+  }
+
+  isAvailable() {
+    return typeof document !== 'undefined' && navigator.cookieEnabled !== false;
+  }
+
+  getItem(key) {
+    return this.readAll().get(key) ?? null;
+  }
+
+  setItem(key, value) {
+    const { maxAge, path, sameSite } = this.options;
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; Max-Age=${maxAge}; Path=${path}; SameSite=${sameSite}${secure}`;
+  }
+
+  removeItem(key) {
+    document.cookie = `${encodeURIComponent(key)}=; Max-Age=0; Path=${this.options.path}`;
+  }
+
+  keys() {
+    return Array.from(this.readAll().keys());
+  }
+
+  readAll() {
+    const cookies = new Map();
+
+    document.cookie.split(';').forEach(part => {
+      const index = part.indexOf('=');
+      if (index === -1) return;
+
+      try {
+        cookies.set(
+          decodeURIComponent(part.slice(0, index).trim()),
+          decodeURIComponent(part.slice(index + 1).trim())
+        );
+      } catch {
+        // Ignore cookies that were not written by us
+      }
+    });
+
+    return cookies;
+  }
+}
+
+/**
+ * IndexedDB backend
+ * Reads are served from a cache filled on open; writes update the cache
+ * and are persisted in the background. Await storage.ready() before the
+ * first read.
+ */
+export class IndexedDBBackend {
+  constructor(options = {}) {
+    this.name = 'indexeddb';
+    this.options = {
+      databaseName: 'codenexlify',
+      storeName: 'storage',
+      ...options
+    };
+    this.cache = new Map();
+    this.db = null;
+    this.ready = this.isAvailable() ? this.open() : Promise.resolve();
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    const { databaseName, storeName } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        const transaction = this.db.transaction(storeName, 'readonly');
+        const cursorRequest = transaction.objectStore(storeName).openCursor();
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            // Writes made before the database opened win
+            if (!this.cache.has(cursor.key)) {
+              this.cache.set(cursor.key, cursor.value);
+            }
+            cursor.continue();
+          } else {
+            resolve();
+          }
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  getItem(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.cache.set(key, String(value));
+    this.write(store => store.put(String(value), key));
+  }
+
+  removeItem(key) {
+    this.cache.delete(key);
+    this.write(store => store.delete(key));
+  }
+
+  keys() {
+    return Array.from(this.cache.keys());
+  }
+
+  write(operation) {
+    this.ready
+      .then(() => {
+        if (!this.db) return;
+        const transaction = this.db.transaction(this.options.storeName, 'readwrite');
+        operation(transaction.objectStore(this.options.storeName));
+      })
+      .catch(() => {
+        // Database unavailable; the cache keeps the value for this session
+      });
+  }
+}
+
+const BACKENDS = {
+  local: () => new WebStorageBackend('localStorage'),
+  session: () => new WebStorageBackend('sessionStorage'),
+  indexeddb: () => new IndexedDBBackend(),
+  cookie: () => new CookieBackend(),
+  memory: () => new MemoryBackend()
+};
+
+export class StorageService {
+  constructor(options = {}) {
+    this.logger = new Logger('StorageService');
+
+    // Configuration
+    this.config = {
+      namespace: 'codenexlify',
+      separator: '-',
+      version: 1,
+      ...options.config
+    };
+
+    this.migrations = options.migrations || {};
+    this.backend = this.resolveBackend(options.backend || 'local');
+
+    // Values that could not be written to the backend
+    this.overlay = options.overlay || new Map();
+
+    // Child namespaces share this prefix; their keys are not ours
+    this.childNamespaces = new Set();
+
+    // Sync backends migrate right away, async ones once loaded
+    if (this.backend.ready) {
+      this.readyPromise = this.backend.ready
+        .catch(error => this.logger.warn(`⚠️ ${this.backend.name} storage failed to open, using memory`, error))
+        .then(() => this.migrate());
+    } else {
+      this.migrate();
+      this.readyPromise = Promise.resolve();
+    }
+  }
+
+  /**
+   * Create or validate a backend, falling back to memory
+   */
+  resolveBackend(backend) {
+    const instance = typeof backend === 'string'
+      ? (BACKENDS[backend] || BACKENDS.memory)()
+      : backend;
+
+    if (!instance.isAvailable()) {
+      this.logger.warn(`⚠️ ${instance.name} storage unavailable, using memory`);
+      return new MemoryBackend();
+    }
+
+    return instance;
+  }
+
+  /**
+   * Resolve when async backends have loaded and migrations ran
+   */
+  ready() {
+    return this.readyPromise;
+  }
+
+  /**
+   * Full backend key for a namespaced key
+   */
+  prefix(key) {
+    return `${this.config.namespace}${this.config.separator}${key}`;
+  }
+
+  /**
+   * Read a value
+   */
+  get(key, defaultValue = null) {
+    const fullKey = this.prefix(key);
+
+    if (this.overlay.has(fullKey)) {
+      return this.overlay.get(fullKey);
+    }
+
+    let raw = null;
+    try {
+      raw = this.backend.getItem(fullKey);
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to read '${fullKey}' from storage:`, error);
+    }
+
+    return raw === null || raw === undefined ? defaultValue : this.decode(raw);
+  }
+
+  /**
+   * Write a value
+   * Returns false when the value could only be kept in memory
+   */
+  set(key, value) {
+    const fullKey = this.prefix(key);
+
+    try {
+      this.backend.setItem(fullKey, JSON.stringify(value));
+      this.overlay.delete(fullKey);
+      return true;
+    } catch (error) {
+      this.overlay.set(fullKey, value);
+
+      if (this.isQuotaError(error)) {
+        this.logger.warn(`⚠️ Storage quota exceeded, keeping '${fullKey}' in memory`);
+      } else {
+        this.logger.warn(`⚠️ Failed to write '${fullKey}' to storage, keeping it in memory:`, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Remove a value
+   */
+  remove(key) {
+    const fullKey = this.prefix(key);
+    this.overlay.delete(fullKey);
+
+    try {
+      this.backend.removeItem(fullKey);
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to remove '${fullKey}' from storage:`, error);
+    }
+  }
+
+  /**
+   * Check if a value exists
+   */
+  has(key) {
+    const missing = {};
+    return this.get(key, missing) !== missing;
+  }
+
+  /**
+   * Get keys in this namespace (without prefix)
+   * Keys of child namespaces created with namespace() are left out
+   */
+  keys() {
+    const start = this.prefix('');
+    const childPrefixes = Array.from(this.childNamespaces, name => `${name}${this.config.separator}`);
+    let backendKeys = [];
+
+    try {
+      backendKeys = this.backend.keys();
+    } catch (error) {
+      this.logger.warn('⚠️ Failed to list storage keys:', error);
+    }
+
+    const keys = new Set([...backendKeys, ...this.overlay.keys()]);
+
+    return Array.from(keys)
+      .filter(key => key.startsWith(start))
+      .map(key => key.slice(start.length))
+      .filter(key => key !== '__version')
+      .filter(key => !childPrefixes.some(childPrefix => key.startsWith(childPrefix)));
+  }
+
+  /**
+   * Remove every value in this namespace
+   */
+  clear() {
+    this.keys().forEach(key => this.remove(key));
+  }
+
+  /**
+   * Create a child namespace with its own version and migrations
+   */
+  namespace(name, options = {}) {
+    this.childNamespaces.add(name);
+
+    return new StorageService({
+      backend: this.backend,
+      overlay: this.overlay,
+      config: {
+        ...this.config,
+        namespace: this.prefix(name),
+        version: options.version || 1
+      },
+      migrations: options.migrations
+    });
+  }
+
+  /**
+   * Get the stored schema version (0 when never migrated)
+   */
+  getVersion() {
+    return Number(this.get('__version', 0)) || 0;
+  }
+
+  /**
+   * Run migrations from the stored version up to the configured version
+   * migrations[n] upgrades data from version n - 1 to n
+   */
+  migrate() {
+    const from = this.getVersion();
+    const to = this.config.version;
+
+    if (from > to) {
+      this.logger.warn(`⚠️ Storage '${this.config.namespace}' has newer schema v${from} (expected v${to})`);
+      return from;
+    }
+
+    for (let version = from + 1; version <= to; version++) {
+      const migration = this.migrations[version];
+
+      if (migration) {
+        try {
+          migration(this);
+          this.logger.info(`🔀 Storage '${this.config.namespace}' migrated to v${version}`);
+        } catch (error) {
+          this.logger.error(`❌ Storage migration to v${version} failed:`, error);
+          return version - 1;
+        }
+      }
+
+      this.set('__version', version);
+    }
+
+    return to;
+  }
+
+  /**
+   * Parse stored JSON, keeping legacy plain-string values readable
+   */
+  decode(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+
+  /**
+   * Detect quota errors across browsers
+   */
+  isQuotaError(error) {
+    return !!error && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014
+    );
+  }
+
+  /**
+   * Check if values survive a reload
+   */
+  isPersistent() {
+    return this.backend.name !== 'memory';
+  }
+
+  /**
+   * Get storage statistics
+   */
+  getStats() {
+    return {
+      namespace: this.config.namespace,
+      backend: this.backend.name,
+      version: this.getVersion(),
+      keys: this.keys(),
+      inMemory: Array.from(this.overlay.keys())
+    };
+  }
+}
+
+// Application storage; v1 folds the old 'preferences' object into the
+// 'theme' and 'language' keys and stores them as JSON
+export const AppStorage = new StorageService({
+  config: { namespace: 'codenexlify', version: 1 },
+  migrations: {
+    1: (storage) => {
+      ['theme', 'language'].forEach(key => {
+        const value = storage.get(key);
+        if (value !== null) {
+          storage.set(key, value);
+        }
+      });
+
+      const preferences = storage.get('preferences');
+      if (preferences && typeof preferences === 'object') {
+        ['theme', 'language'].forEach(key => {
+          if (!storage.has(key) && preferences[key]) {
+            storage.set(key, preferences[key]);
+          }
+        });
+        storage.remove('preferences');
+      }
+    }
+  }
+});
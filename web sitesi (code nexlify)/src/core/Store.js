@@ -0,0 +1,245 @@
+/**
+ * Store
+ * Reactive state container with path selectors, change-only subscriptions,
+ * batched updates and frozen (immutable) snapshots
+ *
+ * @example
+ * AppStore.select('theme');                        // 'dark'
+ * AppStore.subscribe('language', (lang, old) => {}); // fires only when language changes
+ * AppStore.batch(() => {
+ *   AppStore.set('theme', 'dark');
+ *   AppStore.set('language', 'en');
+ * });                                              // subscribers notified once
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+export class Store {
+  constructor(initialState = {}, options = {}) {
+    this.logger = new Logger(options.name || 'Store');
+    this.state = this.freeze({ ...initialState });
+    this.subscribers = new Set();
+    this.batchDepth = 0;
+  }
+
+  /**
+   * Get the current immutable snapshot
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Read a value by path ('theme', 'user.name', ['user', 'name'])
+   * or with a selector function
+   */
+  select(selector) {
+    return this.resolveSelector(selector)(this.state);
+  }
+
+  /**
+   * Set a value by path
+   */
+  set(path, value) {
+    const keys = this.toPath(path);
+
+    if (keys.length === 0) {
+      this.logger.warn('⚠️ Store.set requires a path');
+      return false;
+    }
+
+    return this.commit(this.assocPath(this.state, keys, this.freeze(value)));
+  }
+
+  /**
+   * Shallow-merge changes into the root state
+   */
+  merge(changes = {}) {
+    const changed = Object.keys(changes).some(key => !Object.is(this.state[key], changes[key]));
+
+    if (!changed) {
+      return false;
+    }
+
+    return this.commit(this.freeze({ ...this.state, ...changes }));
+  }
+
+  /**
+   * Merge the changes returned by an updater function
+   */
+  update(updater) {
+    return this.merge(updater(this.state) || {});
+  }
+
+  /**
+   * Group several updates so subscribers are notified once
+   * Accepts sync or async functions
+   */
+  batch(fn) {
+    this.batchDepth++;
+
+    const end = () => {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        this.notify();
+      }
+    };
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      end();
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.finally(end);
+    }
+
+    end();
+    return result;
+  }
+
+  /**
+   * Subscribe to a slice of state
+   * The callback receives (value, previousValue, state) and only runs when
+   * the selected value changes. Returns an unsubscribe function.
+   */
+  subscribe(selector, callback, options = {}) {
+    const { equals = Object.is, immediate = false } = options;
+    const select = this.resolveSelector(selector);
+
+    const subscriber = {
+      select,
+      callback,
+      equals,
+      value: select(this.state)
+    };
+
+    this.subscribers.add(subscriber);
+
+    if (immediate) {
+      callback(subscriber.value, undefined, this.state);
+    }
+
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Replace state and notify, unless inside a batch
+   */
+  commit(nextState) {
+    if (nextState === this.state) {
+      return false;
+    }
+
+    this.state = nextState;
+
+    if (this.batchDepth === 0) {
+      this.notify();
+    }
+
+    return true;
+  }
+
+  /**
+   * Notify subscribers whose selected value changed
+   */
+  notify() {
+    const state = this.state;
+
+    for (const subscriber of Array.from(this.subscribers)) {
+      // Unsubscribed by an earlier callback
+      if (!this.subscribers.has(subscriber)) {
+        continue;
+      }
+
+      const value = subscriber.select(state);
+      const previous = subscriber.value;
+
+      if (subscriber.equals(value, previous)) {
+        continue;
+      }
+
+      subscriber.value = value;
+
+      try {
+        subscriber.callback(value, previous, state);
+      } catch (error) {
+        this.logger.error('❌ Error in store subscriber:', error);
+      }
+    }
+  }
+
+  /**
+   * Turn a path or function into a selector function
+   */
+  resolveSelector(selector) {
+    if (typeof selector === 'function') {
+      return selector;
+    }
+
+    const keys = this.toPath(selector);
+    return (state) => keys.reduce((value, key) => (value == null ? undefined : value[key]), state);
+  }
+
+  /**
+   * Normalize a path to an array of keys
+   */
+  toPath(path) {
+    if (Array.isArray(path)) {
+      return path;
+    }
+    return path === undefined || path === null || path === '' ? [] : String(path).split('.');
+  }
+
+  /**
+   * Copy objects along a path and set the value at its end
+   * Unchanged branches are shared with the previous snapshot
+   */
+  assocPath(target, keys, value) {
+    const [key, ...rest] = keys;
+    const current = target == null ? undefined : target[key];
+    const next = rest.length === 0 ? value : this.assocPath(current, rest, value);
+
+    if (Object.is(current, next) && target != null) {
+      return target;
+    }
+
+    const copy = Array.isArray(target) ? target.slice() : { ...target };
+    copy[key] = next;
+    return Object.freeze(copy);
+  }
+
+  /**
+   * Deep-freeze plain objects and arrays
+   */
+  freeze(value) {
+    if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+      return value;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+
+    Object.values(value).forEach(item => this.freeze(item));
+    return Object.freeze(value);
+  }
+
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    return {
+      keys: Object.keys(this.state),
+      subscribers: this.subscribers.size,
+      batching: this.batchDepth > 0
+    };
+  }
+}
+
+// Shared application state (theme, language, currentPage, ...)
+export const AppStore = new Store({}, { name: 'AppStore' });
@@ -0,0 +1,353 @@
+/**
+ * Structured Data
+ * Builds the JSON-LD graph for the current page from the SEO manifest
+ * (organization, page names, URLs) and the page content (services, blog
+ * posts, team members)
+ *
+ * Every page gets Organization, WebSite and BreadcrumbList nodes, plus:
+ *   services → Service per .service-detail
+ *   blog     → Blog with a BlogPosting per article.blog-card
+ *   about    → AboutPage with a Person per .team-member
+ *   contact  → ContactPage about the organization
+ *
+ * @example
+ * const structuredData = new StructuredData({ seo }).start();
+ * structuredData.validate(structuredData.build('blog', 'en')); // []
+ */
+
+import { SeoManager } from './SeoManager.js';
+import { Logger } from '../utils/Logger.js';
+
+// schema.org properties required for rich results, per type
+export const REQUIRED_PROPERTIES = {
+  Organization: ['name', 'url', 'logo'],
+  WebSite: ['name', 'url'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name', 'item'],
+  Service: ['name', 'description', 'provider', 'serviceType'],
+  Blog: ['name', 'url', 'blogPost'],
+  BlogPosting: ['headline', 'author', 'datePublished'],
+  AboutPage: ['name', 'url', 'about'],
+  Person: ['name'],
+  ContactPage: ['name', 'url', 'about'],
+  ContactPoint: ['contactType', 'telephone'],
+  PostalAddress: ['streetAddress', 'addressLocality', 'addressCountry']
+};
+
+const MONTHS = {
+  ocak: 1, şubat: 2, mart: 3, nisan: 4, mayıs: 5, haziran: 6,
+  temmuz: 7, ağustos: 8, eylül: 9, ekim: 10, kasım: 11, aralık: 12,
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12
+};
+
+export class StructuredData {
+  constructor(options = {}) {
+    this.logger = new Logger('StructuredData');
+    this.seo = options.seo || new SeoManager();
+    this.root = options.root || document;
+    this.unsubscribe = null;
+    this.script = null;
+  }
+
+  /**
+   * Inject the graph now and whenever the page or language changes
+   */
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.seo.store.subscribe(
+        state => `${state.currentPage}|${state.language}`,
+        () => this.apply()
+      );
+    }
+
+    this.apply();
+    return this;
+  }
+
+  /**
+   * Stop following the store and remove the script
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.script) {
+      this.script.remove();
+      this.script = null;
+    }
+  }
+
+  /**
+   * Write the JSON-LD script for the current page
+   */
+  apply() {
+    const data = this.build();
+
+    if (process.env.NODE_ENV === 'development') {
+      const errors = this.validate(data);
+      if (errors.length > 0) {
+        this.logger.warn('⚠️ Structured data is missing required properties:', errors);
+      }
+    }
+
+    if (!this.script) {
+      this.script = document.createElement('script');
+      this.script.type = 'application/ld+json';
+      this.script.id = 'structured-data';
+      document.head.appendChild(this.script);
+    }
+
+    this.script.textContent = JSON.stringify(data);
+    return data;
+  }
+
+  /**
+   * Build the JSON-LD graph for a page
+   */
+  build(page = this.seo.store.select('currentPage'), language = this.seo.store.select('language')) {
+    const metadata = this.seo.getMetadata(page, language);
+
+    const graph = [
+      this.organization(metadata.language),
+      this.website(metadata.language),
+      this.breadcrumbs(metadata)
+    ];
+
+    switch (metadata.page) {
+      case 'services':
+        graph.push(...this.services());
+        break;
+      case 'blog':
+        graph.push(this.blog(metadata));
+        break;
+      case 'about':
+        graph.push(this.aboutPage(metadata));
+        break;
+      case 'contact':
+        graph.push(this.contactPage(metadata));
+        break;
+    }
+
+    return {
+      '@context': 'https://schema.org',
+      '@graph': graph
+    };
+  }
+
+  /**
+   * Stable node identifiers
+   */
+  id(name) {
+    return `${this.seo.manifest.baseUrl}/#${name}`;
+  }
+
+  /**
+   * Organization from the manifest
+   */
+  organization(language) {
+    const organization = this.seo.manifest.organization;
+
+    return {
+      '@type': 'Organization',
+      '@id': this.id('organization'),
+      'name': organization.name,
+      'description': this.seo.localize(organization.description, language),
+      'url': this.seo.getUrl('/', this.seo.manifest.defaultLanguage),
+      'logo': this.seo.toAbsoluteUrl(organization.logo),
+      'email': organization.email,
+      'address': { '@type': 'PostalAddress', ...organization.address },
+      'contactPoint': organization.contactPoints.map(point => ({ '@type': 'ContactPoint', ...point })),
+      'sameAs': organization.sameAs
+    };
+  }
+
+  /**
+   * WebSite node
+   */
+  website(language) {
+    return {
+      '@type': 'WebSite',
+      '@id': this.id('website'),
+      'name': this.seo.manifest.siteName,
+      'url': this.seo.getUrl('/', this.seo.manifest.defaultLanguage),
+      'inLanguage': language,
+      'publisher': { '@id': this.id('organization') }
+    };
+  }
+
+  /**
+   * Breadcrumb trail: Home › Page
+   */
+  breadcrumbs(metadata) {
+    const home = this.seo.getMetadata('home', metadata.language);
+    const trail = metadata.page === 'home' ? [home] : [home, metadata];
+
+    return {
+      '@type': 'BreadcrumbList',
+      'itemListElement': trail.map((entry, index) => ({
+        '@type': 'ListItem',
+        'position': index + 1,
+        'name': entry.name,
+        'item': entry.canonical
+      }))
+    };
+  }
+
+  /**
+   * Service entries from the services page content
+   */
+  services() {
+    return Array.from(this.root.querySelectorAll('.service-detail')).map(section => {
+      const name = this.text(section.querySelector('.service-header h3'));
+
+      return {
+        '@type': 'Service',
+        'name': name,
+        'serviceType': name,
+        'description': this.text(section.querySelector('.service-header p')),
+        'provider': { '@id': this.id('organization') },
+        'hasOfferCatalog': {
+          '@type': 'OfferCatalog',
+          'name': name,
+          'itemListElement': Array.from(section.querySelectorAll('.service-features li')).map(item => ({
+            '@type': 'Offer',
+            'name': this.text(item)
+          }))
+        }
+      };
+    });
+  }
+
+  /**
+   * Blog with its posts from the blog page content
+   */
+  blog(metadata) {
+    const posts = Array.from(this.root.querySelectorAll('article.blog-card')).map(article => {
+      const time = article.querySelector('time[datetime]');
+      const date = time
+        ? time.getAttribute('datetime')
+        : this.parseDate(this.text(article.querySelector('.fa-calendar')?.parentElement));
+
+      return {
+        '@type': 'BlogPosting',
+        'headline': this.text(article.querySelector('h3')),
+        'description': this.text(article.querySelector('.blog-content > p')),
+        'author': { '@type': 'Person', 'name': this.text(article.querySelector('.fa-user')?.parentElement) },
+        'datePublished': date,
+        'inLanguage': metadata.language,
+        'publisher': { '@id': this.id('organization') },
+        'mainEntityOfPage': metadata.canonical
+      };
+    });
+
+    return {
+      '@type': 'Blog',
+      '@id': `${metadata.canonical}#blog`,
+      'name': metadata.title,
+      'description': metadata.description,
+      'url': metadata.canonical,
+      'inLanguage': metadata.language,
+      'publisher': { '@id': this.id('organization') },
+      'blogPost': posts
+    };
+  }
+
+  /**
+   * About page with the team section
+   */
+  aboutPage(metadata) {
+    const team = Array.from(this.root.querySelectorAll('.team-member')).map(member => ({
+      '@type': 'Person',
+      'name': this.text(member.querySelector('h3')),
+      'jobTitle': this.text(member.querySelector('.role')),
+      'description': this.text(member.querySelector('p:not(.role)')),
+      'worksFor': { '@id': this.id('organization') }
+    }));
+
+    return {
+      '@type': 'AboutPage',
+      'name': metadata.title,
+      'description': metadata.description,
+      'url': metadata.canonical,
+      'inLanguage': metadata.language,
+      'about': { '@id': this.id('organization') },
+      'mainEntity': team
+    };
+  }
+
+  /**
+   * Contact page about the organization
+   */
+  contactPage(metadata) {
+    return {
+      '@type': 'ContactPage',
+      'name': metadata.title,
+      'description': metadata.description,
+      'url': metadata.canonical,
+      'inLanguage': metadata.language,
+      'about': { '@id': this.id('organization') }
+    };
+  }
+
+  /**
+   * Check nodes for required schema.org properties
+   * Returns a list of problems; an empty list means the data is valid
+   */
+  validate(data, path = '$') {
+    const errors = [];
+
+    if (Array.isArray(data)) {
+      data.forEach((item, index) => errors.push(...this.validate(item, `${path}[${index}]`)));
+      return errors;
+    }
+
+    if (!data || typeof data !== 'object') {
+      return errors;
+    }
+
+    const type = data['@type'];
+    const required = REQUIRED_PROPERTIES[type] || [];
+
+    required.forEach(property => {
+      const value = data[property];
+      const empty = value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+
+      if (empty) {
+        errors.push(`${path} (${type}): missing '${property}'`);
+      }
+    });
+
+    Object.keys(data).forEach(key => {
+      if (data[key] && typeof data[key] === 'object') {
+        errors.push(...this.validate(data[key], `${path}.${key}`));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Trimmed text content of an element
+   */
+  text(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : null;
+  }
+
+  /**
+   * Parse dates like '15 Ocak 2024' or '15 January 2024' to YYYY-MM-DD
+   */
+  parseDate(value) {
+    const match = value ? value.match(/(\d{1,2})\s+(\S+)\s+(\d{4})/) : null;
+    const month = match ? MONTHS[match[2].toLocaleLowerCase('tr')] : null;
+
+    if (!month) {
+      return null;
+    }
+
+    return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+}
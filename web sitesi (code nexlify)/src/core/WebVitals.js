@@ -0,0 +1,379 @@
+/**
+ * Web Vitals
+ * Field measurement of Core Web Vitals (LCP, CLS, INP, TTFB) through
+ * PerformanceObserver, with attribution of the element or interaction
+ * responsible for each value
+ *
+ * Metrics are emitted as `performance:vital` and batched to a transport.
+ * By default a metric is reported once its value is final for the page view
+ * (LCP on first input, CLS and INP when the page is hidden);
+ * reportAllChanges reports every update instead.
+ *
+ * @example
+ * const vitals = new WebVitals({ transport: new BeaconTransport({ endpoint: '/api/vitals' }) }).start();
+ * EventBus.on('performance:vital', ({ name, value, rating, attribution }) => {});
+ */
+
+import { EventBus } from './EventBus.js';
+import { BeaconReporter } from './BeaconReporter.js';
+import { Logger } from '../utils/Logger.js';
+
+// [good, poor] boundaries from web.dev
+export const VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800]
+};
+
+export class WebVitals {
+  constructor(options = {}) {
+    this.logger = new Logger('WebVitals');
+    this.bus = options.bus || EventBus;
+
+    // Configuration
+    this.config = {
+      reportAllChanges: false,
+      durationThreshold: 40, // ms, shortest event timing entry observed for INP
+      maxInteractions: 10,
+      release: null,
+      ...options.config
+    };
+
+    this.reporter = new BeaconReporter({
+      name: 'WebVitals',
+      transport: options.transport,
+      config: {
+        type: 'vitals',
+        meta: { release: this.config.release }
+      }
+    });
+
+    this.observers = [];
+    this.metrics = new Map();
+    this.pending = new Map();
+    this.navigationType = 'navigate';
+    this.lcpFinal = false;
+    this.session = { value: 0, entries: [] };
+    this.cls = { value: 0, entries: [] };
+    this.interactions = new Map();
+    this.interactionCount = 0;
+
+    this.onInput = () => this.finalizeLCP();
+    this.onPageHide = () => {
+      this.finalizeLCP();
+      this.reportPending();
+    };
+    this.onHidden = () => {
+      if (document.visibilityState === 'hidden') {
+        this.onPageHide();
+      }
+    };
+  }
+
+  /**
+   * Start observing
+   */
+  start() {
+    if (this.observers.length > 0) {
+      return this;
+    }
+
+    this.measureTTFB();
+
+    this.observe('largest-contentful-paint', entries => this.handleLCP(entries));
+    this.observe('event', entries => this.handleInteractions(entries), {
+      durationThreshold: this.config.durationThreshold
+    });
+    this.observe('first-input', entries => this.handleInteractions(entries));
+
+    if (this.observe('layout-shift', entries => this.handleLayoutShifts(entries))) {
+      this.update('CLS', 0, {});
+    }
+
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, this.onInput, { once: true, capture: true });
+    });
+    document.addEventListener('visibilitychange', this.onHidden);
+    window.addEventListener('pagehide', this.onPageHide);
+
+    // Registered after our own hidden handler so the final values are in the batch
+    this.reporter.start();
+
+    this.logger.info(`⚡ Web vitals observing (${this.observers.length} observer(s))`);
+    return this;
+  }
+
+  /**
+   * Stop observing and send what is queued
+   */
+  stop() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.removeEventListener(type, this.onInput, { capture: true });
+    });
+    document.removeEventListener('visibilitychange', this.onHidden);
+    window.removeEventListener('pagehide', this.onPageHide);
+
+    this.reporter.stop();
+  }
+
+  /**
+   * Observe an entry type if the browser supports it
+   */
+  observe(type, callback, options = {}) {
+    if (typeof PerformanceObserver === 'undefined' ||
+        !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+      this.logger.debug(`📉 Performance entry type not supported: ${type}`);
+      return null;
+    }
+
+    try {
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+      return observer;
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to observe ${type}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Time to first byte from the navigation entry
+   */
+  measureTTFB() {
+    const navigation = typeof performance !== 'undefined' && performance.getEntriesByType
+      ? performance.getEntriesByType('navigation')[0]
+      : null;
+
+    if (!navigation || !(navigation.responseStart > 0)) {
+      return;
+    }
+
+    this.navigationType = navigation.type || this.navigationType;
+    const activationStart = navigation.activationStart || 0;
+
+    this.report('TTFB', Math.max(navigation.responseStart - activationStart, 0), {
+      waitingTime: navigation.domainLookupStart - activationStart,
+      dnsTime: navigation.domainLookupEnd - navigation.domainLookupStart,
+      connectionTime: navigation.connectEnd - navigation.connectStart,
+      requestTime: navigation.responseStart - navigation.requestStart
+    });
+  }
+
+  /**
+   * Track the latest largest contentful paint candidate
+   */
+  handleLCP(entries) {
+    if (this.lcpFinal || entries.length === 0) {
+      return;
+    }
+
+    const entry = entries[entries.length - 1];
+
+    this.update('LCP', entry.startTime, {
+      element: this.describeElement(entry.element),
+      url: entry.url || null,
+      size: entry.size,
+      loadTime: entry.loadTime || null,
+      renderTime: entry.renderTime || null
+    });
+  }
+
+  /**
+   * LCP stops changing once the visitor interacts or leaves
+   */
+  finalizeLCP() {
+    if (this.lcpFinal) {
+      return;
+    }
+
+    this.lcpFinal = true;
+
+    if (this.pending.has('LCP')) {
+      const { value, attribution } = this.pending.get('LCP');
+      this.pending.delete('LCP');
+      this.report('LCP', value, attribution);
+    }
+  }
+
+  /**
+   * Group layout shifts into session windows and keep the largest one
+   * (shifts less than 1s apart, at most 5s per window)
+   */
+  handleLayoutShifts(entries) {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) {
+        return;
+      }
+
+      const first = this.session.entries[0];
+      const last = this.session.entries[this.session.entries.length - 1];
+
+      if (first && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+        this.session.value += entry.value;
+        this.session.entries.push(entry);
+      } else {
+        this.session = { value: entry.value, entries: [entry] };
+      }
+
+      if (this.session.value > this.cls.value) {
+        this.cls = { value: this.session.value, entries: this.session.entries.slice() };
+      }
+    });
+
+    const largest = this.cls.entries.reduce((max, entry) => (!max || entry.value > max.value ? entry : max), null);
+    const source = largest && largest.sources
+      ? largest.sources.find(item => item.node) || largest.sources[0]
+      : null;
+
+    this.update('CLS', this.cls.value, largest ? {
+      element: this.describeElement(source ? source.node : null),
+      shiftValue: largest.value,
+      shiftTime: largest.startTime
+    } : {});
+  }
+
+  /**
+   * Keep the longest interactions and derive INP
+   * INP is the 98th percentile: the worst interaction, skipping one per 50
+   */
+  handleInteractions(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) {
+        return;
+      }
+
+      const existing = this.interactions.get(entry.interactionId);
+
+      if (!existing) {
+        this.interactionCount++;
+      }
+
+      if (!existing || entry.duration > existing.duration) {
+        this.interactions.set(entry.interactionId, entry);
+      }
+    });
+
+    // Only the longest few interactions can ever be the INP candidate
+    const longest = Array.from(this.interactions.values())
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, this.config.maxInteractions);
+
+    this.interactions = new Map(longest.map(entry => [entry.interactionId, entry]));
+
+    const candidate = longest[Math.min(longest.length - 1, Math.floor(this.interactionCount / 50))];
+
+    if (!candidate) {
+      return;
+    }
+
+    this.update('INP', candidate.duration, {
+      element: this.describeElement(candidate.target),
+      eventType: candidate.name,
+      inputDelay: candidate.processingStart - candidate.startTime,
+      processingTime: candidate.processingEnd - candidate.processingStart,
+      presentationDelay: candidate.startTime + candidate.duration - candidate.processingEnd
+    });
+  }
+
+  /**
+   * Record a metric value that may still change
+   */
+  update(name, value, attribution) {
+    if (this.config.reportAllChanges) {
+      this.report(name, value, attribution);
+    } else {
+      this.pending.set(name, { value, attribution });
+    }
+  }
+
+  /**
+   * Report every pending value
+   */
+  reportPending() {
+    const pending = Array.from(this.pending.entries());
+    this.pending.clear();
+
+    pending.forEach(([name, { value, attribution }]) => this.report(name, value, attribution));
+  }
+
+  /**
+   * Emit and queue a metric if its value changed since the last report
+   */
+  report(name, value, attribution = {}) {
+    const previous = this.metrics.get(name);
+    const rounded = name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value);
+
+    if (previous && previous.value === rounded) {
+      return previous;
+    }
+
+    const metric = {
+      name,
+      value: rounded,
+      rating: this.getRating(name, rounded),
+      delta: previous ? Number((rounded - previous.value).toFixed(4)) : rounded,
+      id: previous ? previous.id : `${name}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      navigationType: this.navigationType,
+      page: window.location.pathname,
+      attribution
+    };
+
+    this.metrics.set(name, metric);
+    this.bus.emit('performance:vital', metric);
+    this.reporter.add(metric);
+
+    this.logger.info(`⚡ ${name}: ${rounded} (${metric.rating})`);
+    return metric;
+  }
+
+  /**
+   * Rate a value against the Core Web Vitals thresholds
+   */
+  getRating(name, value) {
+    const [good, poor] = VITAL_THRESHOLDS[name];
+
+    if (value <= good) {
+      return 'good';
+    }
+    return value <= poor ? 'needs-improvement' : 'poor';
+  }
+
+  /**
+   * Short CSS-like description of an element (e.g. 'main>section.hero>h1')
+   */
+  describeElement(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === 1 && parts.length < 3) {
+      let part = node.nodeName.toLowerCase();
+
+      if (node.id) {
+        parts.unshift(`${part}#${node.id}`);
+        break;
+      }
+
+      const classes = typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean) : [];
+      if (classes.length > 0) {
+        part += `.${classes.slice(0, 2).join('.')}`;
+      }
+
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+
+    return parts.length > 0 ? parts.join('>') : null;
+  }
+
+  /**
+   * Get the latest reported metrics
+   */
+  getMetrics() {
+    return Object.fromEntries(this.metrics);
+  }
+}
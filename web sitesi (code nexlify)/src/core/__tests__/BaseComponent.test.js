@@ -201,6 +201,39 @@ describe('BaseComponent', () => {
       );
     });
 
+    test('should answer requests and remove handlers on destroy', async () => {
+      component.handle('test:request', (payload) => payload * 2);
+      
+      await expect(component.request('test:request', 21)).resolves.toBe(42);
+      
+      await component.destroy();
+      
+      expect(EventBus.hasHandler('test:request')).toBe(false);
+    });
+
+    test('should remove all event listeners on destroy', async () => {
+      const mockCallback = jest.fn();
+      component.on('test:event', mockCallback);
+      component.on('test:*', mockCallback);
+      
+      await component.destroy();
+      EventBus.emit('test:event');
+      
+      expect(mockCallback).not.toHaveBeenCalled();
+      expect(EventBus.getSubscriptionsByContext(component)).toEqual([]);
+    });
+
+    test('should warn about listeners leaked past destroy', async () => {
+      EventBus.on('test:event', jest.fn(), { context: component });
+      
+      await component.destroy();
+      
+      expect(component.logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Possible listener leak'),
+        ['listener:test:event']
+      );
+    });
+
     test('should handle DOM events', async () => {
       await component.init();
       await component.mount();
@@ -339,6 +372,18 @@ describe('BaseComponent', () => {
       });
     });
 
+    test('should restore serialized state without lifecycle flags', async () => {
+      await component.init();
+      component.setState({ theme: 'dark', loading: true });
+      
+      const restored = new BaseComponent({ name: 'TestComponent' }).hydrate(component.serialize());
+      
+      expect(restored.id).toBe(component.id);
+      expect(restored.state.theme).toBe('dark');
+      expect(restored.state.initialized).toBe(false);
+      expect(restored.state.loading).toBe(false);
+    });
+
     test('should clone component', () => {
       const cloned = component.clone({ name: 'ClonedComponent' });
       
@@ -386,6 +431,76 @@ describe('BaseComponent', () => {
         })
       );
     });
+
+    test('should show a fallback for failing children and retry them with backoff', async () => {
+      jest.useFakeTimers();
+      const fallbacks = jest.fn();
+      const recovered = jest.fn();
+      EventBus.on('component:fallback', fallbacks);
+      EventBus.on('component:recovered', recovered);
+      
+      const parent = await new BaseComponent({
+        name: 'Page',
+        container,
+        config: { errorBoundary: { retries: 3, backoff: 100 } }
+      }).init();
+      
+      const child = new BaseComponent({ name: 'Gallery', config: { autoMount: false } });
+      parent.addChild(child);
+      child.onMount = jest.fn()
+        .mockRejectedValueOnce(new Error('Gallery failed'))
+        .mockRejectedValueOnce(new Error('Gallery failed again'))
+        .mockResolvedValue();
+      
+      // The boundary takes over instead of the caller
+      await expect(child.mount(parent.element)).resolves.toBe(child);
+      
+      const fallback = parent.element.querySelector('.component-fallback');
+      expect(fallback.getAttribute('data-fallback-for')).toBe(child.id);
+      expect(fallbacks).toHaveBeenLastCalledWith(expect.objectContaining({ component: child, attempt: 0, retryIn: 100 }));
+      
+      await jest.advanceTimersByTimeAsync(100);
+      expect(child.onMount).toHaveBeenCalledTimes(2);
+      expect(fallbacks).toHaveBeenLastCalledWith(expect.objectContaining({ attempt: 1, retryIn: 200 }));
+      
+      await jest.advanceTimersByTimeAsync(200);
+      expect(child.isMounted()).toBe(true);
+      expect(child.hasError()).toBe(false);
+      expect(parent.element.querySelector('.component-fallback')).toBeNull();
+      expect(recovered).toHaveBeenCalledWith(expect.objectContaining({ component: child, attempts: 2 }));
+      
+      await parent.destroy();
+      jest.useRealTimers();
+    });
+
+    test('should keep the fallback once a child runs out of retries', async () => {
+      jest.useFakeTimers();
+      const fallbacks = jest.fn();
+      EventBus.on('component:fallback', fallbacks);
+      
+      const parent = await new BaseComponent({
+        name: 'Page',
+        container,
+        config: { errorBoundary: { retries: 1, backoff: 50 } }
+      }).init();
+      
+      const child = await new BaseComponent({ name: 'Map', container: parent.element }).init();
+      parent.addChild(child);
+      child.onUpdate = jest.fn().mockRejectedValue(new Error('Map failed'));
+      
+      await child.update({ zoom: 3 });
+      expect(child.element.hidden).toBe(true);
+      
+      await jest.advanceTimersByTimeAsync(50);
+      expect(child.onUpdate).toHaveBeenCalledTimes(2);
+      expect(child.onUpdate).toHaveBeenLastCalledWith(expect.any(Object), expect.objectContaining({ zoom: 3 }));
+      expect(fallbacks).toHaveBeenLastCalledWith(expect.not.objectContaining({ retryIn: expect.anything() }));
+      expect(jest.getTimerCount()).toBe(0);
+      expect(parent.element.querySelectorAll('.component-fallback')).toHaveLength(1);
+      
+      await parent.destroy();
+      jest.useRealTimers();
+    });
   });
 
   describe('Configuration', () => {
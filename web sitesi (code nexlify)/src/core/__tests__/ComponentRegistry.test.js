@@ -0,0 +1,356 @@
+/**
+ * ComponentRegistry Tests
+ * Test suite for dependency-ordered component startup
+ */
+
+import { ComponentRegistry } from '../ComponentRegistry.js';
+import { Container } from '../Container.js';
+import { Store } from '../Store.js';
+import { BaseComponent } from '../BaseComponent.js';
+import { EventBus } from '../EventBus.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ComponentRegistry', () => {
+  let registry;
+  let log;
+
+  // Component whose init() finishes when the test says so
+  const createComponent = (name, { dependsOn, fail = false } = {}) => {
+    const ready = deferred();
+
+    class TestComponent {
+      constructor(options = {}) {
+        this.options = options;
+      }
+
+      async init() {
+        log.push(`${name}:start`);
+        await ready.promise;
+        if (fail) {
+          throw new Error(`${name} broke`);
+        }
+        log.push(`${name}:ready`);
+      }
+
+      cleanup() {
+        log.push(`${name}:cleanup`);
+      }
+    }
+
+    if (dependsOn) {
+      TestComponent.dependsOn = dependsOn;
+    }
+
+    return { ComponentClass: TestComponent, finish: ready.resolve };
+  };
+
+  beforeEach(() => {
+    registry = new ComponentRegistry();
+    log = [];
+  });
+
+  test('should start independent components in parallel and dependents after their dependencies', async () => {
+    const i18n = createComponent('i18n');
+    const theme = createComponent('theme');
+    const pwa = createComponent('pwa', { dependsOn: ['i18n'] });
+
+    registry.register('pwa', pwa.ComponentClass, { config: { swPath: '/sw.js' } });
+    registry.register('i18n', i18n.ComponentClass);
+    registry.register('theme', theme.ComponentClass);
+
+    const startup = registry.initializeAll();
+    await flush();
+
+    // pwa was registered first but waits for i18n; theme does not wait for anything
+    expect(log).toEqual(['i18n:start', 'theme:start']);
+
+    i18n.finish();
+    await flush();
+    expect(log).toEqual(['i18n:start', 'theme:start', 'i18n:ready', 'pwa:start']);
+
+    pwa.finish();
+    theme.finish();
+    const results = await startup;
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(registry.getInstance('pwa').options).toEqual({ config: { swPath: '/sw.js' } });
+    expect(registry.getMetadata('pwa').dependencies).toEqual(['i18n']);
+  });
+
+  test('should report a startup graph with timings', async () => {
+    const i18n = createComponent('i18n');
+    const pwa = createComponent('pwa');
+    registry.register('i18n', i18n.ComponentClass);
+    registry.register('pwa', pwa.ComponentClass, { dependsOn: ['i18n'] });
+
+    expect(registry.getStartupGraph()).toBeNull();
+
+    i18n.finish();
+    pwa.finish();
+    await registry.initializeAll();
+
+    const graph = registry.getStartupGraph();
+    const [i18nEntry, pwaEntry] = graph.components;
+
+    expect(graph.duration).toBeGreaterThanOrEqual(0);
+    expect(i18nEntry).toMatchObject({ name: 'i18n', status: 'ready', dependencies: [], dependents: ['pwa'], error: null });
+    expect(pwaEntry).toMatchObject({ name: 'pwa', status: 'ready', dependencies: ['i18n'], dependents: [] });
+    expect(pwaEntry.startedAt).toBeGreaterThanOrEqual(i18nEntry.readyAt);
+    expect(pwaEntry.duration).toBe(pwaEntry.readyAt - pwaEntry.startedAt);
+    expect(registry.exportState().startup).toEqual(graph);
+  });
+
+  test('should skip components whose dependencies fail, are missing or circular', async () => {
+    const i18n = createComponent('i18n', { fail: true });
+    const theme = createComponent('theme');
+    registry.register('i18n', i18n.ComponentClass);
+    registry.register('pwa', createComponent('pwa', { dependsOn: ['i18n'] }).ComponentClass);
+    registry.register('analytics', createComponent('analytics', { dependsOn: ['consent'] }).ComponentClass);
+    registry.register('a', createComponent('a', { dependsOn: ['b'] }).ComponentClass);
+    registry.register('b', createComponent('b', { dependsOn: ['a'] }).ComponentClass);
+    registry.register('theme', theme.ComponentClass);
+
+    i18n.finish();
+    theme.finish();
+    await registry.initializeAll();
+
+    const status = Object.fromEntries(
+      registry.getStartupGraph().components.map(({ name, status, error }) => [name, { status, error }])
+    );
+
+    expect(status).toEqual({
+      i18n: { status: 'failed', error: 'i18n broke' },
+      pwa: { status: 'skipped', error: "Dependency 'i18n' failed to start" },
+      analytics: { status: 'skipped', error: 'Missing dependency: consent' },
+      a: { status: 'skipped', error: "Circular dependency involving 'a'" },
+      b: { status: 'skipped', error: "Circular dependency involving 'b'" },
+      theme: { status: 'ready', error: null }
+    });
+    expect(log).not.toContain('pwa:start');
+  });
+
+  test('should clean up dependents before their dependencies', async () => {
+    const i18n = createComponent('i18n');
+    const pwa = createComponent('pwa', { dependsOn: ['i18n'] });
+    registry.register('pwa', pwa.ComponentClass);
+    registry.register('i18n', i18n.ComponentClass);
+
+    i18n.finish();
+    pwa.finish();
+    await registry.initializeAll();
+    log = [];
+
+    registry.cleanupAll();
+
+    expect(log).toEqual(['pwa:cleanup', 'i18n:cleanup']);
+    expect(registry.getAllInstances().size).toBe(0);
+  });
+
+  test('should pass the services a component asks for to its constructor', () => {
+    const container = new Container();
+    container.register('logger', (services, { name }) => ({ name }), { lifetime: 'transient' });
+    container.value('t', (key) => `translated:${key}`);
+    registry = new ComponentRegistry({ container });
+
+    class Banner {
+      static inject = ['logger', 't', 'storage'];
+
+      constructor(options = {}) {
+        this.options = options;
+      }
+    }
+
+    // Minified builds rename classes, so loggers take the registry name or displayName
+    class e extends Banner {}
+    class t extends Banner {
+      static displayName = 'ToastBanner';
+    }
+
+    const fakeLogger = { name: 'fake' };
+    registry.register('banner', e, { config: { position: 'bottom' } });
+    registry.register('toast', t);
+    registry.register('quiet', Banner, { services: { logger: fakeLogger } });
+
+    const banner = registry.getInstance('banner');
+    expect(banner.options.config).toEqual({ position: 'bottom' });
+    expect(banner.options.services.logger).toEqual({ name: 'banner' });
+    expect(registry.getInstance('toast').options.services.logger).toEqual({ name: 'ToastBanner' });
+    expect(banner.options.services.t('pwa.install.title')).toBe('translated:pwa.install.title');
+
+    // Services the container does not know are left to the component
+    expect(banner.options.services).not.toHaveProperty('storage');
+
+    // Services given at registration win over the container's
+    expect(registry.getInstance('quiet').options.services.logger).toBe(fakeLogger);
+  });
+
+  test('should import and start lazy components when their trigger fires', async () => {
+    const store = new Store({ currentPage: 'home', route: null });
+    const container = new Container();
+    container.value('store', store);
+    registry = new ComponentRegistry({ container });
+
+    const i18n = createComponent('i18n');
+    const contact = createComponent('contact', { dependsOn: ['i18n'] });
+    const loader = jest.fn(async () => ({ ContactForm: contact.ComponentClass }));
+
+    registry.register('contact', loader, { when: { page: 'contact' } });
+    registry.register('i18n', i18n.ComponentClass);
+
+    i18n.finish();
+    contact.finish();
+    await registry.initializeAll();
+
+    expect(loader).not.toHaveBeenCalled();
+    expect(registry.getMetadata('contact')).toMatchObject({ lazy: true, loaded: false });
+    expect(registry.getInstance('contact')).toBeNull();
+
+    store.set('currentPage', 'contact');
+    await flush();
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(log).toEqual(['i18n:start', 'i18n:ready', 'contact:start', 'contact:ready']);
+    expect(registry.getStartupGraph().components[1]).toMatchObject({
+      name: 'contact',
+      status: 'ready',
+      lazy: true,
+      trigger: 'page: "contact"',
+      dependencies: ['i18n']
+    });
+
+    // Loading on demand reuses the started component
+    expect(await registry.load('contact')).toBe(registry.getAllInstances().get('contact'));
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  test('should load lazy components early when another component needs them', async () => {
+    const banner = createComponent('banner');
+    const pwa = createComponent('pwa', { dependsOn: ['banner'] });
+    const loader = jest.fn(async () => ({ default: banner.ComponentClass }));
+
+    registry.register('banner', loader, { when: 'interaction' });
+    registry.register('pwa', pwa.ComponentClass);
+
+    banner.finish();
+    pwa.finish();
+    const [result] = await registry.initializeAll();
+
+    expect(result).toMatchObject({ name: 'pwa', success: true });
+    expect(loader).toHaveBeenCalledTimes(1);
+
+    // The trigger was cancelled, so an interaction does not start it again
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    await flush();
+    expect(log.filter(entry => entry === 'banner:start')).toHaveLength(1);
+  });
+
+  test('should hot-replace a component and carry its state into the new version', async () => {
+    const pings = [];
+
+    // Two versions of the same module, as Vite HMR would deliver them
+    const createModule = (version) => ({
+      Counter: class Counter extends BaseComponent {
+        async onInit() {
+          this.on('counter:ping', () => pings.push(version));
+        }
+
+        increment() {
+          this.setState({ count: (this.state.count || 0) + 1 });
+        }
+      }
+    });
+
+    const host = document.createElement('div');
+    document.body.appendChild(host);
+
+    registry.register('counter', createModule('v1').Counter, { container: host, config: { autoMount: false } });
+    await registry.initializeAll();
+
+    const previous = registry.getInstance('counter');
+    await previous.mount();
+    previous.increment();
+    previous.increment();
+
+    const instance = await registry.hotReplace('counter', createModule('v2'));
+    EventBus.emit('counter:ping');
+
+    expect(instance).not.toBe(previous);
+    expect(registry.getInstance('counter')).toBe(instance);
+    expect(previous.state.destroyed).toBe(true);
+    expect(instance.id).toBe(previous.id);
+    expect(instance.state).toMatchObject({ count: 2, initialized: true, mounted: true });
+    expect(instance.container).toBe(host);
+
+    // Only the new version is listening
+    expect(pings).toEqual(['v2']);
+
+    await instance.destroy();
+    host.remove();
+    EventBus.removeAllListeners();
+  });
+
+  test('should mark components that keep failing as degraded in the health report', async () => {
+    const bus = new EventBus.constructor();
+    const container = new Container();
+    container.value('eventBus', bus);
+    registry = new ComponentRegistry({ container, health: { threshold: 3 } });
+
+    class Gallery extends BaseComponent {
+      async onUpdate() {
+        throw new Error('Gallery broke');
+      }
+    }
+
+    class Feed extends BaseComponent {
+      async onInit() {
+        throw new Error('Feed unavailable');
+      }
+    }
+
+    registry.register('gallery', Gallery, { config: { autoMount: false } });
+    registry.register('feed', Feed);
+    await registry.initializeAll();
+
+    const degraded = jest.fn();
+    bus.on('component:degraded', degraded);
+
+    // The failed start is reported as an event and as a result, but counts once
+    expect(registry.getHealth('feed')).toMatchObject({ status: 'failing', failures: 1, lastError: 'Feed unavailable' });
+    expect(registry.getHealth('gallery').status).toBe('healthy');
+
+    const gallery = registry.getInstance('gallery');
+    for (const page of [1, 2, 3]) {
+      await expect(gallery.update({ page })).rejects.toThrow('Gallery broke');
+    }
+
+    const report = registry.getHealthReport();
+    expect(report).toMatchObject({ status: 'degraded', degraded: ['gallery'] });
+    expect(report.components[0]).toMatchObject({ name: 'gallery', status: 'degraded', failures: 3, totalFailures: 3 });
+    expect(degraded).toHaveBeenCalledTimes(1);
+    expect(degraded).toHaveBeenCalledWith(expect.objectContaining({ name: 'gallery', failures: 3 }));
+
+    // An error boundary bringing it back clears the record
+    bus.emit('component:recovered', { component: gallery, attempts: 1 });
+    expect(registry.getHealth('gallery').status).toBe('healthy');
+
+    registry.cleanupAll();
+  });
+});
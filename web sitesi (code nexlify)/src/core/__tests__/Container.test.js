@@ -0,0 +1,116 @@
+/**
+ * Container Tests
+ * Test suite for service lifetimes, overrides and component injection
+ */
+
+import { Container } from '../Container.js';
+import { BaseComponent } from '../BaseComponent.js';
+import { EventBus } from '../EventBus.js';
+import { Store, AppStore } from '../Store.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    context,
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+describe('Container', () => {
+  let container;
+  let page;
+
+  beforeEach(() => {
+    page = '/index.html';
+    container = new Container({ pageKey: () => page });
+  });
+
+  test('should share singletons and create transients for every request', () => {
+    container.register('clock', () => ({ now: Date.now() }));
+    container.register('logger', (services, { name }) => ({ name }), { lifetime: 'transient' });
+
+    expect(container.resolve('clock')).toBe(container.resolve('clock'));
+
+    const first = container.resolve('logger', { name: 'ThemeManager' });
+    const second = container.resolve('logger', { name: 'PWAManager' });
+    expect(first).not.toBe(second);
+    expect(second).toEqual({ name: 'PWAManager' });
+
+    expect(() => container.register('cache', () => ({}), { lifetime: 'forever' }))
+      .toThrow("Unknown lifetime 'forever' for service 'cache'");
+  });
+
+  test('should recreate page services after the page changes', () => {
+    const dispose = jest.fn();
+    container.register('pageViews', () => ({ count: 0, dispose }), { lifetime: 'page' });
+
+    const home = container.resolve('pageViews');
+    home.count++;
+    expect(container.resolve('pageViews').count).toBe(1);
+
+    page = '/blog.html';
+    const blog = container.resolve('pageViews');
+
+    expect(blog).not.toBe(home);
+    expect(blog.count).toBe(0);
+    expect(dispose).toHaveBeenCalledTimes(1);
+  });
+
+  test('should resolve services through other services and report cycles', () => {
+    container.value('config', { language: 'en' });
+    container.register('greeting', (services) => services.resolve('config').language === 'en' ? 'Hello' : 'Merhaba');
+    container.register('a', (services) => services.resolve('b'));
+    container.register('b', (services) => services.resolve('a'));
+
+    expect(container.resolve('greeting')).toBe('Hello');
+    expect(() => container.resolve('a')).toThrow('Circular service dependency: a -> b -> a');
+    expect(() => container.resolve('missing')).toThrow('Unknown service: missing');
+  });
+
+  test('should let tests override services without changing the registration', () => {
+    const realBus = { name: 'real' };
+    container.value('eventBus', realBus);
+    container.value('storage', { name: 'storage' });
+
+    const scope = container.createScope({ eventBus: { name: 'fake' } });
+    expect(scope.resolve('eventBus')).toEqual({ name: 'fake' });
+    expect(scope.resolve('storage')).toEqual({ name: 'storage' });
+    expect(container.resolve('eventBus')).toBe(realBus);
+
+    const restore = container.override('eventBus', { name: 'spy' });
+    expect(container.resolve('eventBus')).toEqual({ name: 'spy' });
+
+    restore();
+    expect(container.resolve('eventBus')).toBe(realBus);
+  });
+
+  test('should inject services into components instead of the shared globals', async () => {
+    const bus = new EventBus.constructor();
+    const store = new Store({ language: 'en' });
+    const emitted = jest.fn();
+    const globalEmitted = jest.fn();
+    bus.on('widget:ready', emitted);
+    EventBus.on('widget:ready', globalEmitted);
+
+    class Widget extends BaseComponent {
+      async onInit() {
+        this.watch('language', (language) => this.emit('widget:ready', { language }));
+      }
+    }
+
+    const widget = await new Widget({ services: { eventBus: bus, store }, dependencies: ['eventBus'] }).init();
+    store.set('language', 'tr');
+
+    expect(emitted).toHaveBeenCalledWith(expect.objectContaining({ language: 'tr' }));
+    expect(globalEmitted).not.toHaveBeenCalledWith(expect.objectContaining({ language: 'tr' }));
+    expect(AppStore.select('language')).not.toBe('tr');
+    expect(widget.logger.context).toBe('Widget');
+
+    await widget.destroy();
+    EventBus.removeAllListeners();
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * CrossTabBridge Tests
+ * Test suite for cross-tab event forwarding
+ */
+
+import { CrossTabBridge } from '../CrossTabBridge.js';
+import { EventBus } from '../EventBus.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+// Stub BroadcastChannel that records posted messages
+const createStubChannel = () => {
+  const listeners = [];
+  return {
+    posted: [],
+    postMessage: jest.fn(function (message) {
+      this.posted.push(message);
+    }),
+    addEventListener: jest.fn((type, listener) => listeners.push(listener)),
+    removeEventListener: jest.fn((type, listener) => {
+      listeners.splice(listeners.indexOf(listener), 1);
+    }),
+    close: jest.fn(),
+    deliver(data) {
+      listeners.forEach(listener => listener({ data }));
+    }
+  };
+};
+
+const remoteMessage = (overrides = {}) => ({
+  type: 'codenexlify:event',
+  id: `remote_${Math.random()}`,
+  origin: 'tab_remote',
+  eventName: 'theme:change',
+  args: ['dark'],
+  timestamp: Date.now(),
+  ...overrides
+});
+
+describe('CrossTabBridge', () => {
+  let channel;
+  let bridge;
+
+  beforeEach(() => {
+    channel = createStubChannel();
+    bridge = new CrossTabBridge({
+      channel,
+      tabId: 'tab_local',
+      config: { events: ['theme:change', 'app:state:*'] }
+    }).start();
+  });
+
+  afterEach(() => {
+    bridge.stop();
+    EventBus.removeAllListeners();
+    EventBus.clearMiddleware();
+  });
+
+  test('should forward selected events with origin tag', () => {
+    EventBus.emit('theme:change', 'dark');
+
+    expect(channel.posted).toHaveLength(1);
+    expect(channel.posted[0]).toMatchObject({
+      type: 'codenexlify:event',
+      origin: 'tab_local',
+      eventName: 'theme:change',
+      args: ['dark']
+    });
+  });
+
+  test('should not forward unselected events', () => {
+    EventBus.emit('language:change', 'en');
+
+    expect(channel.postMessage).not.toHaveBeenCalled();
+  });
+
+  test('should forward events matching patterns', () => {
+    EventBus.emit('app:state:change', { currentPage: 'blog' });
+
+    expect(channel.posted[0].args).toEqual([{ currentPage: 'blog' }]);
+  });
+
+  test('should drop non-cloneable values from payloads', () => {
+    EventBus.emit('app:state:change', { theme: 'dark', source: new Map(), callback: () => {} });
+
+    expect(channel.posted[0].args).toEqual([{ theme: 'dark' }]);
+  });
+
+  test('should re-emit remote events locally', () => {
+    const mockCallback = jest.fn();
+    EventBus.on('theme:change', mockCallback);
+
+    channel.deliver(remoteMessage());
+
+    expect(mockCallback).toHaveBeenCalledWith('dark');
+  });
+
+  test('should not forward re-emitted remote events back', () => {
+    // A local listener that re-emits the same event must not cause a loop
+    EventBus.on('theme:change', (theme) => EventBus.emit('theme:change', theme));
+
+    channel.deliver(remoteMessage());
+
+    expect(channel.postMessage).not.toHaveBeenCalled();
+  });
+
+  test('should suppress delayed echoes of remote events', () => {
+    channel.deliver(remoteMessage());
+
+    EventBus.emit('theme:change', 'dark');
+
+    expect(channel.postMessage).not.toHaveBeenCalled();
+  });
+
+  test('should tag remote events in the middleware context', () => {
+    const middleware = jest.fn((context, next) => next());
+    EventBus.use(middleware);
+
+    channel.deliver(remoteMessage({ id: 'remote_1' }));
+
+    expect(middleware.mock.calls[0][0].remote).toEqual({ origin: 'tab_remote', id: 'remote_1' });
+  });
+
+  test('should ignore own, duplicate and unknown messages', () => {
+    const mockCallback = jest.fn();
+    EventBus.on('**', mockCallback);
+
+    channel.deliver(remoteMessage({ origin: 'tab_local' }));
+    channel.deliver(remoteMessage({ eventName: 'admin:reset' }));
+    channel.deliver({ type: 'other' });
+
+    const message = remoteMessage();
+    channel.deliver(message);
+    channel.deliver(message);
+
+    expect(mockCallback).toHaveBeenCalledTimes(1);
+    expect(bridge.getStats()).toMatchObject({ received: 1, ignored: 4 });
+  });
+
+  test('should stop forwarding after stop', () => {
+    bridge.stop();
+
+    EventBus.emit('theme:change', 'dark');
+
+    expect(channel.postMessage).not.toHaveBeenCalled();
+    expect(bridge.isActive()).toBe(false);
+  });
+
+  describe('Storage Fallback', () => {
+    let storageBridge;
+    let originalBroadcastChannel;
+
+    beforeEach(() => {
+      originalBroadcastChannel = global.BroadcastChannel;
+      global.BroadcastChannel = undefined;
+
+      bridge.stop();
+      storageBridge = new CrossTabBridge({
+        tabId: 'tab_storage',
+        config: { events: ['theme:change'] }
+      }).start();
+    });
+
+    afterEach(() => {
+      storageBridge.stop();
+      global.BroadcastChannel = originalBroadcastChannel;
+    });
+
+    test('should use storage events without BroadcastChannel', () => {
+      expect(storageBridge.getStats().transport).toBe('storage');
+    });
+
+    test('should write forwarded events to localStorage', () => {
+      const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+      EventBus.emit('theme:change', 'dark');
+
+      const [key, value] = setItem.mock.calls.pop();
+      expect(key).toBe('codenexlify-bridge');
+      expect(JSON.parse(value)).toMatchObject({ eventName: 'theme:change', args: ['dark'] });
+    });
+
+    test('should re-emit events from storage events', () => {
+      const mockCallback = jest.fn();
+      EventBus.on('theme:change', mockCallback);
+
+      window.dispatchEvent(Object.assign(new Event('storage'), {
+        key: 'codenexlify-bridge',
+        newValue: JSON.stringify(remoteMessage())
+      }));
+
+      expect(mockCallback).toHaveBeenCalledWith('dark');
+    });
+  });
+});
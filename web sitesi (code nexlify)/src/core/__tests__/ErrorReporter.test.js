@@ -0,0 +1,162 @@
+/**
+ * ErrorReporter Tests
+ * Test suite for error normalization, dedupe, breadcrumbs and batching
+ */
+
+import { ErrorReporter } from '../ErrorReporter.js';
+import { BeaconTransport, MockCollector } from '../BeaconReporter.js';
+import { EventBus } from '../EventBus.js';
+import { Logger } from '../../utils/Logger.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: Object.assign(jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  })), {
+    addSink: jest.fn()
+  })
+}));
+
+describe('ErrorReporter', () => {
+  let collector;
+  let reporter;
+
+  const createReporter = (config = {}) => new ErrorReporter({
+    transport: collector,
+    config: { release: '2.0.0', ...config }
+  }).start();
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    collector = new MockCollector();
+  });
+
+  afterEach(() => {
+    reporter.stop();
+    EventBus.cleanup();
+    jest.useRealTimers();
+  });
+
+  test('should normalize errors, strings and other values', () => {
+    reporter = createReporter();
+
+    expect(reporter.normalize(new TypeError('x is undefined'))).toMatchObject({
+      name: 'TypeError',
+      message: 'x is undefined',
+      type: 'javascript'
+    });
+    expect(reporter.normalize('Boom', { type: 'promise' })).toMatchObject({ name: 'Error', message: 'Boom', type: 'promise' });
+    expect(reporter.normalize({ code: 42 }).message).toBe('{"code":42}');
+  });
+
+  test('should fingerprint errors independently of numbers in messages', () => {
+    reporter = createReporter();
+    const at = 'Error\n    at loadPost (blog.js:10:5)';
+
+    const first = reporter.fingerprint(reporter.normalize({ name: 'Error', message: 'Post 12 not found', stack: at }));
+    const second = reporter.fingerprint(reporter.normalize({ name: 'Error', message: 'Post 345 not found', stack: at }));
+    const other = reporter.fingerprint(reporter.normalize({ name: 'Error', message: 'Timeout', stack: at }));
+
+    expect(first).toBe(second);
+    expect(first).not.toBe(other);
+  });
+
+  test('should dedupe repeated errors and count them', () => {
+    reporter = createReporter();
+    const error = new Error('Failed to load');
+
+    expect(reporter.capture(error)).not.toBeNull();
+    expect(reporter.capture(error)).toBeNull();
+    expect(reporter.capture(error)).toBeNull();
+
+    reporter.flush();
+
+    expect(collector.items).toHaveLength(1);
+    expect(collector.items[0].count).toBe(3);
+    expect(reporter.getStats()).toMatchObject({ captured: 1, deduped: 2, sent: 1 });
+  });
+
+  test('should send repeats of a report that was already sent', () => {
+    reporter = createReporter();
+    const error = new Error('Failed to load');
+
+    const report = reporter.capture(error);
+    reporter.flush();
+
+    reporter.capture(error);
+    reporter.capture(error);
+    reporter.flush();
+
+    expect(collector.batches).toHaveLength(2);
+    expect(collector.batches[1].items).toEqual([
+      { fingerprint: report.fingerprint, count: 2, timestamp: expect.any(String) }
+    ]);
+    expect(report.count).toBe(1);
+
+    // Counts after a flush start a new repeat item
+    reporter.capture(error);
+    reporter.flush();
+
+    expect(collector.batches[2].items).toEqual([expect.objectContaining({ fingerprint: report.fingerprint, count: 1 })]);
+  });
+
+  test('should attach breadcrumbs from events and logs', () => {
+    reporter = createReporter();
+    const sink = Logger.addSink.mock.calls[0][0];
+
+    EventBus.emit('theme:change', 'dark');
+    sink({ level: 'WARN', context: 'I18nManager', message: 'Failed to load translations' });
+    sink({ level: 'DEBUG', context: 'App', message: 'noise' });
+
+    const report = reporter.capture(new Error('Broken'));
+
+    expect(report.breadcrumbs.map(crumb => crumb.message)).toEqual([
+      'theme:change',
+      '[I18nManager] Failed to load translations'
+    ]);
+  });
+
+  test('should rate-limit new reports', () => {
+    reporter = createReporter({ rateLimit: 2, rateLimitWindow: 1000 });
+
+    reporter.capture(new Error('one'));
+    reporter.capture(new Error('two'));
+    expect(reporter.capture(new Error('three'))).toBeNull();
+
+    jest.advanceTimersByTime(1000);
+    expect(reporter.capture(new Error('four'))).not.toBeNull();
+    expect(reporter.getStats().dropped).toBe(1);
+  });
+
+  test('should send batches by size and on a timer', () => {
+    reporter = createReporter({ batchSize: 2, flushInterval: 500 });
+
+    reporter.capture(new Error('one'));
+    reporter.capture(new Error('two'));
+    expect(collector.batches).toHaveLength(1);
+    expect(collector.batches[0]).toMatchObject({ type: 'errors', release: '2.0.0' });
+
+    reporter.capture(new Error('three'));
+    expect(collector.batches).toHaveLength(1);
+
+    jest.advanceTimersByTime(500);
+    expect(collector.batches).toHaveLength(2);
+    expect(collector.items.map(report => report.message)).toEqual(['one', 'two', 'three']);
+  });
+
+  test('should post batches with sendBeacon', () => {
+    reporter = createReporter();
+    navigator.sendBeacon = jest.fn(() => true);
+
+    const transport = new BeaconTransport({ endpoint: '/api/errors' });
+
+    expect(transport.send({ items: [] })).toBe(true);
+    expect(navigator.sendBeacon).toHaveBeenCalledWith('/api/errors', expect.any(Blob));
+
+    delete navigator.sendBeacon;
+  });
+});
@@ -0,0 +1,714 @@
+/**
+ * EventBus Tests
+ * Test suite for the global event bus
+ */
+
+import { EventBus, EventBusRequestError, EventBusEmitError } from '../EventBus.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+describe('EventBus', () => {
+  afterEach(() => {
+    EventBus.cleanup();
+  });
+
+  describe('Pattern Subscriptions', () => {
+    test('should match single segment globs', () => {
+      const mockCallback = jest.fn();
+      EventBus.on('theme:*', mockCallback);
+
+      EventBus.emit('theme:change', 'dark');
+      EventBus.emit('theme:set:custom', 'ignored');
+      EventBus.emit('language:change', 'en');
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(mockCallback).toHaveBeenCalledWith('theme:change', 'dark');
+    });
+
+    test('should match multi segment globs', () => {
+      const mockCallback = jest.fn();
+      EventBus.on('pwa:**', mockCallback);
+
+      EventBus.emit('pwa:installed');
+      EventBus.emit('pwa:sw:registered', { registration: null });
+
+      expect(mockCallback).toHaveBeenCalledTimes(2);
+      expect(mockCallback).toHaveBeenLastCalledWith('pwa:sw:registered', { registration: null });
+    });
+
+    test('should match RegExp subscriptions', () => {
+      const mockCallback = jest.fn();
+      EventBus.on(/^component:(mounted|destroyed)$/, mockCallback);
+
+      EventBus.emit('component:mounted');
+      EventBus.emit('component:updated');
+      EventBus.emit('component:destroyed');
+
+      expect(mockCallback).toHaveBeenCalledTimes(2);
+    });
+
+    test('should order exact and pattern listeners by priority', () => {
+      const calls = [];
+      EventBus.on('theme:change', () => calls.push('exact'));
+      EventBus.on('theme:*', () => calls.push('pattern'), { priority: 10 });
+
+      EventBus.emit('theme:change');
+
+      expect(calls).toEqual(['pattern', 'exact']);
+    });
+
+    test('should remove one-time pattern listeners after first match', () => {
+      const mockCallback = jest.fn();
+      EventBus.once('theme:*', mockCallback);
+
+      EventBus.emit('theme:change');
+      EventBus.emit('theme:change');
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(EventBus.patternNames()).toEqual([]);
+    });
+
+    test('should remove pattern listeners with off', () => {
+      const mockCallback = jest.fn();
+      const listenerId = EventBus.on('theme:*', mockCallback);
+
+      expect(EventBus.off('theme:*', listenerId)).toBe(true);
+      EventBus.emit('theme:change');
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    test('should count pattern listeners', () => {
+      EventBus.on('theme:change', jest.fn());
+      EventBus.on('theme:*', jest.fn());
+      EventBus.on(/^theme:/, jest.fn());
+
+      expect(EventBus.listenerCount('theme:change')).toBe(3);
+      expect(EventBus.listenerCount('theme:*')).toBe(1);
+      expect(EventBus.listenerCount('language:change')).toBe(0);
+    });
+
+    test('should deliver pattern events to emitAsync listeners', async () => {
+      const mockCallback = jest.fn().mockResolvedValue(undefined);
+      EventBus.on('app:**', mockCallback);
+
+      const result = await EventBus.emitAsync('app:core:ready');
+
+      expect(result).toBe(true);
+      expect(mockCallback).toHaveBeenCalledWith('app:core:ready');
+    });
+
+    test('should wait for pattern events', async () => {
+      const promise = EventBus.waitFor('pwa:sw:*', 1000);
+
+      EventBus.emit('pwa:sw:registered', { ok: true });
+
+      await expect(promise).resolves.toEqual(['pwa:sw:registered', { ok: true }]);
+    });
+
+    test('should subscribe to a whole namespace', () => {
+      const mockCallback = jest.fn();
+      const pwa = EventBus.namespace('pwa');
+
+      pwa.onAny(mockCallback);
+      pwa.emit('network:online');
+
+      expect(mockCallback).toHaveBeenCalledWith('pwa:network:online');
+    });
+
+    test('should escape special characters in globs', () => {
+      const mockCallback = jest.fn();
+      EventBus.on('a.b:*', mockCallback);
+
+      EventBus.emit('aXb:test');
+      EventBus.emit('a.b:test');
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Middleware', () => {
+    test('should run middleware in order before listeners', () => {
+      const calls = [];
+      EventBus.use((context, next) => {
+        calls.push('first');
+        return next();
+      });
+      EventBus.use((context, next) => {
+        calls.push('second');
+        return next();
+      });
+      EventBus.on('test:event', () => calls.push('listener'));
+
+      const result = EventBus.emit('test:event');
+
+      expect(result).toBe(true);
+      expect(calls).toEqual(['first', 'second', 'listener']);
+    });
+
+    test('should run higher priority middleware first', () => {
+      const calls = [];
+      EventBus.use((context, next) => {
+        calls.push('low');
+        return next();
+      });
+      EventBus.use((context, next) => {
+        calls.push('high');
+        return next();
+      }, { priority: 10 });
+
+      EventBus.emit('test:event');
+
+      expect(calls).toEqual(['high', 'low']);
+    });
+
+    test('should block events when next is not called', () => {
+      const mockCallback = jest.fn();
+      EventBus.use((context, next) => {
+        if (context.eventName === 'blocked:event') return false;
+        return next();
+      });
+      EventBus.on('blocked:event', mockCallback);
+
+      expect(EventBus.emit('blocked:event')).toBe(false);
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    test('should transform payloads and re-route events', () => {
+      const original = jest.fn();
+      const rerouted = jest.fn();
+      EventBus.use((context, next) => {
+        context.eventName = 'theme:changed';
+        context.args = [{ theme: context.args[0] }];
+        return next();
+      });
+      EventBus.on('theme:change', original);
+      EventBus.on('theme:changed', rerouted);
+
+      EventBus.emit('theme:change', 'dark');
+
+      expect(original).not.toHaveBeenCalled();
+      expect(rerouted).toHaveBeenCalledWith({ theme: 'dark' });
+    });
+
+    test('should apply to async emits and support delays', async () => {
+      const mockCallback = jest.fn();
+      EventBus.use(async (context, next) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        context.args = ['delayed'];
+        return next();
+      });
+      EventBus.on('test:event', mockCallback);
+
+      const result = await EventBus.emitAsync('test:event', 'original');
+
+      expect(result).toBe(true);
+      expect(mockCallback).toHaveBeenCalledWith('delayed');
+    });
+
+    test('should remove middleware by handle', () => {
+      const middleware = jest.fn((context, next) => next());
+      const handle = EventBus.use(middleware);
+
+      expect(EventBus.removeMiddleware(handle)).toBe(true);
+      EventBus.emit('test:event');
+
+      expect(middleware).not.toHaveBeenCalled();
+      expect(EventBus.getMiddleware()).toEqual([]);
+    });
+
+    test('should skip middleware that throws', () => {
+      const mockCallback = jest.fn();
+      EventBus.use(() => {
+        throw new Error('Middleware error');
+      });
+      EventBus.on('test:event', mockCallback);
+
+      EventBus.emit('test:event', 'data');
+
+      expect(mockCallback).toHaveBeenCalledWith('data');
+    });
+
+    test('should dispatch only once when next is called twice', () => {
+      const mockCallback = jest.fn();
+      EventBus.use((context, next) => {
+        next();
+        return next();
+      });
+      EventBus.on('test:event', mockCallback);
+
+      EventBus.emit('test:event');
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Sticky Events', () => {
+    test('should deliver last sticky payload to new subscribers', () => {
+      const mockCallback = jest.fn();
+      EventBus.sticky('pwa:sw:registered');
+
+      EventBus.emit('pwa:sw:registered', { attempt: 1 });
+      EventBus.emit('pwa:sw:registered', { attempt: 2 });
+      EventBus.on('pwa:sw:registered', mockCallback);
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(mockCallback).toHaveBeenCalledWith({ attempt: 2 });
+    });
+
+    test('should keep delivering later emits after replay', () => {
+      const mockCallback = jest.fn();
+      EventBus.emitSticky('app:core:ready');
+
+      EventBus.on('app:core:ready', mockCallback);
+      EventBus.emit('app:core:ready');
+
+      expect(mockCallback).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not register once listeners satisfied by a sticky payload', () => {
+      const mockCallback = jest.fn();
+      EventBus.emitSticky('app:core:ready');
+
+      EventBus.once('app:core:ready', mockCallback);
+      EventBus.emit('app:core:ready');
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(EventBus.listenerCount('app:core:ready')).toBe(0);
+    });
+
+    test('should skip replay when requested', () => {
+      const mockCallback = jest.fn();
+      EventBus.emitSticky('app:core:ready');
+
+      EventBus.on('app:core:ready', mockCallback, { replay: false });
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    test('should replay a bounded buffer in order', () => {
+      const mockCallback = jest.fn();
+      EventBus.replay('log:entry', 2);
+
+      ['a', 'b', 'c'].forEach(entry => EventBus.emit('log:entry', entry));
+      EventBus.on('log:entry', mockCallback);
+
+      expect(mockCallback.mock.calls).toEqual([['b'], ['c']]);
+    });
+
+    test('should replay retained payloads to pattern subscribers', () => {
+      const mockCallback = jest.fn();
+      EventBus.emitSticky('pwa:sw:registered', 'sw');
+      EventBus.emitSticky('theme:change', 'dark');
+
+      EventBus.on('pwa:**', mockCallback);
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(mockCallback).toHaveBeenCalledWith('pwa:sw:registered', 'sw');
+    });
+
+    test('should resolve waitFor immediately for sticky events', async () => {
+      EventBus.emitSticky('app:core:ready', { ok: true });
+
+      await expect(EventBus.waitFor('app:core:ready', 10)).resolves.toEqual([{ ok: true }]);
+    });
+
+    test('should retain payloads after middleware runs', () => {
+      EventBus.sticky('theme:change');
+      EventBus.use((context, next) => {
+        context.args = ['dark'];
+        return next();
+      });
+
+      EventBus.emit('theme:change', 'light');
+
+      expect(EventBus.getSticky('theme:change')).toEqual(['dark']);
+    });
+
+    test('should clear sticky payloads', () => {
+      EventBus.emitSticky('app:core:ready');
+
+      EventBus.clearSticky('app:core:ready');
+
+      expect(EventBus.hasSticky('app:core:ready')).toBe(false);
+      expect(EventBus.getStats().retained['app:core:ready']).toEqual({ size: 1, count: 0 });
+    });
+  });
+
+  describe('Request/Response', () => {
+    test('should resolve with the handler result', async () => {
+      EventBus.handle('i18n:t', ({ key }) => `translated:${key}`);
+
+      await expect(EventBus.request('i18n:t', { key: 'nav.home' })).resolves.toBe('translated:nav.home');
+    });
+
+    test('should resolve async handler results', async () => {
+      EventBus.handle('theme:effective', async () => 'dark');
+
+      await expect(EventBus.request('theme:effective')).resolves.toBe('dark');
+    });
+
+    test('should allow a single responder per name', () => {
+      expect(EventBus.handle('theme:effective', () => 'dark')).toEqual(expect.any(String));
+      expect(EventBus.handle('theme:effective', () => 'light')).toBeNull();
+    });
+
+    test('should send handler errors back to the caller', async () => {
+      EventBus.handle('i18n:t', () => {
+        throw new Error('Missing key');
+      });
+
+      await expect(EventBus.request('i18n:t')).rejects.toThrow('Missing key');
+    });
+
+    test('should reject when no handler is registered', async () => {
+      const promise = EventBus.request('unknown:request');
+
+      await expect(promise).rejects.toBeInstanceOf(EventBusRequestError);
+      await expect(promise).rejects.toMatchObject({ code: 'NO_HANDLER', requestName: 'unknown:request' });
+    });
+
+    test('should reject on timeout and abort the handler signal', async () => {
+      let handlerSignal;
+      EventBus.handle('slow:request', (payload, { signal }) => {
+        handlerSignal = signal;
+        return new Promise(() => {});
+      });
+
+      await expect(EventBus.request('slow:request', null, { timeout: 10 }))
+        .rejects.toMatchObject({ code: 'TIMEOUT' });
+      expect(handlerSignal.aborted).toBe(true);
+    });
+
+    test('should support cancellation with AbortSignal', async () => {
+      const controller = new AbortController();
+      EventBus.handle('slow:request', () => new Promise(() => {}));
+
+      const promise = EventBus.request('slow:request', null, { signal: controller.signal });
+      controller.abort();
+
+      await expect(promise).rejects.toMatchObject({ code: 'ABORTED' });
+    });
+
+    test('should reject already aborted signals', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      EventBus.handle('theme:effective', () => 'dark');
+
+      await expect(EventBus.request('theme:effective', null, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'ABORTED' });
+    });
+
+    test('should remove handlers', async () => {
+      const handlerId = EventBus.handle('theme:effective', () => 'dark');
+
+      expect(EventBus.unhandle('theme:effective', 'other-id')).toBe(false);
+      expect(EventBus.unhandle('theme:effective', handlerId)).toBe(true);
+      expect(EventBus.hasHandler('theme:effective')).toBe(false);
+    });
+  });
+
+  describe('Subscription Lifecycle', () => {
+    test('should remove listeners when their signal aborts', () => {
+      const controller = new AbortController();
+      const mockCallback = jest.fn();
+      EventBus.on('theme:change', mockCallback, { signal: controller.signal });
+      EventBus.on('theme:*', mockCallback, { signal: controller.signal });
+
+      controller.abort();
+      EventBus.emit('theme:change', 'dark');
+
+      expect(mockCallback).not.toHaveBeenCalled();
+      expect(EventBus.listenerCount('theme:change')).toBe(0);
+    });
+
+    test('should ignore listeners with an aborted signal', () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      expect(EventBus.on('theme:change', jest.fn(), { signal: controller.signal })).toBeNull();
+      expect(EventBus.listenerCount('theme:change')).toBe(0);
+    });
+
+    test('should dispose scoped subscriptions at once', async () => {
+      const scope = EventBus.scope('Test');
+      const mockCallback = jest.fn();
+      const cleanup = jest.fn();
+
+      scope.on('theme:change', mockCallback);
+      scope.once('language:change', mockCallback);
+      scope.handle('theme:effective', () => 'dark');
+      scope.add(cleanup);
+
+      expect(scope.dispose()).toBe(true);
+      EventBus.emit('theme:change', 'dark');
+      EventBus.emit('language:change', 'en');
+
+      expect(mockCallback).not.toHaveBeenCalled();
+      expect(cleanup).toHaveBeenCalled();
+      expect(EventBus.hasHandler('theme:effective')).toBe(false);
+      expect(scope.disposed).toBe(true);
+      expect(scope.dispose()).toBe(false);
+    });
+
+    test('should honour caller signals inside a scope', () => {
+      const scope = EventBus.scope('Test');
+      const controller = new AbortController();
+      const mockCallback = jest.fn();
+
+      scope.on('theme:change', mockCallback, { signal: controller.signal });
+      controller.abort();
+      EventBus.emit('theme:change', 'dark');
+
+      expect(mockCallback).not.toHaveBeenCalled();
+      scope.dispose();
+    });
+
+    test('should not subscribe through a disposed scope', () => {
+      const scope = EventBus.scope('Test');
+      scope.dispose();
+
+      expect(scope.on('theme:change', jest.fn())).toBeNull();
+      expect(EventBus.listenerCount('theme:change')).toBe(0);
+    });
+
+    test('should find subscriptions by context', () => {
+      const owner = {};
+      EventBus.on('theme:change', jest.fn(), { context: owner });
+      EventBus.on('theme:*', jest.fn(), { context: owner });
+      EventBus.on('theme:change', jest.fn());
+      EventBus.handle('theme:effective', () => 'dark', { context: owner });
+
+      expect(EventBus.getSubscriptionsByContext(owner).map(({ type, eventName }) => `${type}:${eventName}`))
+        .toEqual(['listener:theme:change', 'listener:theme:*', 'handler:theme:effective']);
+    });
+  });
+
+  describe('Async Strategies', () => {
+    const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+    test('should run listeners serially in priority order', async () => {
+      const order = [];
+      EventBus.on('save', async () => {
+        order.push('low:start');
+        await delay(5);
+        order.push('low:end');
+      });
+      EventBus.on('save', async () => {
+        order.push('high:start');
+        await delay(5);
+        order.push('high:end');
+      }, { priority: 10 });
+
+      const result = await EventBus.emitAsyncWith('save', [], { mode: 'serial' });
+
+      expect(result).toBe(true);
+      expect(order).toEqual(['high:start', 'high:end', 'low:start', 'low:end']);
+    });
+
+    test('should limit parallel concurrency', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const listener = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(5);
+        active--;
+      };
+      for (let i = 0; i < 5; i++) {
+        EventBus.on('save', listener);
+      }
+
+      await EventBus.emitAsyncWith('save', [], { concurrency: 2 });
+
+      expect(maxActive).toBe(2);
+    });
+
+    test('should collect every outcome in settle mode', async () => {
+      const okId = EventBus.on('save', async (data) => delay(1, `saved ${data.id}`));
+      const failId = EventBus.on('save', () => {
+        throw new Error('Disk full');
+      });
+
+      const results = await EventBus.emitAsyncWith('save', [{ id: 7 }], { mode: 'settle' });
+
+      expect(results).toEqual([
+        { listenerId: okId, status: 'fulfilled', value: 'saved 7' },
+        { listenerId: failId, status: 'rejected', reason: expect.objectContaining({ message: 'Disk full' }) }
+      ]);
+    });
+
+    test('should return an empty result list without listeners', async () => {
+      await expect(EventBus.emitAsyncWith('save', [], { mode: 'settle' })).resolves.toEqual([]);
+    });
+
+    test('should stop waiting after the timeout', async () => {
+      EventBus.on('save', () => delay(5, 'fast'));
+      EventBus.on('save', () => new Promise(() => {}));
+
+      const results = await EventBus.emitAsyncWith('save', [], { mode: 'settle', timeout: 20 });
+
+      expect(results[0]).toMatchObject({ status: 'fulfilled', value: 'fast' });
+      expect(results[1].reason).toBeInstanceOf(EventBusEmitError);
+      expect(results[1].reason.code).toBe('TIMEOUT');
+      await expect(EventBus.emitAsyncWith('save', [], { timeout: 20 })).resolves.toBe(false);
+    });
+
+    test('should unsubscribe once listeners that time out or throw', async () => {
+      const slow = jest.fn(() => new Promise(() => {}));
+      const failing = jest.fn(() => {
+        throw new Error('Disk full');
+      });
+      EventBus.once('save', slow);
+      EventBus.once('save', failing);
+
+      await expect(EventBus.emitAsyncWith('save', [], { timeout: 20 })).resolves.toBe(false);
+      await EventBus.emitAsyncWith('save', [], { timeout: 20 });
+
+      expect(slow).toHaveBeenCalledTimes(1);
+      expect(failing).toHaveBeenCalledTimes(1);
+      expect(EventBus.listenerCount('save')).toBe(0);
+    });
+
+    test('should not start remaining listeners after abort', async () => {
+      const controller = new AbortController();
+      const second = jest.fn();
+      EventBus.on('save', async () => {
+        controller.abort();
+        await delay(5);
+      }, { priority: 1 });
+      EventBus.on('save', second);
+
+      const results = await EventBus.emitAsyncWith('save', [], {
+        mode: 'serial',
+        signal: controller.signal
+      });
+
+      expect(results).toBe(false);
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    test('should return an empty result list when blocked by middleware', async () => {
+      EventBus.on('save', jest.fn());
+      EventBus.use(() => {});
+
+      await expect(EventBus.emitAsyncWith('save', [], { mode: 'settle' })).resolves.toEqual([]);
+    });
+  });
+
+  describe('Tracing', () => {
+    beforeEach(() => {
+      EventBus.startTracing();
+    });
+
+    test('should not record while tracing is off', () => {
+      EventBus.stopTracing();
+      EventBus.emit('theme:change', 'dark');
+
+      expect(EventBus.isTracing()).toBe(false);
+      expect(EventBus.getTimeline()).toEqual([]);
+    });
+
+    test('should record emissions with payload and listeners', () => {
+      EventBus.on('theme:change', jest.fn());
+      EventBus.on('theme:*', jest.fn());
+
+      EventBus.emit('theme:change', { theme: 'dark', source: new Map() });
+
+      const [entry] = EventBus.getTimeline();
+      expect(entry).toMatchObject({
+        eventName: 'theme:change',
+        listenerCount: 2,
+        payload: [{ theme: 'dark', source: '[Map]' }],
+        blocked: false
+      });
+      expect(entry.listeners).toHaveLength(2);
+      expect(entry.listeners[1].pattern).toBe('theme:*');
+      expect(entry.listeners[0].duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should record listener errors', () => {
+      EventBus.on('theme:change', () => {
+        throw new Error('Listener failed');
+      });
+
+      EventBus.emit('theme:change', 'dark');
+
+      const [entry] = EventBus.getTimeline({ eventName: 'theme:change', hasErrors: true });
+      expect(entry.errors[0].message).toBe('Listener failed');
+    });
+
+    test('should link nested emissions to their parent', () => {
+      EventBus.on('theme:change', () => EventBus.emit('theme:changed', {}));
+
+      EventBus.emit('theme:change', 'dark');
+
+      const [parent, child] = EventBus.getTimeline({ eventName: 'theme:**' });
+      expect(child.parentId).toBe(parent.id);
+      expect(child.depth).toBe(1);
+    });
+
+    test('should record events blocked by middleware', async () => {
+      EventBus.use(() => {});
+
+      EventBus.emit('theme:change', 'dark');
+      await EventBus.emitAsync('language:change', 'en');
+
+      const entries = EventBus.getTimeline({ blocked: true });
+      expect(entries.map(entry => entry.eventName)).toEqual(['theme:change', 'language:change']);
+      expect(entries[1].async).toBe(true);
+    });
+
+    test('should query the timeline', () => {
+      EventBus.emit('theme:change', 'dark');
+      EventBus.emit('language:change', 'en');
+      EventBus.emit('theme:change', 'light');
+
+      expect(EventBus.getTimeline({ eventName: 'theme:change' })).toHaveLength(2);
+      expect(EventBus.getTimeline({ limit: 1 })[0].payload).toEqual(['light']);
+    });
+
+    test('should export Chrome trace events', async () => {
+      EventBus.on('theme:change', jest.fn());
+      EventBus.on('language:change', async () => {
+        throw new Error('Async failure');
+      });
+
+      EventBus.emit('theme:change', 'dark');
+      await EventBus.emitAsync('language:change', 'en');
+
+      const trace = EventBus.exportTrace();
+      const names = trace.traceEvents.filter(event => event.ph !== 'M').map(event => event.name);
+
+      expect(trace.displayTimeUnit).toBe('ms');
+      expect(names).toContain('theme:change');
+      expect(names).toContain('Error: Async failure');
+      expect(trace.traceEvents.find(event => event.name === 'language:change')).toMatchObject({
+        ph: 'X',
+        tid: 2,
+        args: { listenerCount: 1, payload: ['en'] }
+      });
+      expect(() => JSON.stringify(trace)).not.toThrow();
+    });
+
+    test('should keep a bounded timeline', () => {
+      EventBus.stopTracing();
+      EventBus.startTracing({ maxEntries: 2 });
+
+      EventBus.emit('a');
+      EventBus.emit('b');
+      EventBus.emit('c');
+
+      expect(EventBus.getTimeline().map(entry => entry.eventName)).toEqual(['b', 'c']);
+    });
+  });
+});
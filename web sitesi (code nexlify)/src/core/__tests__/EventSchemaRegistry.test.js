@@ -0,0 +1,125 @@
+/**
+ * EventSchemaRegistry Tests
+ * Test suite for event schema validation and type generation
+ */
+
+import { EventSchemaRegistry } from '../EventSchemaRegistry.js';
+import { EventSchemas } from '../EventCatalog.js';
+import { EventBus } from '../EventBus.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+describe('EventSchemaRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new EventSchemaRegistry({
+      'theme:change': { description: 'Theme changed', args: [{ enum: ['light', 'dark', 'auto'] }] },
+      'component:mounted': {
+        args: [{ type: 'object', properties: { component: 'object', id: 'string?' } }]
+      },
+      'search:results': { args: [{ type: 'array', items: 'string' }, 'number?'] }
+    });
+  });
+
+  afterEach(() => {
+    registry.detach();
+    EventBus.removeAllListeners();
+    EventBus.clearMiddleware();
+  });
+
+  describe('Validation', () => {
+    test('should accept valid payloads', () => {
+      expect(registry.validate('theme:change', ['dark'])).toEqual([]);
+      expect(registry.validate('component:mounted', [{ component: {}, source: {} }])).toEqual([]);
+      expect(registry.validate('search:results', [['a', 'b']])).toEqual([]);
+    });
+
+    test('should report unknown events', () => {
+      expect(registry.validate('theme:chnage', ['dark'])).toEqual(["Unknown event 'theme:chnage'"]);
+    });
+
+    test('should report malformed payloads', () => {
+      expect(registry.validate('theme:change', ['purple'])[0]).toContain('expected one of');
+      expect(registry.validate('component:mounted', [{ id: 5 }])).toEqual([
+        'component:mounted arg[0].component: is required',
+        'component:mounted arg[0].id: expected string, got number'
+      ]);
+      expect(registry.validate('search:results', [['a', 1]])).toEqual([
+        'search:results arg[0][1]: expected string, got number'
+      ]);
+    });
+
+    test('should report extra arguments', () => {
+      expect(registry.validate('theme:change', ['dark', 'extra'])[0]).toContain('at most 1 argument');
+    });
+  });
+
+  describe('EventBus Integration', () => {
+    test('should warn without blocking invalid events', () => {
+      const mockCallback = jest.fn();
+      EventBus.on('theme:change', mockCallback);
+      registry.attach(EventBus);
+
+      EventBus.emit('theme:change', 'purple');
+      EventBus.emit('theme:change', 'purple');
+
+      expect(mockCallback).toHaveBeenCalledTimes(2);
+      expect(registry.logger.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should block invalid events in strict mode', () => {
+      const mockCallback = jest.fn();
+      EventBus.on('theme:change', mockCallback);
+      registry.attach(EventBus, { block: true });
+
+      EventBus.emit('theme:change', 'purple');
+      EventBus.emit('theme:change', 'dark');
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(mockCallback).toHaveBeenCalledWith('dark');
+    });
+
+    test('should detach the validator', () => {
+      registry.attach(EventBus);
+
+      expect(registry.detach()).toBe(true);
+      expect(EventBus.getMiddleware()).toEqual([]);
+    });
+  });
+
+  describe('Type Generation', () => {
+    test('should generate a TypeScript event map', () => {
+      const output = registry.toTypeScript();
+
+      expect(output).toContain('export interface CodeNexlifyEventMap {');
+      expect(output).toContain('/** Theme changed */');
+      expect(output).toContain(`'theme:change': [arg0: "light" | "dark" | "auto"];`);
+      expect(output).toContain(`'component:mounted': [arg0: { component: Record<string, unknown>; id?: string; [key: string]: unknown }];`);
+      expect(output).toContain(`'search:results': [arg0: Array<string>, arg1?: number];`);
+      expect(output).toContain('export interface TypedEventBus {');
+    });
+  });
+
+  describe('Application Catalog', () => {
+    test('should declare the preference events', () => {
+      expect(EventSchemas.validate('theme:change', ['dark'])).toEqual([]);
+      expect(EventSchemas.validate('language:change', ['en'])).toEqual([]);
+      expect(EventSchemas.validate('app:core:ready', [])).toEqual([]);
+    });
+
+    test('should accept component events emitted with a source', () => {
+      expect(EventSchemas.validate('pwa:installed', [{ source: {} }])).toEqual([]);
+      expect(EventSchemas.validate('component:mounted', [{ component: {}, source: {} }])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * FeatureFlags Tests
+ * Test suite for flag evaluation, rollout and page overrides
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { FeatureFlags } from '../FeatureFlags.js';
+import { StorageService, MemoryBackend } from '../StorageService.js';
+import { Store } from '../Store.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+const { flags } = JSON.parse(
+  fs.readFileSync(path.resolve(__dirname, '../../../public/config/runtime.json'), 'utf8')
+);
+
+describe('FeatureFlags', () => {
+  let storage;
+  let store;
+
+  const createFlags = (options = {}) => new FeatureFlags({ storage, store, flags, ...options });
+
+  beforeEach(() => {
+    storage = new StorageService({ backend: new MemoryBackend(), config: { namespace: 'test' } });
+    store = new Store({ currentPage: 'home' });
+  });
+
+  test('should evaluate boolean flags and unknown flags', () => {
+    const featureFlags = createFlags();
+
+    expect(featureFlags.isEnabled('serviceWorker')).toBe(true);
+    expect(featureFlags.isEnabled('chatWidget')).toBe(false);
+    expect(featureFlags.isEnabled('missing')).toBe(false);
+  });
+
+  test('should keep a stable visitor ID', () => {
+    const first = createFlags().getVisitorId();
+    const second = createFlags().getVisitorId();
+
+    expect(first).toBeTruthy();
+    expect(second).toBe(first);
+    expect(storage.get('visitor-id')).toBe(first);
+  });
+
+  test('should roll out to roughly the configured percentage', () => {
+    let enabled = 0;
+
+    for (let i = 0; i < 1000; i++) {
+      if (createFlags({ visitorId: `visitor-${i}` }).isEnabled('newBlog')) {
+        enabled++;
+      }
+    }
+
+    expect(enabled).toBeGreaterThan(150);
+    expect(enabled).toBeLessThan(250);
+  });
+
+  test('should give the same visitor the same answer', () => {
+    const answers = new Set();
+
+    for (let i = 0; i < 5; i++) {
+      answers.add(createFlags({ visitorId: 'visitor-42' }).isEnabled('newBlog'));
+    }
+
+    expect(answers.size).toBe(1);
+  });
+
+  test('should apply per-page overrides', () => {
+    const featureFlags = createFlags({ visitorId: 'visitor-1' });
+    const blogBucket = featureFlags.getBucket('newBlog');
+
+    expect(featureFlags.isEnabled('newBlog', { page: 'contact' })).toBe(false);
+    expect(featureFlags.isEnabled('newBlog', { page: 'blog' })).toBe(blogBucket < 50);
+
+    store.set('currentPage', 'contact');
+    featureFlags.setFlags({ newBlog: { enabled: true, pages: { contact: false } } });
+
+    expect(featureFlags.isEnabled('newBlog')).toBe(false);
+    expect(featureFlags.isEnabled('newBlog', { page: 'home' })).toBe(true);
+  });
+
+  test('should let overrides win over the config', () => {
+    const featureFlags = createFlags();
+
+    featureFlags.override('chatWidget', true);
+    expect(featureFlags.isEnabled('chatWidget')).toBe(true);
+    expect(featureFlags.getAll()).toMatchObject({ chatWidget: true, serviceWorker: true });
+
+    featureFlags.override('chatWidget', null);
+    expect(featureFlags.isEnabled('chatWidget')).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * LoadTriggers Tests
+ * Test suite for the triggers that start lazily registered components
+ */
+
+import { waitForTrigger, describeTrigger } from '../LoadTriggers.js';
+import { Store } from '../Store.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Resolves to true once the promise has settled
+const settled = (promise) => {
+  let done = false;
+  promise.then(() => { done = true; }, () => { done = true; });
+  return () => done;
+};
+
+describe('LoadTriggers', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store({ currentPage: 'home', route: null });
+  });
+
+  afterEach(() => {
+    delete window.requestIdleCallback;
+    delete window.cancelIdleCallback;
+    delete window.IntersectionObserver;
+    document.body.innerHTML = '';
+  });
+
+  test('should fire on idle time and on the first interaction', async () => {
+    let idle;
+    window.requestIdleCallback = jest.fn((callback) => { idle = callback; return 7; });
+    window.cancelIdleCallback = jest.fn();
+
+    const idleDone = settled(waitForTrigger({ idle: { timeout: 500 } }, { store }));
+    expect(window.requestIdleCallback).toHaveBeenCalledWith(expect.any(Function), { timeout: 500 });
+
+    await flush();
+    expect(idleDone()).toBe(false);
+    idle();
+    await flush();
+    expect(idleDone()).toBe(true);
+
+    const interactionDone = settled(waitForTrigger('interaction', { store }));
+    await flush();
+    expect(interactionDone()).toBe(false);
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab' }));
+    await flush();
+    expect(interactionDone()).toBe(true);
+  });
+
+  test('should fire when the visitor reaches a page or a media query matches', async () => {
+    const pageDone = settled(waitForTrigger({ page: ['contact', 'services'] }, { store }));
+    store.set('currentPage', 'about');
+    await flush();
+    expect(pageDone()).toBe(false);
+
+    store.set('currentPage', 'contact');
+    await flush();
+    expect(pageDone()).toBe(true);
+
+    let onChange;
+    window.matchMedia = jest.fn(() => ({
+      matches: false,
+      addEventListener: (type, listener) => { onChange = listener; },
+      removeEventListener: jest.fn()
+    }));
+
+    const mediaDone = settled(waitForTrigger({ media: '(min-width: 992px)' }, { store }));
+    onChange({ matches: false });
+    await flush();
+    expect(mediaDone()).toBe(false);
+
+    onChange({ matches: true });
+    await flush();
+    expect(mediaDone()).toBe(true);
+  });
+
+  test('should wait for an element that comes in with a later route', async () => {
+    const observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        this.disconnect = jest.fn();
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.target = target;
+      }
+    };
+
+    const visibleDone = settled(waitForTrigger({ visible: '#contact-form' }, { store }));
+    expect(observers).toHaveLength(0);
+
+    // Client-side navigation puts the form on the page
+    document.body.innerHTML = '<form id="contact-form"></form>';
+    store.set('route', { name: 'contact', params: {} });
+
+    const [observer] = observers;
+    expect(observer.target.id).toBe('contact-form');
+
+    observer.callback([{ target: observer.target, isIntersecting: true }]);
+    await flush();
+
+    expect(visibleDone()).toBe(true);
+    expect(observer.disconnect).toHaveBeenCalled();
+  });
+
+  test('should fire on the first of several triggers and stop when aborted', async () => {
+    const controller = new AbortController();
+    const either = waitForTrigger(['interaction', { page: 'blog' }], { store, signal: controller.signal });
+    store.set('currentPage', 'blog');
+    await expect(either).resolves.toBeUndefined();
+
+    const aborted = waitForTrigger('interaction', { store, signal: controller.signal });
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(describeTrigger(['idle', { page: 'blog' }])).toBe('idle | page: "blog"');
+    expect(() => waitForTrigger('someday', { store })).toThrow('Unknown load trigger: someday');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * RemoteConfig Tests
+ * Test suite for runtime config loading, ETag caching and fallbacks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RemoteConfig } from '../RemoteConfig.js';
+import { StorageService, MemoryBackend } from '../StorageService.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+// The same file the site serves at /config/runtime.json
+const runtimeConfig = fs.readFileSync(path.resolve(__dirname, '../../../public/config/runtime.json'), 'utf8');
+
+const createResponse = (status, body = null, headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name] || null },
+  json: async () => JSON.parse(body)
+});
+
+describe('RemoteConfig', () => {
+  let storage;
+  let fetch;
+
+  const createRemote = (config = {}) => new RemoteConfig({ storage, fetch, config });
+
+  beforeEach(() => {
+    storage = new StorageService({ backend: new MemoryBackend(), config: { namespace: 'test' } });
+    fetch = jest.fn().mockImplementation(async () => createResponse(200, runtimeConfig, { ETag: '"v1"' }));
+  });
+
+  test('should load config and flags from the local JSON file', async () => {
+    const remote = createRemote();
+    const data = await remote.load();
+
+    expect(fetch).toHaveBeenCalledWith('/config/runtime.json', expect.objectContaining({ cache: 'no-store' }));
+    expect(data.flags).toEqual(JSON.parse(runtimeConfig).flags);
+    expect(remote.source).toBe('network');
+    expect(remote.etag).toBe('"v1"');
+  });
+
+  test('should revalidate with the cached ETag', async () => {
+    await createRemote().load();
+    fetch.mockImplementation(async () => createResponse(304));
+
+    const remote = createRemote();
+    const data = await remote.load();
+
+    expect(fetch.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"v1"' });
+    expect(remote.source).toBe('not-modified');
+    expect(data.flags.newBlog.rollout).toBe(20);
+  });
+
+  test('should fall back to the last good copy on errors', async () => {
+    await createRemote().load();
+    fetch.mockImplementation(async () => createResponse(500));
+
+    const remote = createRemote();
+    const data = await remote.load();
+
+    expect(remote.source).toBe('fallback');
+    expect(data.flags.serviceWorker).toBe(true);
+  });
+
+  test('should time out slow requests', async () => {
+    jest.useFakeTimers();
+    fetch.mockImplementation(async () => new Promise(() => {}));
+
+    const remote = createRemote({ timeout: 100 });
+    const loading = remote.load();
+    jest.advanceTimersByTime(100);
+    const data = await loading;
+
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(remote.source).toBe('defaults');
+    expect(data).toEqual({ config: {}, flags: {} });
+
+    jest.useRealTimers();
+  });
+
+  test('should not replace the last good copy with invalid JSON', async () => {
+    await createRemote().load();
+    fetch.mockImplementation(async () => createResponse(200, '[]'));
+
+    const remote = createRemote();
+    await remote.load();
+
+    expect(remote.source).toBe('fallback');
+    expect(storage.get('last-good').etag).toBe('"v1"');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * RouteTable Tests
+ * Test suite for route matching and URL building
+ */
+
+import { RouteTable } from '../RouteTable.js';
+import { routes } from '../../pages/routes.js';
+
+const url = (path) => new URL(path, 'https://codenexlify.com');
+
+describe('RouteTable', () => {
+  let table;
+
+  beforeEach(() => {
+    table = new RouteTable(routes);
+  });
+
+  test('should match pages and their aliases', () => {
+    expect(table.match(url('/'))).toMatchObject({ name: 'home', page: 'home', params: {}, base: '' });
+    expect(table.match(url('/index.html'))).toMatchObject({ name: 'home' });
+    expect(table.match(url('/services.html'))).toMatchObject({ name: 'services' });
+    expect(table.match(url('/files/brochure.pdf'))).toBeNull();
+  });
+
+  test('should extract and decode path parameters', () => {
+    expect(table.match(url('/blog/yapay-zeka'))).toMatchObject({
+      name: 'blog-post',
+      page: 'blog',
+      params: { slug: 'yapay-zeka' }
+    });
+    expect(table.match(url('/services/web%20siteleri')).params).toEqual({ id: 'web siteleri' });
+    expect(table.match(url('/blog/%E0%A4%A'))).toBeNull();
+  });
+
+  test('should work from a sub-directory', () => {
+    const match = table.match(url('/preview/site/blog/yapay-zeka'));
+
+    expect(match).toMatchObject({ name: 'blog-post', base: '/preview/site' });
+    expect(table.resolve('contact', {}, match.base)).toBe('/preview/site/contact.html');
+  });
+
+  test('should build paths from route names', () => {
+    expect(table.resolve('blog-post', { slug: 'mobil uygulama' })).toBe('/blog/mobil%20uygulama');
+    expect(table.resolve('unknown')).toBeNull();
+    expect(() => table.resolve('service')).toThrow("Route 'service' needs the 'id' parameter");
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * SeoManager Tests
+ * Test suite for manifest-driven page metadata
+ */
+
+import { SeoManager } from '../SeoManager.js';
+import { Store } from '../Store.js';
+import seoManifest from '../../content/seo.json';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+const meta = (attribute, key) => Array.from(document.head.querySelectorAll(`meta[${attribute}="${key}"]`))
+  .map(element => element.getAttribute('content'));
+
+describe('SeoManager', () => {
+  let store;
+  let seo;
+
+  beforeEach(() => {
+    document.head.innerHTML = '<meta name="description" content="Eski açıklama">';
+    store = new Store({ currentPage: 'services', language: 'tr' });
+    seo = new SeoManager({ store });
+  });
+
+  afterEach(() => {
+    seo.stop();
+  });
+
+  test('should cover every page in every language', () => {
+    Object.keys(seoManifest.pages).forEach(page => {
+      seoManifest.languages.forEach(language => {
+        const metadata = seo.getMetadata(page, language);
+
+        expect(metadata.title).toEqual(expect.any(String));
+        expect(metadata.description).toEqual(expect.any(String));
+        expect(metadata.image).toMatch(/^https:\/\//);
+      });
+    });
+  });
+
+  test('should resolve localized metadata and URLs', () => {
+    const metadata = seo.getMetadata('services', 'en');
+
+    expect(metadata).toMatchObject({
+      title: 'Our Services - CodeNexlify',
+      canonical: 'https://codenexlify.com/services.html?lang=en',
+      robots: 'index, follow',
+      locale: 'en_US',
+      alternateLocales: ['tr_TR']
+    });
+    expect(metadata.alternates).toEqual([
+      { hreflang: 'tr', href: 'https://codenexlify.com/services.html' },
+      { hreflang: 'en', href: 'https://codenexlify.com/services.html?lang=en' },
+      { hreflang: 'x-default', href: 'https://codenexlify.com/services.html' }
+    ]);
+  });
+
+  test('should keep unknown pages out of the index', () => {
+    expect(seo.getMetadata('unknown', 'tr')).toMatchObject({ page: 'home', robots: 'noindex, follow' });
+  });
+
+  test('should write title, meta, link, Open Graph and Twitter tags', () => {
+    seo.start();
+
+    expect(document.title).toBe('Hizmetlerimiz - CodeNexlify');
+    expect(meta('name', 'description')).toHaveLength(1);
+    expect(meta('name', 'description')[0]).toMatch(/^Web geliştirme/);
+    expect(meta('property', 'og:image')).toEqual(['https://codenexlify.com/assets/logo.png']);
+    expect(meta('property', 'og:locale:alternate')).toEqual(['en_US']);
+    expect(meta('name', 'twitter:card')).toEqual(['summary_large_image']);
+    expect(document.head.querySelector('link[rel="canonical"]').getAttribute('href'))
+      .toBe('https://codenexlify.com/services.html');
+    expect(document.head.querySelectorAll('link[rel="alternate"][hreflang]')).toHaveLength(3);
+  });
+
+  test('should update metadata when the language changes', () => {
+    seo.start();
+    store.set('language', 'en');
+
+    expect(document.title).toBe('Our Services - CodeNexlify');
+    expect(document.documentElement.lang).toBe('en');
+    expect(meta('property', 'og:locale')).toEqual(['en_US']);
+    expect(document.head.querySelectorAll('link[rel="canonical"]')).toHaveLength(1);
+    expect(document.head.querySelector('link[rel="canonical"]').getAttribute('href'))
+      .toBe('https://codenexlify.com/services.html?lang=en');
+  });
+});
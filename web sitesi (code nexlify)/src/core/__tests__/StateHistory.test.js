@@ -0,0 +1,221 @@
+/**
+ * StateHistory Tests
+ * Test suite for undo/redo and time travel of store state
+ */
+
+import { StateHistory } from '../StateHistory.js';
+import { Store } from '../Store.js';
+import { EventBus } from '../EventBus.js';
+import { Logger } from '../../utils/Logger.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: Object.assign(jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  })), {
+    addAttachment: jest.fn()
+  })
+}));
+
+describe('StateHistory', () => {
+  let store;
+  let history;
+
+  beforeEach(() => {
+    store = new Store({ theme: 'light', language: 'tr', isOnline: true });
+    history = new StateHistory({
+      store,
+      config: { keys: ['theme', 'language'] }
+    }).start();
+  });
+
+  afterEach(() => {
+    history.stop();
+    EventBus.cleanup();
+  });
+
+  test('should record transitions of tracked keys', () => {
+    store.set('theme', 'dark');
+    store.set('isOnline', false);
+    store.set('language', 'en');
+
+    expect(history.getEntries().map(entry => entry.changes)).toEqual([
+      {},
+      { theme: 'dark' },
+      { language: 'en' }
+    ]);
+  });
+
+  test('should label entries with the event that caused them', () => {
+    EventBus.on('theme:set', ({ theme }) => store.set('theme', theme));
+
+    EventBus.emit('theme:set', { theme: 'dark' });
+    store.set('language', 'en');
+    history.label('Reset preferences', () => {
+      store.set('theme', 'light');
+      store.set('language', 'tr');
+    });
+
+    expect(history.getEntries().map(entry => entry.label)).toEqual([
+      'initial',
+      'theme:set',
+      'language changed',
+      'Reset preferences'
+    ]);
+  });
+
+  test('should label entries made by async listeners', async () => {
+    EventBus.on('language:load', async ({ language }) => {
+      await Promise.resolve();
+      store.set('language', language);
+    });
+
+    await EventBus.emitAsync('language:load', { language: 'en' });
+    store.set('theme', 'dark');
+
+    expect(history.getEntries().map(entry => entry.label)).toEqual([
+      'initial',
+      'language:load',
+      'theme changed'
+    ]);
+  });
+
+  test('should undo and redo', () => {
+    store.set('theme', 'dark');
+    store.set('language', 'en');
+
+    expect(history.undo()).toBe(true);
+    expect(store.getState()).toMatchObject({ theme: 'dark', language: 'tr' });
+
+    history.undo();
+    expect(store.select('theme')).toBe('light');
+    expect(history.undo()).toBe(false);
+
+    history.redo();
+    history.redo();
+    expect(store.getState()).toMatchObject({ theme: 'dark', language: 'en' });
+    expect(history.redo()).toBe(false);
+  });
+
+  test('should not restore untracked keys', () => {
+    store.set('theme', 'dark');
+    store.set('isOnline', false);
+
+    history.undo();
+
+    expect(store.select('isOnline')).toBe(false);
+  });
+
+  test('should jump to an entry and drop the redo branch on change', () => {
+    store.set('theme', 'dark');
+    store.set('theme', 'auto');
+    store.set('language', 'en');
+
+    history.jumpTo(1);
+    store.set('language', 'de');
+
+    expect(history.getEntries().map(entry => entry.changes)).toEqual([
+      {},
+      { theme: 'dark' },
+      { language: 'de' }
+    ]);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test('should limit history size', () => {
+    history.stop();
+    history = new StateHistory({ store, config: { maxEntries: 3 } }).start();
+
+    ['dark', 'auto', 'light', 'dark'].forEach(theme => store.set('theme', theme));
+
+    expect(history.getEntries()).toHaveLength(3);
+    expect(history.getEntries()[0].changes).toEqual({ theme: 'auto' });
+  });
+
+  test('should announce position changes', () => {
+    const mockCallback = jest.fn();
+    EventBus.on('history:changed', mockCallback);
+
+    store.set('theme', 'dark');
+    history.undo();
+
+    expect(mockCallback).toHaveBeenLastCalledWith({
+      index: 0,
+      length: 2,
+      label: 'initial',
+      canUndo: false,
+      canRedo: true
+    });
+  });
+
+  test('should let visitors undo and redo with shortcuts and requests', async () => {
+    const announce = jest.fn();
+    EventBus.on('announce', announce);
+    history.enableShortcuts();
+
+    store.set('theme', 'dark');
+    const press = (key, options = {}) => {
+      const event = new KeyboardEvent('keydown', { key, ctrlKey: true, cancelable: true, bubbles: true, ...options });
+      document.body.dispatchEvent(event);
+      return event;
+    };
+
+    expect(press('z').defaultPrevented).toBe(true);
+    expect(store.select('theme')).toBe('light');
+    expect(announce).toHaveBeenLastCalledWith('Son tercih değişikliği geri alındı');
+
+    // Nothing left to undo: the browser keeps the shortcut and nothing is announced
+    announce.mockClear();
+    expect(press('z').defaultPrevented).toBe(false);
+    expect(announce).not.toHaveBeenCalled();
+
+    press('z', { shiftKey: true });
+    expect(store.select('theme')).toBe('dark');
+
+    // Typing in a field keeps the browser's own undo
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+    expect(store.select('theme')).toBe('dark');
+    input.remove();
+
+    store.set('language', 'en');
+    await expect(EventBus.request('history:undo')).resolves.toBe(true);
+    expect(store.select('language')).toBe('tr');
+    await expect(EventBus.request('history:redo')).resolves.toBe(true);
+    expect(announce).toHaveBeenLastCalledWith('Preference change redone');
+
+    history.stop();
+    press('z');
+    expect(store.select('language')).toBe('en');
+    await expect(EventBus.request('history:undo')).rejects.toMatchObject({ code: 'NO_HANDLER' });
+  });
+
+  test('should export, load and replay a history', async () => {
+    store.set('theme', 'dark');
+    store.set('language', 'en');
+    const exported = JSON.parse(JSON.stringify(history.export()));
+
+    const otherStore = new Store({ theme: 'auto', language: 'tr' });
+    const replayed = new StateHistory({ store: otherStore, config: { keys: ['theme', 'language'] } });
+    const themes = [];
+    otherStore.subscribe('theme', theme => themes.push(theme));
+
+    await expect(replayed.replay(exported, { interval: 0 })).resolves.toBe(true);
+
+    expect(themes).toEqual(['light', 'dark']);
+    expect(otherStore.getState()).toMatchObject({ theme: 'dark', language: 'en' });
+  });
+
+  test('should attach the history to exported logs', () => {
+    history.attachToLogs();
+
+    const [name, provider] = Logger.addAttachment.mock.calls[0];
+    expect(name).toBe('stateHistory');
+    expect(provider().entries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * StorageService Tests
+ * Test suite for namespaced, versioned storage
+ */
+
+import { StorageService, MemoryBackend, CookieBackend, AppStorage } from '../StorageService.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+describe('StorageService', () => {
+  afterEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('Values', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = new StorageService({ config: { namespace: 'test' } });
+    });
+
+    test('should store JSON values under the namespace', () => {
+      storage.set('preferences', { theme: 'dark' });
+
+      expect(localStorage.getItem('test-preferences')).toBe('{"theme":"dark"}');
+      expect(storage.get('preferences')).toEqual({ theme: 'dark' });
+    });
+
+    test('should return defaults for missing values', () => {
+      expect(storage.get('missing')).toBeNull();
+      expect(storage.get('missing', 'tr')).toBe('tr');
+      expect(storage.has('missing')).toBe(false);
+    });
+
+    test('should read legacy plain-string values', () => {
+      localStorage.setItem('test-theme', 'dark');
+
+      expect(storage.get('theme')).toBe('dark');
+    });
+
+    test('should list and clear namespaced keys', () => {
+      localStorage.setItem('other-key', '1');
+      storage.set('theme', 'dark');
+      storage.set('language', 'en');
+
+      expect(storage.keys().sort()).toEqual(['language', 'theme']);
+
+      storage.clear();
+
+      expect(storage.keys()).toEqual([]);
+      expect(localStorage.getItem('other-key')).toBe('1');
+    });
+
+    test('should create child namespaces', () => {
+      const cache = storage.namespace('cache');
+      cache.set('posts', [1, 2]);
+
+      expect(localStorage.getItem('test-cache-posts')).toBe('[1,2]');
+      expect(cache.keys()).toEqual(['posts']);
+    });
+
+    test('should leave child namespaces out of the parent keys and clear', () => {
+      const cache = storage.namespace('cache', { version: 2 });
+      cache.set('posts', [1, 2]);
+      storage.set('theme', 'dark');
+      storage.set('cache', 'kept apart from the namespace');
+
+      expect(storage.keys().sort()).toEqual(['cache', 'theme']);
+
+      storage.clear();
+
+      expect(storage.keys()).toEqual([]);
+      expect(cache.get('posts')).toEqual([1, 2]);
+      expect(cache.getVersion()).toBe(2);
+    });
+  });
+
+  describe('Fallbacks', () => {
+    test('should keep values in memory when the quota is exceeded', () => {
+      const storage = new StorageService({ config: { namespace: 'test' } });
+      jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw Object.assign(new Error('Quota'), { name: 'QuotaExceededError' });
+      });
+
+      expect(storage.set('theme', 'dark')).toBe(false);
+      expect(storage.get('theme')).toBe('dark');
+      expect(storage.logger.warn).toHaveBeenCalledWith(expect.stringContaining('quota exceeded'));
+      expect(storage.getStats().inMemory).toEqual(['test-theme']);
+    });
+
+    test('should use memory when storage is unavailable', () => {
+      const backend = { name: 'broken', isAvailable: () => false };
+      const storage = new StorageService({ backend, config: { namespace: 'test' } });
+
+      storage.set('theme', 'dark');
+
+      expect(storage.backend).toBeInstanceOf(MemoryBackend);
+      expect(storage.isPersistent()).toBe(false);
+      expect(storage.get('theme')).toBe('dark');
+    });
+  });
+
+  describe('Backends', () => {
+    test('should use sessionStorage', () => {
+      const storage = new StorageService({ backend: 'session', config: { namespace: 'test' } });
+      storage.set('draft', 'hello');
+
+      expect(sessionStorage.getItem('test-draft')).toBe('"hello"');
+    });
+
+    test('should use cookies', () => {
+      const storage = new StorageService({ backend: new CookieBackend(), config: { namespace: 'test' } });
+      storage.set('consent', { analytics: true });
+
+      expect(document.cookie).toContain('test-consent=');
+      expect(storage.get('consent')).toEqual({ analytics: true });
+
+      storage.remove('consent');
+      expect(storage.get('consent')).toBeNull();
+    });
+
+    test('should migrate async backends once ready', async () => {
+      const backend = new MemoryBackend();
+      let resolveReady;
+      backend.ready = new Promise(resolve => { resolveReady = resolve; });
+      const migration = jest.fn();
+
+      const storage = new StorageService({ backend, config: { namespace: 'test' }, migrations: { 1: migration } });
+      expect(migration).not.toHaveBeenCalled();
+
+      resolveReady();
+      await storage.ready();
+
+      expect(migration).toHaveBeenCalledWith(storage);
+    });
+  });
+
+  describe('Migrations', () => {
+    test('should run pending migrations in order and record the version', () => {
+      localStorage.setItem('test-__version', '1');
+      const calls = [];
+
+      const storage = new StorageService({
+        config: { namespace: 'test', version: 3 },
+        migrations: {
+          1: () => calls.push(1),
+          2: () => calls.push(2),
+          3: () => calls.push(3)
+        }
+      });
+
+      expect(calls).toEqual([2, 3]);
+      expect(storage.getVersion()).toBe(3);
+      expect(storage.keys()).toEqual([]);
+    });
+
+    test('should stop at a failing migration', () => {
+      const storage = new StorageService({
+        config: { namespace: 'test', version: 2 },
+        migrations: {
+          2: () => {
+            throw new Error('Bad data');
+          }
+        }
+      });
+
+      expect(storage.getVersion()).toBe(1);
+      expect(storage.logger.error).toHaveBeenCalled();
+    });
+
+    test('should fold legacy preferences into theme and language', () => {
+      localStorage.setItem('codenexlify-theme', 'dark');
+      localStorage.setItem('codenexlify-preferences', JSON.stringify({ theme: 'light', language: 'en' }));
+
+      const storage = new StorageService({
+        config: { namespace: 'codenexlify', version: 1 },
+        migrations: AppStorage.migrations
+      });
+
+      expect(localStorage.getItem('codenexlify-theme')).toBe('"dark"');
+      expect(storage.get('language')).toBe('en');
+      expect(storage.has('preferences')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Store Tests
+ * Test suite for the reactive state store
+ */
+
+import { Store } from '../Store.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+describe('Store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store({
+      theme: 'light',
+      language: 'tr',
+      user: { name: 'Ada', settings: { compact: false } }
+    });
+  });
+
+  describe('Selectors', () => {
+    test('should select values by path', () => {
+      expect(store.select('theme')).toBe('light');
+      expect(store.select('user.settings.compact')).toBe(false);
+      expect(store.select(['user', 'name'])).toBe('Ada');
+      expect(store.select('user.missing.deep')).toBeUndefined();
+    });
+
+    test('should select values with a function', () => {
+      expect(store.select(state => `${state.theme}-${state.language}`)).toBe('light-tr');
+    });
+  });
+
+  describe('Snapshots', () => {
+    test('should return frozen snapshots', () => {
+      const state = store.getState();
+
+      expect(Object.isFrozen(state)).toBe(true);
+      expect(Object.isFrozen(state.user.settings)).toBe(true);
+    });
+
+    test('should keep old snapshots unchanged', () => {
+      const before = store.getState();
+
+      store.set('user.settings.compact', true);
+
+      expect(before.user.settings.compact).toBe(false);
+      expect(store.select('user.settings.compact')).toBe(true);
+    });
+
+    test('should share unchanged branches', () => {
+      const before = store.getState();
+
+      store.set('theme', 'dark');
+
+      expect(store.getState()).not.toBe(before);
+      expect(store.getState().user).toBe(before.user);
+    });
+
+    test('should ignore writes that change nothing', () => {
+      const before = store.getState();
+
+      expect(store.set('theme', 'light')).toBe(false);
+      expect(store.merge({ language: 'tr' })).toBe(false);
+      expect(store.getState()).toBe(before);
+    });
+  });
+
+  describe('Subscriptions', () => {
+    test('should only notify when the selected value changes', () => {
+      const callback = jest.fn();
+      store.subscribe('theme', callback);
+
+      store.set('language', 'en');
+      store.set('theme', 'dark');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith('dark', 'light', store.getState());
+    });
+
+    test('should support immediate notification', () => {
+      const callback = jest.fn();
+      store.subscribe('language', callback, { immediate: true });
+
+      expect(callback).toHaveBeenCalledWith('tr', undefined, store.getState());
+    });
+
+    test('should support custom equality', () => {
+      const callback = jest.fn();
+      store.subscribe(
+        state => ({ theme: state.theme }),
+        callback,
+        { equals: (a, b) => a.theme === b.theme }
+      );
+
+      store.set('language', 'en');
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('should unsubscribe', () => {
+      const callback = jest.fn();
+      const unsubscribe = store.subscribe('theme', callback);
+
+      unsubscribe();
+      store.set('theme', 'dark');
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('should isolate subscriber errors', () => {
+      const callback = jest.fn();
+      store.subscribe('theme', () => {
+        throw new Error('Subscriber failed');
+      });
+      store.subscribe('theme', callback);
+
+      store.set('theme', 'dark');
+
+      expect(callback).toHaveBeenCalledWith('dark', 'light', expect.any(Object));
+      expect(store.logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('Batching', () => {
+    test('should notify once after a batch', () => {
+      const callback = jest.fn();
+      store.subscribe(state => state, callback);
+
+      store.batch(() => {
+        store.set('theme', 'dark');
+        store.set('language', 'en');
+        store.batch(() => store.merge({ theme: 'auto' }));
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0]).toMatchObject({ theme: 'auto', language: 'en' });
+    });
+
+    test('should skip subscribers whose value returned to the original', () => {
+      const callback = jest.fn();
+      store.subscribe('theme', callback);
+
+      store.batch(() => {
+        store.set('theme', 'dark');
+        store.set('theme', 'light');
+      });
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('should flush after async batches', async () => {
+      const callback = jest.fn();
+      store.subscribe('theme', callback);
+
+      const pending = store.batch(async () => {
+        store.set('theme', 'dark');
+        await Promise.resolve();
+        expect(callback).not.toHaveBeenCalled();
+      });
+
+      await pending;
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * StructuredData Tests
+ * Test suite for the JSON-LD builder and its schema.org validator
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { StructuredData } from '../StructuredData.js';
+import { SeoManager } from '../SeoManager.js';
+import { Store } from '../Store.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+const PAGE_FILES = {
+  home: 'index.html',
+  about: 'about.html',
+  services: 'services.html',
+  contact: 'contact.html',
+  blog: 'blog.html'
+};
+
+// Parse the real page so the builder reads the content visitors see
+const loadPage = (page) => new DOMParser().parseFromString(
+  fs.readFileSync(path.resolve(__dirname, '../../..', PAGE_FILES[page]), 'utf8'),
+  'text/html'
+);
+
+const nodesOfType = (data, type) => data['@graph'].filter(node => node['@type'] === type);
+
+describe('StructuredData', () => {
+  let seo;
+
+  const createBuilder = (page) => new StructuredData({ seo, root: loadPage(page) });
+
+  beforeEach(() => {
+    seo = new SeoManager({ store: new Store({ currentPage: 'home', language: 'tr' }) });
+    document.head.innerHTML = '';
+  });
+
+  describe('Validation', () => {
+    test.each(Object.keys(PAGE_FILES))('should emit valid structured data for the %s page', (page) => {
+      const builder = createBuilder(page);
+
+      ['tr', 'en'].forEach(language => {
+        expect(builder.validate(builder.build(page, language))).toEqual([]);
+      });
+    });
+
+    test('should report missing required properties with their path', () => {
+      const builder = createBuilder('home');
+      const errors = builder.validate({
+        '@graph': [
+          { '@type': 'BlogPosting', 'headline': 'Post', 'author': { '@type': 'Person' } }
+        ]
+      });
+
+      expect(errors).toEqual([
+        "$.@graph[0] (BlogPosting): missing 'datePublished'",
+        "$.@graph[0].author (Person): missing 'name'"
+      ]);
+    });
+  });
+
+  describe('Page schemas', () => {
+    test('should describe the organization from configuration', () => {
+      const [organization] = nodesOfType(createBuilder('home').build('home', 'tr'), 'Organization');
+
+      expect(organization).toMatchObject({
+        url: 'https://codenexlify.com/',
+        logo: 'https://codenexlify.com/assets/logo.png',
+        address: { '@type': 'PostalAddress', addressCountry: 'TR' }
+      });
+      expect(organization.contactPoint.map(point => point.email)).toEqual([
+        'info@codenexlify.com',
+        'support@codenexlify.com'
+      ]);
+    });
+
+    test('should build localized breadcrumbs', () => {
+      const [breadcrumbs] = nodesOfType(createBuilder('services').build('services', 'en'), 'BreadcrumbList');
+
+      expect(breadcrumbs.itemListElement).toEqual([
+        { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://codenexlify.com/?lang=en' },
+        { '@type': 'ListItem', position: 2, name: 'Services', item: 'https://codenexlify.com/services.html?lang=en' }
+      ]);
+    });
+
+    test('should emit a Service per service section', () => {
+      const services = nodesOfType(createBuilder('services').build('services', 'tr'), 'Service');
+
+      expect(services).toHaveLength(5);
+      expect(services[0]).toMatchObject({
+        name: 'Web Siteleri ve Uygulamaları',
+        provider: { '@id': 'https://codenexlify.com/#organization' }
+      });
+      expect(services[0].hasOfferCatalog.itemListElement.length).toBeGreaterThan(0);
+    });
+
+    test('should emit the blog with its posts', () => {
+      const [blog] = nodesOfType(createBuilder('blog').build('blog', 'tr'), 'Blog');
+
+      expect(blog.blogPost).toHaveLength(6);
+      expect(blog.blogPost[0]).toMatchObject({
+        '@type': 'BlogPosting',
+        headline: 'Yapay Zeka ve Yazılım Geliştirmede Geleceğin Araçları',
+        author: { '@type': 'Person', name: 'Elif Kaya' },
+        datePublished: '2024-01-15'
+      });
+      expect(blog.blogPost[5].datePublished).toBe('2023-12-28');
+    });
+
+    test('should emit the about page with the team', () => {
+      const [aboutPage] = nodesOfType(createBuilder('about').build('about', 'tr'), 'AboutPage');
+
+      expect(aboutPage.mainEntity).toHaveLength(4);
+      expect(aboutPage.mainEntity[0]).toMatchObject({ '@type': 'Person', name: 'Ahmet Yılmaz', jobTitle: 'Kurucu & CEO' });
+    });
+
+    test('should emit the contact page', () => {
+      const data = createBuilder('contact').build('contact', 'en');
+
+      expect(nodesOfType(data, 'ContactPage')[0]).toMatchObject({
+        name: 'Contact - CodeNexlify',
+        url: 'https://codenexlify.com/contact.html?lang=en'
+      });
+    });
+  });
+
+  test('should keep a single JSON-LD script up to date', () => {
+    const builder = new StructuredData({ seo, root: loadPage('contact') }).start();
+
+    seo.store.set('currentPage', 'contact');
+
+    const scripts = document.head.querySelectorAll('script[type="application/ld+json"]');
+    expect(scripts).toHaveLength(1);
+    expect(nodesOfType(JSON.parse(scripts[0].textContent), 'ContactPage')).toHaveLength(1);
+
+    builder.stop();
+    expect(document.head.querySelector('script[type="application/ld+json"]')).toBeNull();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * WebVitals Tests
+ * Test suite for Core Web Vitals measurement and reporting
+ */
+
+import { WebVitals } from '../WebVitals.js';
+import { MockCollector } from '../BeaconReporter.js';
+import { EventBus } from '../EventBus.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+// Minimal PerformanceObserver that lets tests deliver entries by type
+class FakePerformanceObserver {
+  static supportedEntryTypes = ['largest-contentful-paint', 'layout-shift', 'event', 'first-input'];
+  static instances = [];
+
+  static deliver(type, entries) {
+    FakePerformanceObserver.instances
+      .filter(observer => observer.type === type)
+      .forEach(observer => observer.callback({ getEntries: () => entries }));
+  }
+
+  constructor(callback) {
+    this.callback = callback;
+    FakePerformanceObserver.instances.push(this);
+  }
+
+  observe({ type }) {
+    this.type = type;
+  }
+
+  disconnect() {
+    FakePerformanceObserver.instances = FakePerformanceObserver.instances.filter(observer => observer !== this);
+  }
+}
+
+const setVisibility = (state) => {
+  Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+describe('WebVitals', () => {
+  let collector;
+  let vitals;
+  let reported;
+
+  beforeEach(() => {
+    window.PerformanceObserver = FakePerformanceObserver;
+    collector = new MockCollector();
+    reported = [];
+    EventBus.on('performance:vital', metric => reported.push(metric));
+    vitals = new WebVitals({ transport: collector, config: { release: '2.0.0' } }).start();
+  });
+
+  afterEach(() => {
+    vitals.stop();
+    EventBus.cleanup();
+    delete window.PerformanceObserver;
+    setVisibility('visible');
+  });
+
+  test('should report LCP with its element on first input', () => {
+    document.body.innerHTML = '<main><section class="hero"><h1 class="hero-title">Hi</h1></section></main>';
+    const element = document.querySelector('h1');
+
+    FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 900.4, element, size: 100 }]);
+    FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 1830.6, element, size: 500 }]);
+    expect(reported).toHaveLength(0);
+
+    window.dispatchEvent(new Event('pointerdown'));
+    FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 5000, element, size: 900 }]);
+
+    expect(reported).toHaveLength(1);
+    expect(reported[0]).toMatchObject({
+      name: 'LCP',
+      value: 1831,
+      rating: 'good',
+      attribution: { element: 'main>section.hero>h1.hero-title', size: 500 }
+    });
+  });
+
+  test('should report the largest layout shift session when hidden', () => {
+    const node = document.createElement('div');
+    node.id = 'banner';
+
+    FakePerformanceObserver.deliver('layout-shift', [
+      { startTime: 100, value: 0.05, sources: [{ node }] },
+      { startTime: 600, value: 0.1, sources: [{ node }] },
+      { startTime: 700, value: 0.3, hadRecentInput: true },
+      { startTime: 3000, value: 0.02, sources: [] }
+    ]);
+
+    setVisibility('hidden');
+
+    const cls = reported.find(metric => metric.name === 'CLS');
+    expect(cls).toMatchObject({ value: 0.15, rating: 'needs-improvement', attribution: { element: 'div#banner', shiftValue: 0.1 } });
+  });
+
+  test('should report INP from the longest interaction', () => {
+    const button = document.createElement('button');
+    button.className = 'cta';
+
+    FakePerformanceObserver.deliver('event', [
+      { interactionId: 1, name: 'pointerdown', duration: 80, startTime: 10, processingStart: 20, processingEnd: 60, target: button },
+      { interactionId: 1, name: 'click', duration: 240, startTime: 10, processingStart: 30, processingEnd: 200, target: button },
+      { interactionId: 2, name: 'keydown', duration: 120, startTime: 500, processingStart: 505, processingEnd: 600, target: button },
+      { interactionId: 0, name: 'mousemove', duration: 900, startTime: 700, processingStart: 700, processingEnd: 700 }
+    ]);
+
+    setVisibility('hidden');
+
+    const inp = reported.find(metric => metric.name === 'INP');
+    expect(inp).toMatchObject({
+      value: 240,
+      rating: 'needs-improvement',
+      attribution: { element: 'button.cta', eventType: 'click', inputDelay: 20, processingTime: 170, presentationDelay: 50 }
+    });
+  });
+
+  test('should only re-report metrics that changed', () => {
+    FakePerformanceObserver.deliver('event', [
+      { interactionId: 1, name: 'click', duration: 100, startTime: 0, processingStart: 0, processingEnd: 50 }
+    ]);
+    setVisibility('hidden');
+    setVisibility('visible');
+    setVisibility('hidden');
+
+    expect(reported.filter(metric => metric.name === 'INP')).toHaveLength(1);
+
+    FakePerformanceObserver.deliver('event', [
+      { interactionId: 2, name: 'click', duration: 300, startTime: 0, processingStart: 0, processingEnd: 50 }
+    ]);
+    setVisibility('hidden');
+
+    const inp = reported.filter(metric => metric.name === 'INP');
+    expect(inp).toHaveLength(2);
+    expect(inp[1]).toMatchObject({ value: 300, delta: 200, id: inp[0].id });
+  });
+
+  test('should batch metrics to the transport', () => {
+    FakePerformanceObserver.deliver('largest-contentful-paint', [{ startTime: 4200, size: 1 }]);
+    setVisibility('hidden');
+
+    expect(collector.batches[0]).toMatchObject({ type: 'vitals', release: '2.0.0' });
+    expect(collector.items.map(metric => metric.name).sort()).toEqual(['CLS', 'LCP']);
+    expect(collector.items.find(metric => metric.name === 'LCP').rating).toBe('poor');
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Application Services
+ * Services the component registry injects into components
+ *
+ * Components ask for them by name with `static inject`, e.g.
+ * static inject = [...BaseComponent.inject, 't'];
+ */
+
+import { EventBus } from './EventBus.js';
+import { AppStore } from './Store.js';
+import { AppStorage } from './StorageService.js';
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * Register the application services on a container
+ */
+export function registerAppServices(container, { app, registry }) {
+  // A logger per component, named after its registry entry (see ComponentRegistry.injectServices)
+  container.register('logger', (services, { name }) => new Logger(name || 'App'), { lifetime: 'transient' });
+
+  container.value('eventBus', EventBus);
+  container.value('store', AppStore);
+  container.value('storage', app ? app.storage : AppStorage);
+
+  // Runtime configuration loaded by the core app (PWAManager reads its `pwa` section)
+  container.register('config', () => (app ? app.getConfig() : {}));
+
+  // Translations from I18nManager; keys are returned as-is until it is running
+  container.register('t', () => (key, params) => {
+    const i18n = registry.instances.get('i18n');
+    return i18n ? i18n.t(key, params) : key;
+  });
+
+  return container;
+}
@@ -7,13 +7,16 @@
 import { App } from './core/App.js';
 import { ComponentRegistry } from './core/ComponentRegistry.js';
 import { EventBus } from './core/EventBus.js';
+import { CrossTabBridge } from './core/CrossTabBridge.js';
+import { StateHistory } from './core/StateHistory.js';
+import { EventSchemas } from './core/EventCatalog.js';
+import { registerAppServices } from './core/services.js';
 import { Logger } from './utils/Logger.js';
 
 // Import components
 import { ThemeManager } from './components/ThemeManager.js';
 import { I18nManager } from './components/I18nManager.js';
 import { NavigationManager } from './components/NavigationManager.js';
-import { PWAManager } from './components/PWAManager.js';
 import { AnalyticsManager } from './components/AnalyticsManager.js';
 
 // Import styles
@@ -28,6 +31,8 @@ const logger = new Logger('CodeNexlify');
 class CodeNexlifyApp {
   constructor() {
     this.app = null;
+    this.crossTabBridge = null;
+    this.history = null;
     this.components = new Map();
     this.isInitialized = false;
   }
@@ -39,8 +44,31 @@ class CodeNexlifyApp {
     try {
       logger.info('🚀 Initializing CodeNexlify Application...');
 
-      // Initialize core app
+      // Deep links reach us through their page document (see public/404.html)
+      NavigationManager.restoreDeepLink();
+
+      // Warn about unknown events and malformed payloads during development
+      if (process.env.NODE_ENV === 'development') {
+        EventSchemas.attach(EventBus);
+
+        // Devtools access: CodeNexlifyEvents.startTracing() / exportTrace()
+        window.CodeNexlifyEvents = EventBus;
+      }
+
+      // Initialize core app: init() loads the runtime config and feature flags
+      // (config:loaded) before any component starts
       this.app = new App();
+      await this.app.init();
+      
+      // Keep preferences in sync across open tabs
+      this.crossTabBridge = new CrossTabBridge({
+        config: {
+          events: ['theme:change', 'language:change', 'app:state:change']
+        }
+      }).start();
+      
+      // The install prompt can fire before the lazily loaded PWA manager starts
+      this.captureInstallPrompt();
       
       // Register core components
       await this.registerComponents();
@@ -48,6 +76,15 @@ class CodeNexlifyApp {
       // Initialize components
       await this.initializeComponents();
       
+      // Swap edited components in place under `npm run dev`
+      this.setupHotReload();
+      
+      // Let visitors undo preference changes made after startup (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z);
+      // attached to exported logs for QA
+      this.history = new StateHistory({
+        config: { keys: ['theme', 'language', 'customThemes'] }
+      }).start().enableShortcuts().attachToLogs();
+      
       // Setup event listeners
       this.setupEventListeners();
       
@@ -56,8 +93,8 @@ class CodeNexlifyApp {
       
       logger.success('✅ CodeNexlify Application initialized successfully!');
       
-      // Dispatch ready event
-      EventBus.emit('app:ready');
+      // Dispatch ready event (sticky for late subscribers)
+      EventBus.emitSticky('app:ready');
       
     } catch (error) {
       logger.error('❌ Failed to initialize application:', error);
@@ -71,37 +108,77 @@ class CodeNexlifyApp {
   async registerComponents() {
     const componentRegistry = ComponentRegistry.getInstance();
     
-    // Core components
+    // Services injected into components (logger, EventBus, storage, t, config)
+    registerAppServices(componentRegistry.container, { app: this.app, registry: componentRegistry });
+    
+    // Core components (dependencies are declared on the classes, e.g. pwa on i18n)
     componentRegistry.register('theme', ThemeManager);
     componentRegistry.register('i18n', I18nManager);
     componentRegistry.register('navigation', NavigationManager);
-    componentRegistry.register('pwa', PWAManager);
     componentRegistry.register('analytics', AnalyticsManager);
     
+    // Loaded from their own chunks when the trigger fires (see LoadTriggers.js)
+    componentRegistry.register('pwa', () => import('./components/PWAManager.js'), { when: 'idle' });
+    
     logger.info('📦 Components registered successfully');
   }
 
+  /**
+   * Keep beforeinstallprompt for PWAManager, which may load after it fired
+   */
+  captureInstallPrompt() {
+    EventBus.sticky('pwa:install:prompt');
+    
+    window.addEventListener('beforeinstallprompt', (event) => {
+      event.preventDefault();
+      EventBus.emit('pwa:install:prompt', { event });
+    });
+  }
+
   /**
    * Initialize all registered components
    */
   async initializeComponents() {
     const componentRegistry = ComponentRegistry.getInstance();
-    const components = componentRegistry.getAll();
     
-    for (const [name, ComponentClass] of components) {
-      try {
-        logger.info(`🔧 Initializing ${name} component...`);
-        
-        const instance = new ComponentClass();
-        await instance.init();
-        
-        this.components.set(name, instance);
+    // The registry starts dependencies first and independent components in parallel
+    const results = await componentRegistry.initializeAll();
+    
+    results
+      .filter(result => result.success)
+      .forEach(({ name }) => this.components.set(name, componentRegistry.getInstance(name)));
+    
+    logger.info('⏱️ Component startup:', componentRegistry.getStartupGraph());
+  }
+
+  /**
+   * Accept Vite HMR updates for component modules
+   * The registry replaces the running instance instead of reloading the page
+   */
+  setupHotReload() {
+    if (!import.meta.hot) return;
+    
+    const componentRegistry = ComponentRegistry.getInstance();
+    
+    // Paths must be literals for Vite; the order matches the names below
+    import.meta.hot.accept([
+      './components/ThemeManager.js',
+      './components/I18nManager.js',
+      './components/NavigationManager.js',
+      './components/PWAManager.js'
+    ], async (modules) => {
+      const names = ['theme', 'i18n', 'navigation', 'pwa'];
+      
+      // Modules that did not change are undefined
+      for (const [index, module] of modules.entries()) {
+        if (!module) continue;
         
-        logger.success(`✅ ${name} component initialized`);
-      } catch (error) {
-        logger.error(`❌ Failed to initialize ${name} component:`, error);
+        const instance = await componentRegistry.hotReplace(names[index], module);
+        if (instance) {
+          this.components.set(names[index], instance);
+        }
       }
-    }
+    });
   }
 
   /**
@@ -127,15 +204,7 @@ class CodeNexlifyApp {
       this.onBeforeUnload();
     });
 
-    // Error handling
-    window.addEventListener('error', (event) => {
-      this.handleGlobalError(event);
-    });
-
-    // Unhandled promise rejections
-    window.addEventListener('unhandledrejection', (event) => {
-      this.handleUnhandledRejection(event);
-    });
+    // Window errors and rejections are handled by App.handleError
   }
 
   /**
@@ -145,8 +214,7 @@ class CodeNexlifyApp {
     logger.info('📄 DOM Content Loaded');
     EventBus.emit('dom:ready');
     
-    // Initialize page-specific functionality
-    this.initializePageSpecificFeatures();
+    // Page-specific modules are mounted by NavigationManager for each route
   }
 
   /**
@@ -155,9 +223,6 @@ class CodeNexlifyApp {
   onWindowLoad() {
     logger.info('🌐 Window Loaded');
     EventBus.emit('window:loaded');
-    
-    // Start performance monitoring
-    this.startPerformanceMonitoring();
   }
 
   /**
@@ -171,135 +236,14 @@ class CodeNexlifyApp {
     this.cleanup();
   }
 
-  /**
-   * Initialize page-specific features based on current page
-   */
-  initializePageSpecificFeatures() {
-    const currentPage = this.getCurrentPage();
-    logger.info(`📄 Current page: ${currentPage}`);
-    
-    switch (currentPage) {
-      case 'home':
-        this.initializeHomePage();
-        break;
-      case 'about':
-        this.initializeAboutPage();
-        break;
-      case 'services':
-        this.initializeServicesPage();
-        break;
-      case 'contact':
-        this.initializeContactPage();
-        break;
-      case 'blog':
-        this.initializeBlogPage();
-        break;
-      default:
-        logger.warn(`Unknown page: ${currentPage}`);
-    }
-  }
-
-  /**
-   * Get current page identifier
-   */
-  getCurrentPage() {
-    const path = window.location.pathname;
-    const filename = path.split('/').pop() || 'index.html';
-    
-    if (filename === 'index.html' || filename === '') return 'home';
-    return filename.replace('.html', '');
-  }
-
-  /**
-   * Initialize home page specific features
-   */
-  initializeHomePage() {
-    logger.info('🏠 Initializing home page features...');
-    // Home page specific initialization will be added here
-  }
-
-  /**
-   * Initialize about page specific features
-   */
-  initializeAboutPage() {
-    logger.info('ℹ️ Initializing about page features...');
-    // About page specific initialization will be added here
-  }
-
-  /**
-   * Initialize services page specific features
-   */
-  initializeServicesPage() {
-    logger.info('🛠️ Initializing services page features...');
-    // Services page specific initialization will be added here
-  }
-
-  /**
-   * Initialize contact page specific features
-   */
-  initializeContactPage() {
-    logger.info('📞 Initializing contact page features...');
-    // Contact page specific initialization will be added here
-  }
-
-  /**
-   * Initialize blog page specific features
-   */
-  initializeBlogPage() {
-    logger.info('📝 Initializing blog page features...');
-    // Blog page specific initialization will be added here
-  }
-
-  /**
-   * Start performance monitoring
-   */
-  startPerformanceMonitoring() {
-    if ('performance' in window) {
-      const perfData = performance.getEntriesByType('navigation')[0];
-      logger.info('⚡ Performance metrics:', {
-        loadTime: perfData.loadEventEnd - perfData.loadEventStart,
-        domContentLoaded: perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart,
-        firstPaint: performance.getEntriesByName('first-paint')[0]?.startTime || 0
-      });
-    }
-  }
-
-  /**
-   * Handle global errors
-   */
-  handleGlobalError(event) {
-    logger.error('🚨 Global error:', {
-      message: event.message,
-      filename: event.filename,
-      lineno: event.lineno,
-      colno: event.colno,
-      error: event.error
-    });
-    
-    // Send error to analytics if available
-    const analytics = this.components.get('analytics');
-    if (analytics) {
-      analytics.trackError(event.error);
-    }
-  }
-
-  /**
-   * Handle unhandled promise rejections
-   */
-  handleUnhandledRejection(event) {
-    logger.error('🚨 Unhandled promise rejection:', event.reason);
-    
-    // Send error to analytics if available
-    const analytics = this.components.get('analytics');
-    if (analytics) {
-      analytics.trackError(event.reason);
-    }
-  }
-
   /**
    * Handle initialization errors
    */
   handleInitializationError(error) {
+    if (this.app) {
+      this.app.handleError(error, { type: 'initialization' });
+    }
+    
     // Show user-friendly error message
     const errorMessage = document.createElement('div');
     errorMessage.className = 'app-error';
@@ -318,21 +262,27 @@ class CodeNexlifyApp {
    * Cleanup resources
    */
   cleanup() {
-    // Cleanup all components
-    for (const [name, component] of this.components) {
-      if (component.cleanup && typeof component.cleanup === 'function') {
-        try {
-          component.cleanup();
-          logger.info(`🧹 Cleaned up ${name} component`);
-        } catch (error) {
-          logger.error(`❌ Error cleaning up ${name} component:`, error);
-        }
-      }
-    }
+    // Cleanup all components, dependents before their dependencies
+    ComponentRegistry.getInstance().cleanupAll();
     
     // Clear components map
     this.components.clear();
     
+    // Stop cross-tab forwarding
+    if (this.crossTabBridge) {
+      this.crossTabBridge.stop();
+    }
+    
+    // Stop recording state history
+    if (this.history) {
+      this.history.stop();
+    }
+    
+    // Core app cleanup flushes queued error reports
+    if (this.app) {
+      this.app.cleanup();
+    }
+    
     // Remove event listeners
     EventBus.removeAllListeners();
     
@@ -343,7 +293,22 @@ class CodeNexlifyApp {
    * Get component instance
    */
   getComponent(name) {
-    return this.components.get(name);
+    // Lazy components are only known to the registry once they have started
+    return this.components.get(name) || ComponentRegistry.getInstance().getAllInstances().get(name) || null;
+  }
+
+  /**
+   * Get component startup order and timings
+   */
+  getStartupGraph() {
+    return ComponentRegistry.getInstance().getStartupGraph();
+  }
+
+  /**
+   * Get component health (failing and degraded components)
+   */
+  getHealthReport() {
+    return ComponentRegistry.getInstance().getHealthReport();
   }
 
   /**
@@ -0,0 +1,51 @@
+/**
+ * Blog Page
+ * Gives every post a slug and a /blog/:slug link, and opens the post
+ * named in the URL
+ */
+
+import { PageModule } from './PageModule.js';
+import { slugify } from '../utils/slugify.js';
+
+export default class BlogPage extends PageModule {
+  static displayName = 'BlogPage';
+
+  async onMount() {
+    this.posts = Array.from(this.root.querySelectorAll('article.blog-card')).map(article => {
+      const slug = slugify(article.querySelector('h3') ? article.querySelector('h3').textContent : '');
+      article.id = slug;
+
+      const link = article.querySelector('.read-more');
+      if (link && this.router) {
+        link.setAttribute('href', this.router.resolve('blog-post', { slug }));
+      }
+
+      return { slug, article };
+    });
+
+    if (this.params.slug) {
+      this.openPost(this.params.slug);
+    }
+  }
+
+  async onUnmount() {
+    this.posts.forEach(({ article }) => article.classList.remove('is-active'));
+  }
+
+  /**
+   * Highlight a post and bring it into view
+   */
+  openPost(slug) {
+    const post = this.posts.find(entry => entry.slug === slug);
+
+    if (!post) {
+      this.logger.warn(`⚠️ Unknown blog post: ${slug}`);
+      return false;
+    }
+
+    this.breadcrumb = post.article.querySelector('h3').textContent.trim();
+    post.article.classList.add('is-active');
+    post.article.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Contact Page
+ * Validates and sends the contact form, and asks before leaving the page
+ * with an unsent message
+ */
+
+import { PageModule } from './PageModule.js';
+import { EventBus } from '../core/EventBus.js';
+import { AppStore } from '../core/Store.js';
+
+const MESSAGES = {
+  tr: {
+    sending: 'Mesajınız gönderiliyor...',
+    sent: 'Mesajınız başarıyla gönderildi! 🎉',
+    failed: 'Mesajınız gönderilemedi. Lütfen tekrar deneyin.',
+    leave: 'Gönderilmemiş mesajınız silinecek. Sayfadan ayrılmak istiyor musunuz?'
+  },
+  en: {
+    sending: 'Sending your message...',
+    sent: 'Your message has been sent! 🎉',
+    failed: 'Your message could not be sent. Please try again.',
+    leave: 'Your unsent message will be lost. Do you want to leave this page?'
+  }
+};
+
+export default class ContactPage extends PageModule {
+  static displayName = 'ContactPage';
+
+  constructor(context = {}) {
+    super(context);
+
+    this.config = {
+      // Form submissions are POSTed here as JSON; without one they are only announced
+      endpoint: null,
+      ...context.config
+    };
+
+    this.form = null;
+    this.status = null;
+    this.dirty = false;
+  }
+
+  async onMount() {
+    this.form = this.root.querySelector('#contact-form');
+    if (!this.form) {
+      this.logger.warn('⚠️ Contact form not found');
+      return;
+    }
+
+    this.status = document.createElement('p');
+    this.status.className = 'form-status';
+    this.status.setAttribute('role', 'status');
+    this.form.appendChild(this.status);
+
+    this.listen(this.form, 'input', this.handleInput);
+    this.listen(this.form, 'submit', this.handleSubmit);
+  }
+
+  async onUnmount() {
+    if (this.status) {
+      this.status.remove();
+      this.status = null;
+    }
+  }
+
+  /**
+   * Keep visitors from losing a message they have not sent
+   */
+  beforeLeave() {
+    return !this.dirty || window.confirm(this.message('leave'));
+  }
+
+  /**
+   * Track unsent input
+   */
+  handleInput = () => {
+    this.dirty = true;
+  };
+
+  /**
+   * Validate and send the form
+   */
+  handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!this.form.checkValidity()) {
+      this.form.reportValidity();
+      return;
+    }
+
+    const data = Object.fromEntries(new FormData(this.form).entries());
+    this.setStatus('sending');
+
+    try {
+      await this.send(data);
+
+      this.form.reset();
+      this.dirty = false;
+      this.setStatus('sent');
+
+      // No personal data on the bus, only what the visitor asked about
+      EventBus.emit('contact:submitted', {
+        service: data.service || undefined,
+        budget: data.budget || undefined
+      });
+    } catch (error) {
+      this.logger.error('❌ Failed to send contact form:', error);
+      this.setStatus('failed');
+    }
+  };
+
+  /**
+   * POST the form to the configured endpoint
+   */
+  async send(data) {
+    if (!this.config.endpoint) {
+      this.logger.debug('📭 No contact endpoint configured, message not sent');
+      return;
+    }
+
+    const response = await window.fetch(this.config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Contact endpoint responded with ${response.status}`);
+    }
+  }
+
+  /**
+   * Show and announce the form status
+   */
+  setStatus(key) {
+    const message = this.message(key);
+
+    if (this.status) {
+      this.status.textContent = message;
+      this.status.dataset.state = key;
+    }
+
+    if (key !== 'sending') {
+      EventBus.emit('announce', message);
+    }
+  }
+
+  /**
+   * Message in the current language
+   */
+  message(key) {
+    const messages = MESSAGES[AppStore.select('language')] || MESSAGES.tr;
+    return messages[key];
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Page Module
+ * Base class for code that only runs on one page
+ *
+ * Page modules are imported lazily by the router (see routes.js), mounted
+ * once their page content is in place and unmounted before the next page
+ * replaces it. DOM listeners added with listen() are removed on unmount.
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+export class PageModule {
+  // Name for logs; every page sets its own, class names do not survive minification
+  static displayName = 'PageModule';
+
+  constructor(context = {}) {
+    this.name = this.constructor.displayName;
+    this.logger = new Logger(this.name);
+
+    // Route the page was opened with
+    this.route = context.route || null;
+    this.params = context.params || {};
+    this.query = context.query || new URLSearchParams();
+
+    // Page content and the router, for building links to other routes
+    this.root = context.root || document;
+    this.router = context.router || null;
+
+    // Label of the current route in breadcrumbs (e.g. the open blog post)
+    this.breadcrumb = null;
+
+    this.listeners = [];
+    this.mounted = false;
+  }
+
+  /**
+   * Mount the page module
+   */
+  async mount() {
+    if (this.mounted) return this;
+
+    await this.onMount();
+    this.mounted = true;
+
+    this.logger.info(`📄 Page mounted: ${this.route ? this.route.name : this.name}`);
+    return this;
+  }
+
+  /**
+   * Unmount the page module
+   */
+  async unmount() {
+    if (!this.mounted) return;
+
+    try {
+      await this.onUnmount();
+    } finally {
+      this.listeners.forEach(({ element, type, handler, options }) => {
+        element.removeEventListener(type, handler, options);
+      });
+      this.listeners = [];
+      this.mounted = false;
+    }
+  }
+
+  /**
+   * Page-specific setup (override in subclasses)
+   */
+  async onMount() {
+    // Override in subclasses
+  }
+
+  /**
+   * Page-specific teardown (override in subclasses)
+   */
+  async onUnmount() {
+    // Override in subclasses
+  }
+
+  /**
+   * Navigation guard: return false to stay on the page
+   */
+  beforeLeave() {
+    return true;
+  }
+
+  /**
+   * Add a DOM listener that is removed on unmount
+   */
+  listen(element, type, handler, options = {}) {
+    if (!element) return;
+
+    element.addEventListener(type, handler, options);
+    this.listeners.push({ element, type, handler, options });
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Services Page
+ * Gives every service heading an id so /services/:id and the table of
+ * contents can link to it
+ */
+
+import { PageModule } from './PageModule.js';
+import { slugify } from '../utils/slugify.js';
+
+export default class ServicesPage extends PageModule {
+  static displayName = 'ServicesPage';
+
+  async onMount() {
+    this.services = Array.from(this.root.querySelectorAll('.service-detail')).map(section => {
+      const heading = section.querySelector('.service-header h3');
+      const id = slugify(heading ? heading.textContent : '');
+      if (heading) {
+        heading.id = id;
+      }
+
+      return { id, section, heading };
+    });
+
+    if (this.params.id) {
+      this.openService(this.params.id);
+    }
+  }
+
+  async onUnmount() {
+    this.services.forEach(({ section }) => section.classList.remove('is-active'));
+  }
+
+  /**
+   * Highlight a service section and bring it into view
+   */
+  openService(id) {
+    const service = this.services.find(entry => entry.id === id);
+
+    if (!service) {
+      this.logger.warn(`⚠️ Unknown service: ${id}`);
+      return false;
+    }
+
+    this.breadcrumb = service.heading.textContent.trim();
+    service.section.classList.add('is-active');
+    service.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+  }
+}
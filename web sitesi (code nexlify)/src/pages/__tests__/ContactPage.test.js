@@ -0,0 +1,131 @@
+/**
+ * ContactPage Tests
+ * Test suite for the contact form page module
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ContactPage from '../ContactPage.js';
+import { EventBus } from '../../core/EventBus.js';
+import { AppStore } from '../../core/Store.js';
+import { Logger } from '../../utils/Logger.js';
+
+// Mock Logger
+jest.mock('../../utils/Logger.js', () => ({
+  Logger: jest.fn().mockImplementation((context) => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }))
+}));
+
+const loadContactPage = () => {
+  const html = fs.readFileSync(path.resolve(__dirname, '../../../contact.html'), 'utf8');
+  const page = new DOMParser().parseFromString(html, 'text/html');
+  document.body.innerHTML = page.body.innerHTML;
+};
+
+const fill = (values) => {
+  Object.entries(values).forEach(([name, value]) => {
+    const field = document.querySelector(`#contact-form [name="${name}"]`);
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+};
+
+const submit = () => document.getElementById('contact-form')
+  .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ContactPage', () => {
+  let page;
+  let submitted;
+  let announcements;
+
+  const mountPage = (config = {}) => new ContactPage({ root: document.querySelector('main'), config }).mount();
+
+  beforeEach(async () => {
+    loadContactPage();
+    AppStore.set('language', 'tr');
+
+    submitted = [];
+    announcements = [];
+    EventBus.on('contact:submitted', (data) => submitted.push(data));
+    EventBus.on('announce', (message) => announcements.push(message));
+
+    page = await mountPage();
+  });
+
+  afterEach(async () => {
+    await page.unmount();
+    EventBus.removeAllListeners();
+    delete window.fetch;
+  });
+
+  test('should log under its display name', () => {
+    // Minified builds rename classes; the name comes from displayName instead
+    class e extends ContactPage {}
+
+    expect(page.name).toBe('ContactPage');
+    expect(new e({ root: document.querySelector('main') }).name).toBe('ContactPage');
+    expect(Logger).toHaveBeenCalledWith('ContactPage');
+  });
+
+  test('should send a valid form without putting personal data on the bus', async () => {
+    fill({ name: 'Ada Yılmaz', email: 'ada@example.com', service: 'web', message: 'Merhaba' });
+
+    submit();
+    await flush();
+
+    expect(submitted).toEqual([{ service: 'web', budget: undefined }]);
+    expect(JSON.stringify(submitted[0])).not.toContain('ada@example.com');
+    expect(document.querySelector('[name="name"]').value).toBe('');
+    expect(document.querySelector('.form-status').dataset.state).toBe('sent');
+    expect(announcements).toEqual(['Mesajınız başarıyla gönderildi! 🎉']);
+    expect(page.dirty).toBe(false);
+  });
+
+  test('should not send an incomplete form', async () => {
+    fill({ name: 'Ada Yılmaz' });
+
+    submit();
+    await flush();
+
+    expect(submitted).toHaveLength(0);
+    expect(page.dirty).toBe(true);
+  });
+
+  test('should POST to the configured endpoint and report failures', async () => {
+    await page.unmount();
+    window.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+    AppStore.set('language', 'en');
+    page = await mountPage({ endpoint: '/api/contact' });
+
+    fill({ name: 'Ada', email: 'ada@example.com', message: 'Hello' });
+    submit();
+    await flush();
+
+    expect(window.fetch).toHaveBeenCalledWith('/api/contact', expect.objectContaining({
+      method: 'POST',
+      body: expect.stringContaining('"email":"ada@example.com"')
+    }));
+    expect(submitted).toHaveLength(0);
+    expect(document.querySelector('.form-status').textContent).toBe('Your message could not be sent. Please try again.');
+    expect(document.querySelector('[name="message"]').value).toBe('Hello');
+  });
+
+  test('should only ask before leaving when there is unsent input', () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+
+    expect(page.beforeLeave()).toBe(true);
+    expect(confirm).not.toHaveBeenCalled();
+
+    fill({ message: 'Yarım kalan mesaj' });
+
+    expect(page.beforeLeave()).toBe(false);
+    expect(confirm).toHaveBeenCalledWith('Gönderilmemiş mesajınız silinecek. Sayfadan ayrılmak istiyor musunuz?');
+  });
+});
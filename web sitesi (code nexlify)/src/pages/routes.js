@@ -0,0 +1,33 @@
+/**
+ * Route Table
+ * Every page the client-side router can show
+ *
+ *   path        - URL path from the site root, with :params
+ *   aliases     - other paths for the same route
+ *   page        - page the route belongs to, for metadata and the active link
+ *                 (defaults to the route name)
+ *   parent      - route one level up, for breadcrumbs
+ *   document    - HTML page that renders the route, when it is not the path
+ *   load        - imports the page module; Vite splits each into its own chunk
+ *   config      - options passed to the page module
+ *   beforeEnter - guard, return false to cancel the navigation
+ *   beforeLeave - guard, return false to stay on the route
+ *
+ * Routes whose document is another page (e.g. /blog/:slug → blog.html) are
+ * sent to that document on direct visits by public/404.html and the dev
+ * server (vite.config.js), then restored by NavigationManager.restoreDeepLink.
+ */
+
+const loadServicesPage = () => import('./ServicesPage.js');
+const loadContactPage = () => import('./ContactPage.js');
+const loadBlogPage = () => import('./BlogPage.js');
+
+export const routes = [
+  { name: 'home', path: '/', aliases: ['/index.html'] },
+  { name: 'about', path: '/about.html', parent: 'home' },
+  { name: 'services', path: '/services.html', parent: 'home', load: loadServicesPage },
+  { name: 'service', path: '/services/:id', page: 'services', parent: 'services', document: '/services.html', load: loadServicesPage },
+  { name: 'contact', path: '/contact.html', parent: 'home', load: loadContactPage },
+  { name: 'blog', path: '/blog.html', parent: 'home', load: loadBlogPage },
+  { name: 'blog-post', path: '/blog/:slug', page: 'blog', parent: 'blog', document: '/blog.html', load: loadBlogPage }
+];
@@ -0,0 +1,162 @@
+/**
+ * CodeNexlify Event Catalog
+ * Generated from the event schema registry (npm run events:types) - do not edit
+ */
+
+export interface CodeNexlifyEventMap {
+  /** Core App finished initializing (sticky) */
+  'app:core:ready': [];
+  /** All components initialized (sticky) */
+  'app:ready': [];
+  /** Page is about to unload */
+  'app:beforeunload': [];
+  /** Uncaught application error */
+  'app:error': [arg0: { type: string; [key: string]: unknown }];
+  /** Request a partial App state update */
+  'app:state:change': [arg0: Record<string, unknown>];
+  /** App state was updated */
+  'app:state:updated': [arg0: { oldState: Record<string, unknown>; newState: Record<string, unknown>; changes: Record<string, unknown>; [key: string]: unknown }];
+  /** Runtime config and feature flags loaded */
+  'config:loaded': [arg0: { source: string; etag?: string; flags: unknown[]; [key: string]: unknown }];
+  /** Error forwarded to analytics */
+  'analytics:error': [arg0: Record<string, unknown>];
+  /** DOMContentLoaded fired */
+  'dom:ready': [];
+  /** Window load fired */
+  'window:loaded': [];
+  /** Browser went online */
+  'network:online': [];
+  /** Browser went offline */
+  'network:offline': [];
+  /** Page load performance metrics */
+  'performance:metrics': [arg0: { loadTime: number; domContentLoaded: number; firstPaint: number; firstContentfulPaint: number; [key: string]: unknown }];
+  /** Core Web Vital measured (LCP, CLS, INP, TTFB) */
+  'performance:vital': [arg0: { name: "LCP" | "CLS" | "INP" | "TTFB"; value: number; rating: "good" | "needs-improvement" | "poor"; delta: number; id: string; navigationType: string; page: string; attribution: Record<string, unknown>; [key: string]: unknown }];
+  /** Screen reader announcement */
+  'announce': [arg0: string];
+  /** State history position changed */
+  'history:changed': [arg0: { index: number; length: number; label: string; canUndo: boolean; canRedo: boolean; [key: string]: unknown }];
+  /** A listener threw while handling an event */
+  'error': [arg0: { originalEvent: string; error: unknown; timestamp: number; [key: string]: unknown }];
+  /** Visitor theme preference changed */
+  'theme:change': [arg0: string];
+  /** Visitor language preference changed */
+  'language:change': [arg0: string];
+  /** Component initialized */
+  'component:initialized': [arg0: { component: Record<string, unknown>; [key: string]: unknown }];
+  /** Component mounted */
+  'component:mounted': [arg0: { component: Record<string, unknown>; [key: string]: unknown }];
+  /** Component updated */
+  'component:updated': [arg0: { component: Record<string, unknown>; oldState: Record<string, unknown>; newState: Record<string, unknown>; [key: string]: unknown }];
+  /** Component destroyed */
+  'component:destroyed': [arg0: { component: Record<string, unknown>; [key: string]: unknown }];
+  /** Component lifecycle error */
+  'component:error': [arg0: { component: Record<string, unknown>; error: unknown; phase?: string; [key: string]: unknown }];
+  /** Error boundary showed a fallback for a failed child (no retryIn once retries run out) */
+  'component:fallback': [arg0: { component: Record<string, unknown>; error: unknown; attempt: number; retryIn?: number; [key: string]: unknown }];
+  /** Child came back after error boundary retries */
+  'component:recovered': [arg0: { component: Record<string, unknown>; attempts: number; [key: string]: unknown }];
+  /** Registered component failed repeatedly and was marked degraded */
+  'component:degraded': [arg0: { name: string; failures: number; error: unknown; [key: string]: unknown }];
+  /** Component state changed */
+  'state:changed': [arg0: { component: Record<string, unknown>; oldState: Record<string, unknown>; newState: Record<string, unknown>; changes: Record<string, unknown>; [key: string]: unknown }];
+  /** Child component added */
+  'child:added': [arg0: { parent: Record<string, unknown>; child: Record<string, unknown>; childId: string; [key: string]: unknown }];
+  /** Child component removed */
+  'child:removed': [arg0: { parent: Record<string, unknown>; child: Record<string, unknown>; childId: string; [key: string]: unknown }];
+  /** Request a theme */
+  'theme:set': [arg0: { theme: string; [key: string]: unknown }];
+  /** Request the next theme */
+  'theme:toggle': [arg0?: Record<string, unknown>];
+  /** Theme applied to the document */
+  'theme:changed': [arg0: { theme: string; effectiveTheme: string; systemPreference: string; [key: string]: unknown }];
+  /** Custom theme added */
+  'theme:added': [arg0: { name: string; config: Record<string, unknown>; [key: string]: unknown }];
+  /** Custom theme removed */
+  'theme:removed': [arg0: { name: string; [key: string]: unknown }];
+  /** Request a language */
+  'i18n:set-language': [arg0: { language: string; [key: string]: unknown }];
+  /** Request a translation */
+  'i18n:translate': [arg0: { key: string; params?: Record<string, unknown>; [key: string]: unknown }];
+  /** Translation response */
+  'i18n:translation-result': [arg0: { key: string; translation: string; language: string; [key: string]: unknown }];
+  /** Language applied to the page */
+  'i18n:language-changed': [arg0: { oldLanguage: string; newLanguage: string; translations: unknown; [key: string]: unknown }];
+  /** Page scrolled or scrolled to an element */
+  'navigation:scroll': [arg0: Record<string, unknown>];
+  /** Viewport resized */
+  'navigation:resize': [arg0: { width: number; isMobile: boolean; [key: string]: unknown }];
+  /** Mobile menu opened */
+  'navigation:menu:opened': [arg0?: Record<string, unknown>];
+  /** Mobile menu closed */
+  'navigation:menu:closed': [arg0?: Record<string, unknown>];
+  /** Navigation link clicked */
+  'navigation:link:clicked': [arg0: { href: string; text: string; [key: string]: unknown }];
+  /** Client-side route change finished and the new content is in place */
+  'navigation:changed': [arg0: { page: string; previousPage: string; route: string; params: Record<string, unknown>; url: string; fromHistory: boolean; [key: string]: unknown }];
+  /** A route guard kept the visitor on the current page */
+  'navigation:cancelled': [arg0: { route: string; url: string; [key: string]: unknown }];
+  /** Section highlighted in the table of contents changed (no id above the first heading) */
+  'navigation:section': [arg0: { id?: string; text?: string; [key: string]: unknown }];
+  /** Navigation item added */
+  'navigation:item:added': [arg0: { item: Record<string, unknown>; [key: string]: unknown }];
+  /** Navigation item removed */
+  'navigation:item:removed': [arg0: { href: string; [key: string]: unknown }];
+  /** Contact form sent (no personal data) */
+  'contact:submitted': [arg0: { service?: string; budget?: string; [key: string]: unknown }];
+  /** Service worker registered (sticky) */
+  'pwa:sw:registered': [arg0: { registration: unknown; [key: string]: unknown }];
+  /** Service worker registration failed */
+  'pwa:sw:error': [arg0: { error: unknown; [key: string]: unknown }];
+  /** Service worker update ready */
+  'pwa:update:available': [arg0?: Record<string, unknown>];
+  /** Service worker update applied */
+  'pwa:update:applied': [arg0?: Record<string, unknown>];
+  /** Browser offered to install the app, kept for a PWA manager that loads later (sticky) */
+  'pwa:install:prompt': [arg0: { event: unknown; [key: string]: unknown }];
+  /** App can be installed */
+  'pwa:installable': [arg0?: Record<string, unknown>];
+  /** App was installed */
+  'pwa:installed': [arg0?: Record<string, unknown>];
+  /** Install prompt accepted */
+  'pwa:install:accepted': [arg0?: Record<string, unknown>];
+  /** Install prompt dismissed */
+  'pwa:install:dismissed': [arg0?: Record<string, unknown>];
+  /** Install prompt failed */
+  'pwa:install:error': [arg0: { error: unknown; [key: string]: unknown }];
+  /** PWA detected online status */
+  'pwa:network:online': [arg0?: Record<string, unknown>];
+  /** PWA detected offline status */
+  'pwa:network:offline': [arg0?: Record<string, unknown>];
+}
+
+export type CodeNexlifyEventName = keyof CodeNexlifyEventMap;
+
+export interface EventListenerOptions {
+  once?: boolean;
+  priority?: number;
+  context?: object;
+  replay?: boolean;
+  signal?: AbortSignal;
+}
+
+export interface EmitAsyncOptions {
+  mode?: 'parallel' | 'serial' | 'settle';
+  concurrency?: number;
+  timeout?: number;
+  signal?: AbortSignal;
+}
+
+export type ListenerOutcome =
+  | { listenerId: string; status: 'fulfilled'; value: unknown }
+  | { listenerId: string; status: 'rejected'; reason: unknown };
+
+export interface TypedEventBus {
+  on<K extends CodeNexlifyEventName>(eventName: K, callback: (...args: CodeNexlifyEventMap[K]) => void, options?: EventListenerOptions): string;
+  once<K extends CodeNexlifyEventName>(eventName: K, callback: (...args: CodeNexlifyEventMap[K]) => void, options?: EventListenerOptions): string;
+  emit<K extends CodeNexlifyEventName>(eventName: K, ...args: CodeNexlifyEventMap[K]): boolean;
+  emitAsync<K extends CodeNexlifyEventName>(eventName: K, ...args: CodeNexlifyEventMap[K]): Promise<boolean>;
+  emitAsyncWith<K extends CodeNexlifyEventName>(eventName: K, args: CodeNexlifyEventMap[K], options?: EmitAsyncOptions & { mode?: 'parallel' | 'serial' }): Promise<boolean>;
+  emitAsyncWith<K extends CodeNexlifyEventName>(eventName: K, args: CodeNexlifyEventMap[K], options: EmitAsyncOptions & { mode: 'settle' }): Promise<ListenerOutcome[]>;
+  waitFor<K extends CodeNexlifyEventName>(eventName: K, timeout?: number): Promise<CodeNexlifyEventMap[K]>;
+}
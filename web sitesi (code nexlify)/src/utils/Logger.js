@@ -4,6 +4,34 @@
  */
 
 export class Logger {
+  // Extra data providers included in exportLogs() (e.g. state history)
+  static attachments = new Map();
+
+  /**
+   * Include data from a provider in exported logs
+   */
+  static addAttachment(name, provider) {
+    Logger.attachments.set(name, provider);
+  }
+
+  /**
+   * Stop including a provider in exported logs
+   */
+  static removeAttachment(name) {
+    return Logger.attachments.delete(name);
+  }
+
+  // Functions receiving every logged entry (e.g. error breadcrumbs)
+  static sinks = new Set();
+
+  /**
+   * Forward log entries to a sink; returns a function that removes it
+   */
+  static addSink(sink) {
+    Logger.sinks.add(sink);
+    return () => Logger.sinks.delete(sink);
+  }
+
   constructor(context = 'App') {
     this.context = context;
     this.levels = {
@@ -146,6 +174,15 @@ export class Logger {
     
     // Log to external service
     this.logToService(logData);
+    
+    // Forward to sinks
+    Logger.sinks.forEach(sink => {
+      try {
+        sink(logData);
+      } catch {
+        // A failing sink must not break logging
+      }
+    });
   }
 
   /**
@@ -361,6 +398,18 @@ export class Logger {
       logs
     };
     
+    if (Logger.attachments.size > 0) {
+      exportData.attachments = {};
+      
+      for (const [name, provider] of Logger.attachments) {
+        try {
+          exportData.attachments[name] = provider();
+        } catch (error) {
+          exportData.attachments[name] = { error: error.message };
+        }
+      }
+    }
+    
     return JSON.stringify(exportData, null, 2);
   }
 
@@ -0,0 +1,19 @@
+/**
+ * Slug Utility
+ * URL-safe identifiers from headings, with Turkish letters transliterated
+ */
+
+const TRANSLITERATIONS = { ı: 'i', İ: 'i', ş: 's', Ş: 's', ğ: 'g', Ğ: 'g', ç: 'c', Ç: 'c', ö: 'o', Ö: 'o', ü: 'u', Ü: 'u' };
+
+/**
+ * 'Yapay Zeka ve Yazılım' → 'yapay-zeka-ve-yazilim'
+ */
+export function slugify(value) {
+  return String(value || '')
+    .replace(/[ıİşŞğĞçÇöÖüÜ]/g, letter => TRANSLITERATIONS[letter])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -3,6 +3,32 @@ import { VitePWA } from 'vite-plugin-pwa';
 import legacy from '@vitejs/plugin-legacy';
 import { resolve } from 'path';
 
+// Deep links have no HTML file; send them to the page that renders them,
+// the way public/404.html does on static hosts
+const deepLinkPattern = /^(.*?)\/(blog|services)\/[^/.]+\/?$/;
+
+const deepLinks = () => {
+  const redirect = (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = deepLinkPattern.exec(url.pathname);
+    if (!match) return next();
+
+    res.statusCode = 302;
+    res.setHeader('Location', `${match[1]}/${match[2]}.html?route=${encodeURIComponent(url.pathname + url.search)}`);
+    res.end();
+  };
+
+  return {
+    name: 'deep-links',
+    configureServer(server) {
+      server.middlewares.use(redirect);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(redirect);
+    }
+  };
+};
+
 export default defineConfig({
   root: '.',
   base: './',
@@ -23,6 +49,8 @@ export default defineConfig({
         blog: resolve(__dirname, 'blog.html')
       },
       output: {
+        // Lazily registered components and page modules get a chunk each, named after the module
+        chunkFileNames: 'assets/[name]-[hash].js',
         manualChunks: {
           vendor: ['gsap', 'fuse.js', 'swiper'],
           utils: ['src/utils/helpers.js', 'src/utils/api.js']
@@ -56,6 +84,9 @@ export default defineConfig({
 
   // Plugins
   plugins: [
+    // /blog/:slug and /services/:id in dev and preview
+    deepLinks(),
+
     // Legacy browser support
     legacy({
       targets: ['defaults', 'not IE 11']